@@ -0,0 +1,608 @@
+// --- Built-in Admin Commands ---
+// Registers the store's Telegram admin commands with the command registry.
+// To add a command, call registerCommand() here (or from any module imported by script.js).
+// Commands without `roles` can only be run by the owner (see admin-permissions.js).
+import { registerCommand, getRegisteredCommands, formatCommandSyntax } from './command-registry.js';
+import { canRunCommand } from './admin-permissions.js';
+import { broadcastStateChange } from './tab-coordinator.js';
+import { updateTickerDisplay, updateProductCard, saveProductData, deleteProduct, moveProduct, getProductStock, setProductStock, normalizeProductCategory, showNotification, showRouletteButton, loadProductData, getProductImageUrls } from './ui.js';
+import { telegramApiRequest, getFileUrl } from './telegram-api.js';
+import { getCatalogProducts, parseCatalogFile, diffCatalog, applyCatalogImport, formatCatalogDiff, summarizeCatalogDiff, catalogDiffHasChanges } from './catalog-transfer.js';
+import { loadPendingCatalogImport, savePendingCatalogImport, clearPendingCatalogImport } from './storage.js';
+import { cacheMediaFromUrl } from './media-cache.js';
+import { STORES, putRecord, deleteRecord } from './repository.js';
+import { publishCatalogChanges } from './catalog-sync.js';
+import { updateOrderStatus, getOrderStatusLabel, ORDER_STATUS_WORDS } from './orders.js';
+import { notifyOrderStatusChange } from './orders-ui.js';
+import { publishOrderStatus } from './order-service.js';
+
+// --- Storage Keys ---
+/** Setting that holds the top panel text set with *PANEL SUPERIOR*. */
+export const TICKER_STORAGE_KEY = 'topPanelTickerText';
+const MLC_CARD_STORAGE_KEY = 'mlcCardNumber';
+const REMOTE_CONFIG_STORAGE_KEY = 'remoteApiConfig';
+
+// --- Tweakable Configuration ---
+const MAX_CATALOG_FILE_BYTES = 1024 * 1024; // Larger attachments are rejected before downloading
+const PENDING_CATALOG_IMPORT_TTL_MS = 30 * 60 * 1000; // A previewed import must be applied within 30 minutes
+const MAX_BATCH_LINES = 100; // Products per *DULCES.LOTE* message
+const MAX_LISTED_BATCH_ERRORS = 10; // Rejected lines listed in the reply
+const REMOTE_CONFIG_NOTIFICATION = 'Nueva configuración remota recibida. Ve a Ajustes para aplicarla.';
+
+/**
+ * Parses a price string such as "50 CUP 1,5 MLC" into its CUP and MLC values.
+ * @param {string} priceString - The price argument of a product command.
+ * @returns {{priceCUP: number|null, priceMLC: number|null}} The parsed prices.
+ * @throws {Error} If neither a CUP nor an MLC price is found.
+ */
+export function parsePriceString(priceString) {
+    let priceCUP = null;
+    let priceMLC = null;
+
+    const priceRegex = /(\d+[,.]?\d*)\s*(CUP|MLC)/gi;
+    let match;
+
+    while ((match = priceRegex.exec(priceString)) !== null) {
+        const priceValue = parseFloat(match[1].replace(',', '.'));
+        const currency = match[2].toUpperCase();
+
+        if (isNaN(priceValue)) {
+            console.warn(`Could not parse price value "${match[1]}" for currency ${currency}: ${priceString}`);
+            continue;
+        }
+        if (currency === 'CUP') {
+            priceCUP = priceValue;
+        } else if (currency === 'MLC') {
+            priceMLC = priceValue;
+        }
+    }
+
+    if (priceCUP === null && priceMLC === null) {
+        throw new Error(`No se encontró ningún precio válido (CUP o MLC) en "${priceString}".`);
+    }
+    return { priceCUP, priceMLC };
+}
+
+/**
+ * Parses the optional category argument of a product command.
+ * @param {string|undefined} value - The raw argument: missing keeps the current category, "-" removes it.
+ * @returns {string|null|undefined} The category, null to remove it, or undefined to keep the current one.
+ * @throws {Error} If the category is too long.
+ */
+function parseCategoryArgument(value) {
+    if (value === undefined) return undefined;
+    return value === '-' ? null : normalizeProductCategory(value);
+}
+
+/**
+ * Validates the arguments of a *DULCES* command.
+ * Expected format: *DULCES* *<id>* *<name>* *<description>* *<priceCUP> CUP <priceMLC> MLC* [*<category>*]
+ * Or with only one price: *DULCES* *<id>* *<name>* *<description>* *<price> CUP* (or MLC)
+ * @param {object} args - Raw arguments { id, name, description, prices, category }.
+ * @returns {object} An object with { id, name, description, priceCUP, priceMLC, category } (category undefined = keep).
+ * @throws {Error} If the prices or the category cannot be parsed.
+ */
+function validateProductCommand(args) {
+    const { id, name, description, prices } = args;
+    const { priceCUP, priceMLC } = parsePriceString(prices);
+    const category = parseCategoryArgument(args.category);
+    return { id: String(parseInt(id, 10)), name, description, priceCUP, priceMLC, category };
+}
+
+/**
+ * Parses one line of a *DULCES.LOTE* command.
+ * Full product: *<id>* *<name>* *<description>* *<prices>* [*<category>*]; price change of an existing product: *<id>* *<prices>*.
+ * @param {string} line - The line text.
+ * @param {Set<string>} existingIds - IDs of the products already in the catalog.
+ * @returns {object} The product for applyCatalogImport; fields left undefined keep their current value.
+ * @throws {Error} If the line is not valid.
+ */
+function parseBatchLine(line, existingIds) {
+    const fields = line.split('*').map(part => part.trim()).filter(part => part !== '');
+    if (![2, 4, 5].includes(fields.length)) {
+        throw new Error(`se esperaban 2, 4 o 5 campos y se recibieron ${fields.length}.`);
+    }
+    if (!/^\d+$/.test(fields[0]) || parseInt(fields[0], 10) < 1) {
+        throw new Error(`ID inválido: "${fields[0]}".`);
+    }
+    const id = String(parseInt(fields[0], 10));
+
+    if (fields.length === 2) {
+        if (!existingIds.has(id)) {
+            throw new Error(`el producto ID ${id} no existe; para crearlo indica nombre, descripción y precios.`);
+        }
+        const { priceCUP, priceMLC } = parsePriceString(fields[1]);
+        // Only the currencies in the line change
+        return { id, ...(priceCUP !== null ? { priceCUP } : {}), ...(priceMLC !== null ? { priceMLC } : {}) };
+    }
+
+    const [, name, description, prices, category] = fields;
+    const { priceCUP, priceMLC } = parsePriceString(prices);
+    return { id, name, description, priceCUP, priceMLC, category: parseCategoryArgument(category) };
+}
+
+/**
+ * Validates the lines of a *DULCES.LOTE* command. Every line is checked so the reply lists all the problems at once.
+ * @param {object} args - Raw arguments { lineas }.
+ * @returns {{products: Array<object>}} The products to apply.
+ * @throws {Error} If any line is rejected; nothing is applied in that case.
+ */
+function validateBatchCommand({ lineas }) {
+    const lines = lineas.split(/\r?\n/)
+        .map((text, index) => ({ text: text.trim(), number: index + 1 }))
+        .filter(({ text }) => text !== '');
+    if (lines.length > MAX_BATCH_LINES) {
+        throw new Error(`Demasiadas líneas (${lines.length}); el máximo es ${MAX_BATCH_LINES} productos por mensaje.`);
+    }
+
+    const existingIds = new Set(getCatalogProducts().map(product => product.id));
+    const seenIds = new Map();
+    const products = [];
+    const errors = [];
+    lines.forEach(({ text, number }) => {
+        try {
+            const product = parseBatchLine(text, existingIds);
+            if (seenIds.has(product.id)) {
+                throw new Error(`el producto ID ${product.id} ya aparece en la línea ${seenIds.get(product.id)}.`);
+            }
+            seenIds.set(product.id, number);
+            products.push(product);
+        } catch (error) {
+            errors.push(`Línea ${number}: ${error.message}`);
+        }
+    });
+
+    if (errors.length > 0) {
+        const hiddenCount = errors.length - MAX_LISTED_BATCH_ERRORS;
+        throw new Error([
+            `Lote rechazado, no se aplicó ningún cambio. ${errors.length} de ${lines.length} líneas no son válidas:`,
+            ...errors.slice(0, MAX_LISTED_BATCH_ERRORS),
+            ...(hiddenCount > 0 ? [`… y ${hiddenCount} líneas más.`] : []),
+        ].join('\n'));
+    }
+    return { products };
+}
+
+/**
+ * Downloads the largest photo attached to a message into the media cache (see media-cache.js),
+ * so the product never links to the Telegram file URL, which contains the bot token.
+ * @param {Array|undefined} photoArray - The message's photo sizes.
+ * @returns {Promise<string|null>} The media reference to store, or null if the message has no photo.
+ * @throws {Error} If Telegram does not return a file path or the photo cannot be cached.
+ */
+async function cacheMessagePhoto(photoArray) {
+    if (!photoArray || photoArray.length === 0) {
+        return null;
+    }
+    const bestPhoto = photoArray[photoArray.length - 1];
+    const fileInfo = await telegramApiRequest('getFile', { file_id: bestPhoto.file_id });
+    if (!fileInfo || !fileInfo.file_path) {
+        throw new Error("getFile response missing file_path");
+    }
+    return await cacheMediaFromUrl(bestPhoto.file_unique_id || bestPhoto.file_id, getFileUrl(fileInfo.file_path));
+}
+
+/**
+ * Caches the photos of a command message and, if it was sent as an album, of the other
+ * photos of the album. Photos that fail are skipped and logged.
+ * @param {Array<object>} messages - The message, or every message of its album, in order.
+ * @param {Function} log - Callback to log a warning in the chat.
+ * @returns {Promise<Array<string>>} The media references, in album order.
+ */
+async function cacheMessagePhotos(messages, log) {
+    const photoUrls = [];
+    for (const message of messages) {
+        try {
+            const photoUrl = await cacheMessagePhoto(message.photo);
+            if (photoUrl) photoUrls.push(photoUrl);
+        } catch (fileError) {
+            console.error(`Error fetching file info for photo of message ${message.message_id}:`, fileError);
+            log(`No se pudo descargar una imagen (${fileError.message}).`, 'warn');
+        }
+    }
+    return photoUrls;
+}
+
+/**
+ * Downloads the text content of a document attached to a message.
+ * @param {object} document - The message's document (Telegram Document).
+ * @returns {Promise<string>} The file content.
+ * @throws {Error} If the file is too large or cannot be downloaded.
+ */
+async function downloadDocumentText(document) {
+    if (document.file_size && document.file_size > MAX_CATALOG_FILE_BYTES) {
+        throw new Error(`El archivo es demasiado grande (máximo ${Math.round(MAX_CATALOG_FILE_BYTES / 1024)} KB).`);
+    }
+    const fileInfo = await telegramApiRequest('getFile', { file_id: document.file_id });
+    if (!fileInfo || !fileInfo.file_path) {
+        throw new Error("getFile response missing file_path");
+    }
+    const response = await fetch(getFileUrl(fileInfo.file_path));
+    if (!response.ok) {
+        throw new Error(`No se pudo descargar el archivo (HTTP ${response.status}).`);
+    }
+    return await response.text();
+}
+
+/**
+ * Parses a remote API configuration message.
+ * @param {string} text - The message text.
+ * @returns {object|null} The config { token, chatId, auxBotToken, auxChatId } or null if the text is not one.
+ */
+function parseRemoteConfig(text) {
+    if (!text || !text.trim().startsWith('{')) {
+        return null;
+    }
+    try {
+        const config = JSON.parse(text);
+        if (config && typeof config === 'object' && config.token && config.chatId) {
+            return {
+                token: String(config.token),
+                chatId: String(config.chatId),
+                auxBotToken: config.auxBotToken ? String(config.auxBotToken) : '',
+                auxChatId: config.auxChatId ? String(config.auxChatId) : '',
+            };
+        }
+    } catch (e) {
+        // Not a valid JSON, or doesn't match the structure.
+    }
+    return null;
+}
+
+// --- Command Definitions ---
+
+registerCommand({
+    keyword: 'ELIMINAR.M',
+    grammar: 'none',
+    description: 'Elimina el historial de mensajes guardado.',
+    handler: (args, { senderName, clearChatHistory }) => {
+        console.log("Received clear command from:", senderName);
+        clearChatHistory();
+        return `Historial eliminado por ${senderName}.`;
+    },
+});
+
+registerCommand({
+    keyword: 'PANEL SUPERIOR',
+    roles: ['catalog'],
+    grammar: 'text',
+    args: [{ name: 'texto', optional: true }],
+    description: 'Cambia el texto del panel superior (vacío para ocultarlo).',
+    example: '*PANEL SUPERIOR* ¡Envíos gratis este fin de semana!',
+    handler: ({ texto }, { senderName }) => {
+        console.log("Received ticker update command:", texto);
+        putRecord(STORES.SETTINGS, TICKER_STORAGE_KEY, texto ?? '');
+        updateTickerDisplay(texto);
+        return `Panel superior actualizado por ${senderName} a: "${texto}"`;
+    },
+});
+
+registerCommand({
+    keyword: 'NOTIFICACION',
+    roles: ['catalog'],
+    grammar: 'text',
+    args: [{ name: 'texto' }],
+    description: 'Muestra una notificación temporal en la tienda.',
+    example: '*NOTIFICACION* Hoy cerramos a las 6:00 PM',
+    handler: ({ texto }, { senderName }) => {
+        console.log("Received notification command:", texto);
+        showNotification(texto);
+        broadcastStateChange('notification', { text: texto });
+        return `Notificación mostrada por ${senderName}: "${texto}"`;
+    },
+});
+
+registerCommand({
+    keyword: 'RULETA',
+    roles: ['catalog'],
+    grammar: 'fields',
+    args: [
+        { name: 'intentos', pattern: /^\d+$/ },
+        { name: 'hora', pattern: /^\d+$/ },
+        { name: 'codigo' },
+    ],
+    description: 'Muestra el botón de la ruleta de regalos. La hora (0-23) es la hora ganadora garantizada.',
+    example: '*RULETA* *3* *14* *RIFA2025*',
+    validate: ({ intentos, hora, codigo }) => {
+        const winHour = parseInt(hora, 10);
+        if (winHour < 0 || winHour > 23) {
+            throw new Error(`Hora ganadora inválida (${winHour}). Debe estar entre 0 y 23.`);
+        }
+        return { attempts: intentos, winHour, code: codigo };
+    },
+    handler: ({ attempts, winHour, code }, { senderName }) => {
+        console.log(`Received Roulette command from ${senderName}: Attempts=${attempts}, WinHour=${winHour}, Code=${code}`);
+        showRouletteButton(attempts, winHour, code);
+        broadcastStateChange('roulette', { attempts, winHour, code });
+        return `Botón de ruleta mostrado por ${senderName} (Intentos: ${attempts}, Hora ganadora: ${winHour}, Código: ${code}).`;
+    },
+});
+
+registerCommand({
+    keyword: 'TARJETA',
+    roles: ['payments'],
+    grammar: 'text',
+    args: [{ name: 'numero', pattern: /^[0-9\s-]+$/ }],
+    description: 'Guarda el número de tarjeta para pagos en MLC.',
+    example: '*TARJETA* 9200 1234 5678 9012',
+    handler: ({ numero }, { senderName }) => {
+        putRecord(STORES.SETTINGS, MLC_CARD_STORAGE_KEY, numero);
+        console.log(`Received MLC Card update command from ${senderName}. New number stored.`);
+        return `Número de tarjeta MLC actualizado por ${senderName}.`;
+    },
+});
+
+registerCommand({
+    keyword: 'TARJETA.E',
+    roles: ['payments'],
+    grammar: 'none',
+    description: 'Elimina el número de tarjeta MLC guardado.',
+    handler: (args, { senderName }) => {
+        deleteRecord(STORES.SETTINGS, MLC_CARD_STORAGE_KEY);
+        console.log(`Received MLC Card delete command from ${senderName}. Number removed.`);
+        return `Número de tarjeta MLC eliminado por ${senderName}.`;
+    },
+});
+
+registerCommand({
+    keyword: 'ELIMINAR.PRODUCTO',
+    roles: ['catalog'],
+    grammar: 'fields',
+    args: [{ name: 'id', pattern: /^\d+$/ }],
+    description: 'Elimina un producto del catálogo. Los demás productos conservan su ID.',
+    example: '*ELIMINAR.PRODUCTO* *3*',
+    validate: ({ id }) => ({ id: String(parseInt(id, 10)) }),
+    handler: ({ id }, { senderName }) => {
+        console.log(`Received Delete command for product ID ${id} from ${senderName}`);
+        deleteProduct(id);
+        broadcastStateChange('catalog-changed');
+        publishCatalogChanges([id]);
+        return `Producto ID ${id} eliminado por ${senderName}.`;
+    },
+});
+
+registerCommand({
+    keyword: 'ORDEN',
+    roles: ['catalog'],
+    grammar: 'fields',
+    args: [
+        { name: 'id', pattern: /^\d+$/ },
+        { name: 'posicion', label: '<posición>', pattern: /^[1-9]\d*$/ },
+    ],
+    description: 'Mueve un producto a otra posición de la tienda (1 es la primera). Su ID no cambia.',
+    example: '*ORDEN* *7* *1*',
+    handler: ({ id, posicion }, { senderName }) => {
+        const productId = String(parseInt(id, 10));
+        const position = moveProduct(productId, parseInt(posicion, 10));
+        broadcastStateChange('catalog-changed');
+        publishCatalogChanges([productId]);
+        return `Producto ID ${productId} movido a la posición ${position} por ${senderName}.`;
+    },
+});
+
+registerCommand({
+    keyword: 'DULCES',
+    roles: ['catalog'],
+    grammar: 'fields',
+    args: [
+        { name: 'id', pattern: /^\d+$/ },
+        { name: 'nombre' },
+        { name: 'descripcion' },
+        { name: 'precios', label: '<precio> CUP <precio> MLC' },
+        { name: 'categoria', label: '<categoría>', optional: true },
+    ],
+    description: 'Crea o actualiza un producto. Puede ir como pie de una foto o de un álbum (el producto guarda todas sus fotos). Basta con un precio (CUP o MLC). Sin categoría se mantiene la actual; con *-* se quita.',
+    example: '*DULCES* *4* *Galletas* *Galletas de mantequilla* *120 CUP 1,50 MLC* *Galletas*',
+    validate: ({ id, nombre, descripcion, precios, categoria }) => validateProductCommand({ id, name: nombre, description: descripcion, prices: precios, category: categoria }),
+    handler: async ({ id, name, description, priceCUP, priceMLC, category }, { message, mediaGroup, senderName, log }) => {
+        const photoUrls = await cacheMessagePhotos(mediaGroup ?? [message], log);
+        if (photoUrls.length > 0) {
+            console.log(`Received Product Update for ID ${id} with ${photoUrls.length} image(s) from ${senderName}`);
+        } else {
+            console.log(`Received Text-Only Product Update for ID ${id} from ${senderName}`);
+        }
+
+        // New photos replace the product's photos; without photos the current ones are kept
+        const existingData = loadProductData(id);
+        const imageUrls = photoUrls.length > 0 ? photoUrls : getProductImageUrls(existingData);
+        if (photoUrls.length === 0 && imageUrls.length > 0) {
+            console.log(`Retaining ${imageUrls.length} existing image(s) for product ${id}`);
+        }
+
+        const finalProductData = {
+            name,
+            description,
+            priceCUP,
+            priceMLC,
+            imageUrl: imageUrls[0] ?? null,
+            imageUrls,
+            stock: existingData?.stock ?? null,
+            category: category !== undefined ? category : existingData?.category ?? null,
+        };
+
+        saveProductData(id, finalProductData);
+        updateProductCard(id, finalProductData);
+        broadcastStateChange('catalog-changed');
+        publishCatalogChanges([id]);
+
+        const prices = [
+            priceCUP !== null ? `${priceCUP} CUP` : null,
+            priceMLC !== null ? `${priceMLC} MLC` : null,
+        ].filter(Boolean).join(', ');
+        const categoryText = finalProductData.category ? ` Categoría: ${finalProductData.category}.` : '';
+        const photosText = photoUrls.length > 1 ? ` Fotos: ${photoUrls.length}.` : '';
+        return `Producto ID ${id} actualizado por ${senderName} a: "${name}". Precios: ${prices}.${categoryText}${photosText}`;
+    },
+});
+
+registerCommand({
+    keyword: 'DULCES.LOTE',
+    roles: ['catalog'],
+    grammar: 'text',
+    args: [{ name: 'lineas', label: '<una línea por producto>' }],
+    description: 'Crea o actualiza varios productos a la vez, uno por línea: *<id>* *<nombre>* *<descripción>* *<precios>* [*<categoría>*], o solo *<id>* *<precios>* para cambiar el precio de un producto existente. Si alguna línea no es válida no se aplica ninguna.',
+    example: '*DULCES.LOTE*\n*4* *Galletas* *Galletas de mantequilla* *120 CUP*\n*7* *90 CUP 1 MLC*',
+    validate: validateBatchCommand,
+    handler: async ({ products }, { senderName }) => {
+        console.log(`Received batch product update with ${products.length} lines from ${senderName}`);
+        const diff = await applyCatalogImport(products, false);
+        return `Lote aplicado por ${senderName}: ${diff.added.length} creados, ${diff.updated.length} actualizados, ${diff.unchangedCount} sin cambios, 0 rechazados.`;
+    },
+});
+
+registerCommand({
+    keyword: 'STOCK',
+    roles: ['catalog'],
+    grammar: 'fields',
+    args: [
+        { name: 'id', pattern: /^\d+$/ },
+        { name: 'cantidad', label: '<cantidad>|+<cantidad>|NO', pattern: /^(\+?\d+|NO)$/i },
+    ],
+    description: 'Fija las unidades disponibles de un producto; con 0 aparece como agotado. *+N* suma unidades a las que quedan y *NO* deja de controlar su stock.',
+    example: '*STOCK* *4* *12*',
+    handler: ({ id, cantidad }, { senderName }) => {
+        const productId = String(parseInt(id, 10));
+        const currentStock = getProductStock(productId);
+        let stock = null;
+        if (cantidad.startsWith('+')) {
+            stock = (currentStock ?? 0) + parseInt(cantidad, 10);
+        } else if (cantidad.toUpperCase() !== 'NO') {
+            stock = parseInt(cantidad, 10);
+        }
+
+        setProductStock(productId, stock);
+        broadcastStateChange('catalog-changed');
+        publishCatalogChanges([productId]);
+        console.log(`Stock of product ${productId} set to ${stock} by ${senderName}`);
+        if (stock === null) {
+            return `Producto ID ${productId}: stock sin controlar (${senderName}).`;
+        }
+        return `Producto ID ${productId}: ${stock === 0 ? 'agotado' : `${stock} unidades disponibles`} (${senderName}).`;
+    },
+});
+
+registerCommand({
+    keyword: 'PEDIDO',
+    roles: ['orders'],
+    grammar: 'fields',
+    args: [
+        { name: 'id', label: '<id del pedido>', pattern: /^\d{6}-[A-Z0-9]+$/i },
+        { name: 'estado', label: Object.keys(ORDER_STATUS_WORDS).join('|'), pattern: new RegExp(`^(${Object.keys(ORDER_STATUS_WORDS).join('|')})$`, 'i') },
+    ],
+    description: 'Cambia el estado de un pedido (el ID aparece en el mensaje del pedido; los botones del mensaje envían este comando). El estado se guarda en el servicio de catálogo: el cliente lo ve en "Mis pedidos" y recibe un aviso la próxima vez que su tienda lo consulte.',
+    example: '*PEDIDO* *241018-K7QZ4* *LISTO*',
+    handler: async ({ id, estado }, { senderName }) => {
+        const orderId = id.toUpperCase();
+        const status = ORDER_STATUS_WORDS[estado.toUpperCase()];
+        const order = await updateOrderStatus(orderId, status);
+        if (order) {
+            notifyOrderStatusChange(order); // Only when the order was placed from this browser
+        }
+
+        // The customer's store reads the status from the catalog service
+        let customerNotice = '';
+        try {
+            if (!await publishOrderStatus(orderId, status)) {
+                customerNotice = ', sin aviso al cliente: falta el servicio de catálogo o su clave';
+            }
+        } catch (error) {
+            console.error(`Could not publish the status of order ${orderId}:`, error);
+            customerNotice = ', sin aviso al cliente: el servicio de catálogo no lo guardó';
+        }
+        console.log(`Order ${orderId} marked as ${status} by ${senderName}.`);
+        return `Pedido ${orderId}: ${getOrderStatusLabel(status)} (${senderName}${customerNotice}).`;
+    },
+});
+
+registerCommand({
+    keyword: 'CATALOGO',
+    roles: ['catalog'],
+    grammar: 'fields',
+    args: [
+        { name: 'accion', label: 'REEMPLAZAR|APLICAR|CANCELAR', pattern: /^(REEMPLAZAR|APLICAR|CANCELAR)$/i, optional: true },
+    ],
+    description: 'Importa el catálogo desde un archivo JSON o CSV adjunto (columnas id, name, description, category, priceCUP, priceMLC, imageUrl, stock). Primero muestra los cambios; *APLICAR* los confirma (solo quien envió el archivo) y *CANCELAR* los descarta. Con *REEMPLAZAR* se eliminan los productos que no estén en el archivo.',
+    example: '*CATALOGO* (como pie de un archivo catalogo.csv)',
+    handler: async ({ accion }, { message, senderId, senderName }) => {
+        const action = (accion || '').toUpperCase();
+
+        if (action === 'CANCELAR') {
+            if (!loadPendingCatalogImport()) {
+                return 'No había ninguna importación de catálogo pendiente.';
+            }
+            clearPendingCatalogImport();
+            return 'Importación de catálogo descartada.';
+        }
+
+        if (action === 'APLICAR') {
+            const pendingImport = loadPendingCatalogImport();
+            if (!pendingImport) {
+                throw new Error("No hay ninguna importación pendiente. Envía primero el archivo con *CATALOGO* como pie.");
+            }
+            // The preview was checked by whoever sent the file, so only they can confirm it
+            if (String(senderId) !== String(pendingImport.senderId)) {
+                throw new Error(`Solo quien envió ${pendingImport.fileName} puede aplicar la importación. Descártala con *CATALOGO* *CANCELAR* y envía tú el archivo para revisar sus cambios.`);
+            }
+            clearPendingCatalogImport();
+            if (Date.now() - pendingImport.createdAt > PENDING_CATALOG_IMPORT_TTL_MS) {
+                throw new Error("La importación pendiente ha caducado. Envía de nuevo el archivo.");
+            }
+            const diff = await applyCatalogImport(pendingImport.products, pendingImport.removeMissing);
+            return `Catálogo importado de ${pendingImport.fileName} por ${senderName}: ${summarizeCatalogDiff(diff)}`;
+        }
+
+        const attachment = message.document;
+        if (!attachment) {
+            throw new Error("Adjunta el catálogo como archivo (JSON o CSV) y escribe *CATALOGO* como pie.");
+        }
+        const fileName = attachment.file_name || 'catálogo';
+        const { products, errors } = parseCatalogFile(await downloadDocumentText(attachment));
+        if (errors.length > 0) {
+            throw new Error(`${fileName} no es válido:\n${errors.join('\n')}`);
+        }
+
+        const removeMissing = action === 'REEMPLAZAR';
+        const diff = diffCatalog(getCatalogProducts(), products, removeMissing);
+        if (!catalogDiffHasChanges(diff)) {
+            clearPendingCatalogImport();
+            return `${fileName} no cambia nada del catálogo (${diff.unchangedCount} productos iguales).`;
+        }
+
+        await savePendingCatalogImport({ products, removeMissing, fileName, senderId: senderId === null ? null : String(senderId), createdAt: Date.now() });
+        console.log(`Catalog import from ${fileName} previewed by ${senderName}, waiting for confirmation.`);
+        return `Vista previa de ${fileName}:\n${formatCatalogDiff(diff)}\n\nEnvía *CATALOGO* *APLICAR* para aplicar los cambios (solo tú puedes hacerlo) o *CATALOGO* *CANCELAR* para descartarlos.`;
+    },
+});
+
+registerCommand({
+    keyword: 'CONFIG',
+    grammar: 'custom',
+    syntax: '{"token":"...","chatId":"...","auxBotToken":"...","auxChatId":"..."}',
+    description: 'Envía una configuración de API remota para aplicarla desde Ajustes.',
+    match: text => parseRemoteConfig(text) !== null,
+    parse: text => parseRemoteConfig(text),
+    handler: (remoteConfig, { senderName }) => {
+        console.log(`Received remote API configuration from ${senderName}.`);
+        putRecord(STORES.SETTINGS, REMOTE_CONFIG_STORAGE_KEY, remoteConfig);
+        showNotification(REMOTE_CONFIG_NOTIFICATION, 10000);
+        broadcastStateChange('notification', { text: REMOTE_CONFIG_NOTIFICATION });
+        return `Configuración remota recibida y guardada de ${senderName}.`;
+    },
+});
+
+registerCommand({
+    keyword: 'AYUDA',
+    grammar: 'none',
+    public: true,
+    description: 'Muestra la lista de comandos que puedes usar.',
+    handler: (args, { senderId }) => {
+        const allowedCommands = getRegisteredCommands().filter(command => canRunCommand(command, senderId));
+        const sections = allowedCommands.map(command => {
+            const lines = [formatCommandSyntax(command)];
+            if (command.description) lines.push(command.description);
+            if (command.example) lines.push(`Ejemplo: ${command.example}`);
+            return lines.join('\n');
+        });
+        return `Comandos disponibles:\n\n${sections.join('\n\n')}`;
+    },
+});
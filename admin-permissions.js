@@ -0,0 +1,56 @@
+// --- Admin Permissions ---
+// Decides which Telegram users may run which admin commands.
+// The allowlist is managed from settings.html and stored through storage.js.
+import { loadAdminUsers } from './storage.js';
+
+/**
+ * Roles that can be assigned to an admin, with their display labels.
+ * The owner can run every command; other roles only the commands that list them.
+ */
+export const ADMIN_ROLES = {
+    owner: 'Propietario',
+    catalog: 'Editor de catálogo',
+    payments: 'Pagos',
+    orders: 'Pedidos',
+};
+
+/**
+ * Gets the roles assigned to a Telegram user.
+ * @param {string|number|null|undefined} userId - The sender's Telegram user ID (message.from.id).
+ * @returns {Array<string>} The user's roles, or an empty array if the user is not in the allowlist.
+ */
+export function getUserRoles(userId) {
+    if (userId === null || userId === undefined) return [];
+    const admin = loadAdminUsers().find(user => user.id === String(userId));
+    return admin ? admin.roles : [];
+}
+
+/**
+ * Checks whether an owner has been added to the allowlist.
+ * @returns {boolean} True if at least one admin has the owner role.
+ */
+export function hasConfiguredOwner() {
+    return loadAdminUsers().some(user => user.roles.includes('owner'));
+}
+
+/**
+ * Checks whether a Telegram user may run a command.
+ * Commands marked `public` can be run by anyone in the allowed chats. Every other command is
+ * denied until an owner has been added in Ajustes, so a new store never accepts admin
+ * commands (TARJETA, CONFIG, ...) from whoever writes to the bot.
+ * @param {object} command - The command definition (see command-registry.js).
+ * @param {string|number|null|undefined} userId - The sender's Telegram user ID.
+ * @returns {boolean} True if the user may run the command.
+ */
+export function canRunCommand(command, userId) {
+    if (command.public) return true;
+
+    if (!hasConfiguredOwner()) {
+        console.warn(`No owner configured. Denying command ${command.keyword}; add one in Ajustes > Administradores del Bot.`);
+        return false;
+    }
+
+    const roles = getUserRoles(userId);
+    if (roles.includes('owner')) return true;
+    return (command.roles || []).some(role => roles.includes(role));
+}
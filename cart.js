@@ -1,7 +1,8 @@
 // --- Shopping Cart Logic ---
-import { getSelectedCurrency } from './ui.js'; // Import to check selected currency
+import { getSelectedCurrency, getProductStock } from './ui.js'; // Import to check selected currency and stock
+import { STORES, getRecord, putRecord, deleteRecord } from './repository.js';
 
-const CART_STORAGE_KEY = 'shoppingCartItems';
+const CART_RECORD_KEY = 'items'; // The cart store holds a single record with every item
 let cartItems = []; // In-memory cache of cart items [{ id, name, price, quantity }, ...]
 let cartCurrency = null; // Stores the currency ('CUP' or 'MLC') of the items currently in the cart, null if empty
 
@@ -26,15 +27,18 @@ export function getCartCurrency() {
 }
 
 /**
- * Loads cart items from localStorage into the in-memory cartItems array.
+ * Loads the saved cart items into the in-memory cartItems array.
  * Also attempts to set the cartCurrency based on loaded items.
  */
 function loadCart() {
-    const storedCart = localStorage.getItem(CART_STORAGE_KEY);
+    const storedCart = getRecord(STORES.CART, CART_RECORD_KEY);
     let loadedItems = [];
     if (storedCart) {
         try {
-            loadedItems = JSON.parse(storedCart);
+            if (!Array.isArray(storedCart)) {
+                throw new Error("Stored cart is not an array.");
+            }
+            loadedItems = storedCart;
             // Ensure all items have valid numeric quantities and prices
             loadedItems = loadedItems.map(item => ({
                 ...item,
@@ -61,10 +65,10 @@ function loadCart() {
             }
 
         } catch (error) {
-            console.error("Error loading cart from localStorage:", error);
+            console.error("Error loading saved cart:", error);
             cartItems = []; // Reset cart on error
             cartCurrency = null; // Reset currency
-            localStorage.removeItem(CART_STORAGE_KEY); // Clear potentially corrupted data
+            deleteRecord(STORES.CART, CART_RECORD_KEY); // Clear potentially corrupted data
         }
     } else {
         cartItems = []; // Initialize empty if nothing stored
@@ -74,16 +78,10 @@ function loadCart() {
 }
 
 /**
- * Saves the current in-memory cartItems array to localStorage.
+ * Saves the current in-memory cartItems array.
  */
 function saveCart() {
-    try {
-        localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(cartItems));
-        // console.log("Cart saved to localStorage:", cartItems);
-    } catch (error) {
-        console.error("Error saving cart to localStorage:", error);
-        // Handle potential storage full errors?
-    }
+    putRecord(STORES.CART, CART_RECORD_KEY, cartItems);
 }
 
 /**
@@ -139,17 +137,22 @@ export function updateCartDisplay() {
 
 /**
  * Adds an item to the shopping cart or updates its quantity if it already exists.
- * Enforces that all items in the cart must use the same currency.
+ * Enforces that all items in the cart must use the same currency, and that the cart never
+ * holds more units of a product than are in stock.
  * @param {string} productId - The unique ID of the product.
  * @param {string} name - The name of the product.
  * @param {number} price - The price of one unit of the product (in the currently selected currency).
  * @param {number} quantity - The quantity to add.
+ * @param {{quiet: boolean}} options - quiet: no alerts or "added" feedback, for callers that
+ *   report the result themselves (e.g. repeating an order adds several items at once).
+ * @returns {boolean} True if the item was added (the user is alerted otherwise, unless quiet).
  */
-export function addToCart(productId, name, price, quantity) {
+export function addToCart(productId, name, price, quantity, { quiet = false } = {}) {
+    const notify = quiet ? () => {} : alert;
     if (!productId || !name || typeof price !== 'number' || typeof quantity !== 'number' || quantity <= 0) {
         console.error("Invalid item data provided to addToCart:", { productId, name, price, quantity });
-        alert("Error: No se pudieron añadir los datos del artículo al carrito."); // User feedback
-        return;
+        notify("Error: No se pudieron añadir los datos del artículo al carrito."); // User feedback
+        return false;
     }
 
     const selectedCurrency = getSelectedCurrency(); // Currency selected in the UI
@@ -162,8 +165,8 @@ export function addToCart(productId, name, price, quantity) {
     } else if (selectedCurrency !== cartCurrency) {
         // Cart is not empty and the selected currency mismatches the cart's currency
         console.warn(`Currency mismatch: Tried to add item in ${selectedCurrency}, but cart contains items in ${cartCurrency}.`);
-        alert(`No puedes añadir artículos en ${selectedCurrency} porque tu cesta ya contiene artículos en ${cartCurrency}.\n\nVacía la cesta o cambia la moneda seleccionada para continuar.`);
-        return; // Stop processing
+        notify(`No puedes añadir artículos en ${selectedCurrency} porque tu cesta ya contiene artículos en ${cartCurrency}.\n\nVacía la cesta o cambia la moneda seleccionada para continuar.`);
+        return false; // Stop processing
     }
     // --- End Currency Check ---
 
@@ -171,6 +174,21 @@ export function addToCart(productId, name, price, quantity) {
     const idStr = String(productId);
     const existingItemIndex = cartItems.findIndex(item => String(item.id) === idStr);
 
+    // --- Stock Check ---
+    const stock = getProductStock(idStr);
+    const quantityInCart = existingItemIndex > -1 ? cartItems[existingItemIndex].quantity : 0;
+    if (stock !== null && quantityInCart + quantity > stock) {
+        console.warn(`Not enough stock for item ${idStr}: ${stock} left, ${quantityInCart} in cart, ${quantity} requested.`);
+        if (stock === 0) {
+            notify(`Lo sentimos, ${name} está agotado.`);
+        } else if (quantityInCart > 0) {
+            notify(`Solo quedan ${stock} unidades de ${name} y ya tienes ${quantityInCart} en tu cesta.`);
+        } else {
+            notify(`Solo quedan ${stock} unidades de ${name}.`);
+        }
+        return false;
+    }
+
     if (existingItemIndex > -1) {
         // Item exists, update quantity
         cartItems[existingItemIndex].quantity += quantity;
@@ -191,7 +209,10 @@ export function addToCart(productId, name, price, quantity) {
     }
 
     // Optional: Trigger a notification or animation
-    showAddedToCartFeedback(name, quantity);
+    if (!quiet) {
+        showAddedToCartFeedback(name, quantity);
+    }
+    return true;
 }
 
 /**
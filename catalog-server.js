@@ -0,0 +1,653 @@
+// --- Catalog Server (Node) ---
+// Keeps the authoritative product catalog, so every visitor sees the same products instead of
+// only the ones their browser saw arrive through the bot. The admin's store (unlocked Ajustes,
+// polling the bot) sends each catalog change it applies; every storefront loads the catalog from
+// here when it opens and on pull-to-refresh (see catalog-sync.js). Run it with Node 20+
+// (package.json marks the modules as ES modules):
+//
+//   node catalog-server.js [--port 8082] [--data catalog.json] [--admin-key <key>]
+//
+// Then set "URL del servicio de catálogo" to http://localhost:8082 in Ajustes (or CATALOG_SERVICE_URL
+// in catalog-sync.js for every visitor) and the admin key in the admin's Ajustes. Without --admin-key
+// a random key is generated on the first start, printed, and kept next to the data file
+// (<data>.admin-key), so restarts don't invalidate the key saved in Ajustes.
+//   GET  /catalog                                        the catalog: {version, updatedAt, products, order}
+//   POST /catalog/changes  {"changes": [...]}            (admin) apply changes, in order:
+//                          {"type": "upsert", "id": "4", "product": {...}}, {"type": "delete", "id": "4"},
+//                          {"type": "order", "order": ["4", "1", ...]}
+//   GET  /media/<key>                                    a product photo
+//   PUT  /media/<key>                                    (admin) upload a product photo (raw image bytes)
+//   POST /orders  {"text": "...", "payload": {...}}      send a customer's order to the shop's chat (see below)
+//   GET  /orders/status?ids=<id>,<id>                    the status of those orders: {statuses: {id: {status, statusUpdatedAt}}}
+//   POST /orders/status  {"orderId": "...", "status": "ready"}
+//                                                        (admin) record an order's status (see *PEDIDO*)
+// Admin requests send "Authorization: Bearer <key>". Changes are last write wins. Invalid requests are
+// answered with 400, failures to save the data file with 500 and failures to reach Telegram with 502.
+//
+// Customers' browsers have no bot token (it is only unlocked in the admin's Ajustes), so they send
+// their orders here and the service relays them to Telegram. Start it with the bot token and chat:
+//   --bot-token <token> --chat-id <id> [--bot-api-url https://api.telegram.org]
+// (or the TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID environment variables, which keep the token out of
+// the process list). The relay only sends order messages, and at most MAX_ORDERS_PER_CLIENT per hour per client.
+// Behind a reverse proxy every request comes from the proxy's address: add --trust-proxy so clients are told
+// apart by the address the proxy appends to X-Forwarded-For (only then, since clients can send the header too).
+// A relayed order takes its units from the stock of the products that track it (see decreaseOrderStock).
+// The staff buttons under each message are built here from the order ID, never taken from the request:
+// pressing one runs *PEDIDO* with the presser's permissions, so a customer must not choose what they send.
+// The admin's store records here the status set with *PEDIDO*, and customers' stores read it to
+// show it in "Mis pedidos" (order IDs are hard to guess, so only the customer knows theirs).
+import http from 'node:http';
+import { randomBytes, timingSafeEqual } from 'node:crypto';
+import { readFile, writeFile, rename, mkdir, stat } from 'node:fs/promises';
+import { resolve, join } from 'node:path';
+
+// --- Tweakable Configuration ---
+const DEFAULT_PORT = 8082;
+const DEFAULT_DATA_FILE = 'catalog.json';
+const MAX_BODY_BYTES = 1024 * 1024; // Catalog changes (JSON)
+const MAX_MEDIA_BYTES = 10 * 1024 * 1024; // Same limit as the browser media cache
+const MAX_PRODUCTS = 1000;
+const MAX_MESSAGE_LENGTH = 4096; // Telegram's limit for a message
+const MAX_ORDERS_PER_CLIENT = 10; // Per IP address and hour, so the relay can't be used to flood the chat
+const ORDER_LIMIT_SWEEP_INTERVAL_MS = 10 * 60 * 1000; // How often clients without recent orders are forgotten
+const MAX_KNOWN_ORDERS = 5000; // Oldest relayed orders are forgotten beyond this
+const ORDER_ID_PATTERN = /^\d{6}-[A-Z0-9]{5}$/; // See generateOrderId in orders.js
+const ORDER_PAYLOAD_SCHEMA = 'tienda-dulceria.pedido'; // See buildOrderPayload in orders.js
+const ORDER_STATUS_KEYS = ['sent', 'confirmed', 'rejected', 'paid', 'preparing', 'ready', 'delivered', 'cancelled']; // See ORDER_STATUSES in orders.js
+const MAX_STATUS_IDS = 50; // Order IDs per status request
+const ORDER_KEYBOARD_BUTTONS = [ // See ORDER_KEYBOARD_BUTTONS in orders.js
+    [{ text: '✅ Confirmar', word: 'CONFIRMADO' }, { text: '❌ Rechazar', word: 'RECHAZADO' }],
+    [{ text: '💳 Pagado', word: 'PAGADO' }, { text: '📦 Entregado', word: 'ENTREGADO' }],
+];
+
+/**
+ * Reads a "--name value" command line option.
+ * @param {string} name - The option name without dashes.
+ * @param {string|null} defaultValue - Returned when the option is missing.
+ * @returns {string|null} The option value.
+ */
+function getOption(name, defaultValue = null) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : defaultValue;
+}
+
+const port = Number(getOption('port', DEFAULT_PORT));
+const dataFile = resolve(getOption('data', DEFAULT_DATA_FILE));
+const mediaDirectory = `${dataFile.replace(/\.json$/, '')}-media`;
+const adminKeyFile = `${dataFile.replace(/\.json$/, '')}.admin-key`;
+let adminKey = getOption('admin-key'); // Or the saved/generated key, see loadAdminKey
+const botToken = getOption('bot-token', process.env.TELEGRAM_BOT_TOKEN || null);
+const chatId = getOption('chat-id', process.env.TELEGRAM_CHAT_ID || null);
+const botApiUrl = getOption('bot-api-url', 'https://api.telegram.org').replace(/\/+$/, '');
+const trustProxy = process.argv.includes('--trust-proxy');
+
+// --- State ---
+let catalog = { version: 0, updatedAt: null, products: {}, order: [], media: {}, orders: {} };
+let saveQueue = Promise.resolve(); // Writes to the data file, one at a time
+const recentOrdersByClient = new Map(); // IP address -> timestamps of the orders relayed in the last hour
+
+/**
+ * Loads the admin key saved by an earlier start, or generates and saves one. Only used
+ * without --admin-key.
+ * @returns {Promise<boolean>} True if a new key was generated.
+ */
+async function loadAdminKey() {
+    try {
+        adminKey = (await readFile(adminKeyFile, 'utf8')).trim();
+        if (adminKey) return false;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw new Error(`Cannot read ${adminKeyFile}: ${error.message}`);
+        }
+    }
+    adminKey = randomBytes(18).toString('base64url');
+    await writeFile(adminKeyFile, `${adminKey}\n`, { mode: 0o600 });
+    return true;
+}
+
+/**
+ * Loads the catalog from the data file, or starts an empty one.
+ */
+async function loadCatalog() {
+    try {
+        const saved = JSON.parse(await readFile(dataFile, 'utf8'));
+        catalog = {
+            version: Number.isInteger(saved.version) ? saved.version : 0,
+            updatedAt: saved.updatedAt ?? null,
+            products: saved.products && typeof saved.products === 'object' ? saved.products : {},
+            order: Array.isArray(saved.order) ? saved.order : [],
+            media: saved.media && typeof saved.media === 'object' ? saved.media : {},
+            orders: saved.orders && typeof saved.orders === 'object' ? saved.orders : {},
+        };
+        console.log(`Loaded catalog version ${catalog.version} (${Object.keys(catalog.products).length} products) from ${dataFile}.`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw new Error(`Cannot read ${dataFile}: ${error.message}`);
+        }
+        console.log(`No catalog at ${dataFile} yet. Starting with an empty catalog.`);
+    }
+    await mkdir(mediaDirectory, { recursive: true });
+}
+
+/**
+ * Saves the catalog to the data file. Writes a temporary file and renames it, so a crash
+ * never leaves a half-written catalog.
+ * @returns {Promise<void>} Resolves once the catalog is on disk.
+ * @throws {Error} If the file can't be written (`status` 500).
+ */
+function saveCatalog() {
+    const snapshot = JSON.stringify(catalog, null, 2);
+    // A failed write is reported to its caller only; the next write still runs
+    saveQueue = saveQueue.catch(() => {}).then(async () => {
+        const temporaryFile = `${dataFile}.tmp`;
+        try {
+            await writeFile(temporaryFile, snapshot);
+            await rename(temporaryFile, dataFile);
+        } catch (error) {
+            console.error(`Cannot save ${dataFile}:`, error);
+            throw createServerError(500, 'Cannot save the catalog');
+        }
+    });
+    return saveQueue;
+}
+
+/**
+ * Creates an error that is answered with the given status instead of 400 (see handleRequest).
+ * @param {number} status - The HTTP status: 500 if this server failed, 502 if Telegram did.
+ * @param {string} message - What failed.
+ * @returns {Error} The error, with `status`.
+ */
+function createServerError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Gets the IP address of the client that sent a request.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {string} The address: the last one in X-Forwarded-For with --trust-proxy (the one the
+ *   proxy added; those before it come from the client), otherwise the connection's.
+ */
+function getClientAddress(req) {
+    const forwardedFor = trustProxy ? String(req.headers['x-forwarded-for'] || '') : '';
+    return forwardedFor.split(',').pop().trim() || req.socket.remoteAddress;
+}
+
+/**
+ * Sends a JSON response with CORS headers (the store is served from another origin).
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status.
+ * @param {any} body - The JSON body.
+ */
+function sendJson(res, status, body) {
+    if (res.headersSent) {
+        res.destroy(); // Failed halfway through another response: nothing valid can be sent anymore
+        return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads a request body.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {number} maxBytes - Larger bodies are rejected.
+ * @returns {Promise<Buffer>} The body.
+ * @throws {Error} If the body is too large.
+ */
+async function readBody(req, maxBytes) {
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            throw new Error('Request body too large');
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Checks the admin key of a request.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {boolean} True if it carries "Authorization: Bearer <admin key>".
+ */
+function isAdminRequest(req) {
+    const match = /^Bearer\s+(.+)$/.exec(req.headers.authorization || '');
+    if (!match) return false;
+    const given = Buffer.from(match[1].trim());
+    const expected = Buffer.from(adminKey);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Gets the file that stores a photo. Keys can contain any character (e.g. "file-path:photos/a.jpg").
+ * @param {string} key - The media key.
+ * @returns {string} The file path inside the media directory.
+ */
+function getMediaFile(key) {
+    return join(mediaDirectory, Buffer.from(key).toString('base64url'));
+}
+
+/**
+ * Checks a product sent by the store. Only the shape is checked: the store validated the command.
+ * @param {any} product - The product data.
+ * @returns {object} The product data.
+ * @throws {Error} If it is not a product.
+ */
+function validateProduct(product) {
+    if (!product || typeof product !== 'object' || Array.isArray(product) || typeof product.name !== 'string') {
+        throw new Error('product must be an object with a name');
+    }
+    return product;
+}
+
+/**
+ * Applies a list of changes to a copy of the catalog.
+ * @param {Array<object>} changes - The changes (see the header of this file).
+ * @returns {{products: object, order: Array<string>}} The new products and display order.
+ * @throws {Error} If any change is invalid; nothing is applied then.
+ */
+function applyChanges(changes) {
+    if (!Array.isArray(changes) || changes.length === 0) {
+        throw new Error('changes must be a non-empty array');
+    }
+    const products = { ...catalog.products };
+    let order = [...catalog.order];
+    changes.forEach((change, index) => {
+        const id = change?.id === undefined ? null : String(change.id);
+        if (change?.type !== 'order' && !/^\d+$/.test(id ?? '')) {
+            throw new Error(`change ${index + 1}: invalid product id`);
+        }
+        switch (change.type) {
+            case 'upsert':
+                products[id] = validateProduct(change.product);
+                if (!order.includes(id)) order.push(id);
+                break;
+            case 'delete':
+                delete products[id];
+                order = order.filter(productId => productId !== id);
+                break;
+            case 'order':
+                if (!Array.isArray(change.order)) {
+                    throw new Error(`change ${index + 1}: order must be an array of product ids`);
+                }
+                order = change.order.map(String);
+                break;
+            default:
+                throw new Error(`change ${index + 1}: unknown type ${change?.type}`);
+        }
+    });
+    // Same repair as the store: no unknown or repeated IDs, missing products at the end
+    order = order.filter((productId, index) => products[productId] && order.indexOf(productId) === index);
+    Object.keys(products).forEach(productId => {
+        if (!order.includes(productId)) order.push(productId);
+    });
+    if (order.length > MAX_PRODUCTS) {
+        throw new Error(`the catalog cannot have more than ${MAX_PRODUCTS} products`);
+    }
+    return { products, order };
+}
+
+/**
+ * Builds the public catalog response.
+ * @returns {{version: number, updatedAt: string|null, products: Array<object>, order: Array<string>}} The catalog.
+ */
+function getPublicCatalog() {
+    return {
+        version: catalog.version,
+        updatedAt: catalog.updatedAt,
+        products: catalog.order.map(id => ({ id, ...catalog.products[id] })),
+        order: catalog.order,
+    };
+}
+
+/**
+ * Calls the Bot API with the relay's bot token.
+ * @param {string} method - The API method (e.g. "sendMessage").
+ * @param {object|FormData} params - JSON parameters, or a form for file uploads.
+ * @returns {Promise<any>} The result of the call.
+ * @throws {Error} If Telegram rejects the call or can't be reached (`status` 502).
+ */
+async function telegramRequest(method, params) {
+    const isFormData = params instanceof FormData;
+    let response;
+    try {
+        response = await fetch(`${botApiUrl}/bot${botToken}/${method}`, {
+            method: 'POST',
+            headers: isFormData ? undefined : { 'Content-Type': 'application/json' },
+            body: isFormData ? params : JSON.stringify(params),
+            signal: AbortSignal.timeout(15000),
+        });
+    } catch (error) {
+        throw createServerError(502, `Telegram ${method} failed: ${error.message}`);
+    }
+    const data = await response.json().catch(() => ({}));
+    if (!data.ok) {
+        throw createServerError(502, `Telegram ${method} failed: ${data.description || `HTTP ${response.status}`}`);
+    }
+    return data.result;
+}
+
+/**
+ * Builds the staff buttons of an order message, the same ones the admin's store sends (see
+ * buildOrderKeyboard in orders.js).
+ * @param {string} orderId - The validated order ID.
+ * @returns {{inline_keyboard: Array<Array<{text: string, callback_data: string}>>}} The reply_markup.
+ */
+function buildOrderKeyboard(orderId) {
+    return {
+        inline_keyboard: ORDER_KEYBOARD_BUTTONS.map(row => row.map(({ text, word }) => ({
+            text,
+            callback_data: `*PEDIDO* *${orderId}* *${word}*`,
+        }))),
+    };
+}
+
+/**
+ * Subtracts the units of an accepted order from the stock of the products that track it (never
+ * below 0), like the store does (see decreaseProductStock in ui.js). The catalog gets a new version,
+ * so storefronts load the new stock; it is saved with the order.
+ * @param {Array<object>} items - The order items (see buildOrderPayload in orders.js).
+ * @returns {Array<string>} The IDs of the products whose stock changed.
+ */
+function decreaseOrderStock(items) {
+    const changedIds = [];
+    items.forEach(item => {
+        const id = String(item?.id);
+        const product = catalog.products[id];
+        if (!Number.isInteger(product?.stock) || !Number.isInteger(item.quantity) || item.quantity <= 0) return;
+        catalog.products[id] = { ...product, stock: Math.max(0, product.stock - item.quantity) };
+        changedIds.push(id);
+    });
+    if (changedIds.length > 0) {
+        catalog = { ...catalog, version: catalog.version + 1, updatedAt: new Date().toISOString() };
+    }
+    return changedIds;
+}
+
+/**
+ * Counts an order against the client's hourly limit.
+ * @param {string} clientAddress - The client's IP address.
+ * @returns {boolean} False if the client already sent MAX_ORDERS_PER_CLIENT orders in the last hour.
+ */
+function takeOrderAllowance(clientAddress) {
+    const hourAgo = Date.now() - 60 * 60 * 1000;
+    const recentOrders = (recentOrdersByClient.get(clientAddress) || []).filter(time => time > hourAgo);
+    if (recentOrders.length >= MAX_ORDERS_PER_CLIENT) {
+        recentOrdersByClient.set(clientAddress, recentOrders);
+        return false;
+    }
+    recentOrders.push(Date.now());
+    recentOrdersByClient.set(clientAddress, recentOrders);
+    return true;
+}
+
+/**
+ * Forgets the clients that sent no order in the last hour, so the order limit doesn't keep
+ * every address the service has ever seen.
+ */
+function sweepOrderAllowances() {
+    const hourAgo = Date.now() - 60 * 60 * 1000;
+    recentOrdersByClient.forEach((times, clientAddress) => {
+        if (!times.some(time => time > hourAgo)) {
+            recentOrdersByClient.delete(clientAddress);
+        }
+    });
+}
+
+/**
+ * Handles POST /orders: sends a customer's order (text, staff buttons and the JSON file) to the shop's chat.
+ * Sending the same order ID again is answered without sending it twice, so the store can retry safely.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+async function handleOrderRequest(req, res) {
+    if (!botToken || !chatId) {
+        sendJson(res, 503, { error: 'Order relay not configured' });
+        return;
+    }
+    const body = (await readBody(req, MAX_BODY_BYTES)).toString('utf8');
+    const { text, payload } = body ? JSON.parse(body) : {};
+    const orderId = payload?.orderId;
+    if (payload?.schema !== ORDER_PAYLOAD_SCHEMA || !ORDER_ID_PATTERN.test(orderId ?? '') || !Array.isArray(payload.items) || payload.items.length === 0) {
+        throw new Error('payload must be an order (see buildOrderPayload in orders.js)');
+    }
+    if (typeof text !== 'string' || !text.includes(orderId) || text.length > MAX_MESSAGE_LENGTH) {
+        throw new Error(`text must contain the order ID and have at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+    if (catalog.orders[orderId]) {
+        sendJson(res, 200, { orderId, duplicate: true });
+        return;
+    }
+    if (!takeOrderAllowance(getClientAddress(req))) {
+        sendJson(res, 429, { error: 'Too many orders from this client. Try again later.' });
+        return;
+    }
+
+    const message = await telegramRequest('sendMessage', { chat_id: chatId, text, reply_markup: buildOrderKeyboard(orderId) });
+    try {
+        const form = new FormData();
+        form.append('chat_id', chatId);
+        form.append('document', new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }), `pedido-${orderId}.json`);
+        form.append('caption', `Datos del pedido ${orderId}`);
+        form.append('reply_parameters', JSON.stringify({ message_id: message.message_id, allow_sending_without_reply: true }));
+        await telegramRequest('sendDocument', form);
+    } catch (error) {
+        // The order is already in the chat as text
+        console.warn(`Could not send the JSON of order ${orderId}:`, error.message);
+    }
+
+    const stockChangedIds = decreaseOrderStock(payload.items);
+    await recordOrderStatus(orderId, 'sent');
+    console.log(`Relayed order ${orderId} to chat ${chatId}.`);
+    if (stockChangedIds.length > 0) {
+        console.log(`Catalog version ${catalog.version}: stock of ${stockChangedIds.join(', ')} decreased by order ${orderId}.`);
+    }
+    sendJson(res, 200, { orderId, messageId: message.message_id });
+}
+
+/**
+ * Remembers an order's status, forgetting the oldest orders beyond MAX_KNOWN_ORDERS.
+ * @param {string} orderId - The order ID.
+ * @param {string} status - The status (see ORDER_STATUS_KEYS).
+ * @returns {Promise<object>} The recorded {status, statusUpdatedAt}, once saved.
+ */
+async function recordOrderStatus(orderId, status) {
+    const entry = { status, statusUpdatedAt: Date.now() };
+    catalog.orders[orderId] = entry;
+    const orderIds = Object.keys(catalog.orders);
+    if (orderIds.length > MAX_KNOWN_ORDERS) {
+        orderIds.sort((a, b) => catalog.orders[a].statusUpdatedAt - catalog.orders[b].statusUpdatedAt)
+            .slice(0, orderIds.length - MAX_KNOWN_ORDERS)
+            .forEach(id => delete catalog.orders[id]);
+    }
+    await saveCatalog();
+    return entry;
+}
+
+/**
+ * Handles the /orders/status endpoints: customers read the status of their orders (GET) and the
+ * admin's store records the status set with *PEDIDO* (POST). Orders the admin's store sent straight
+ * to Telegram are recorded on their first status change.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {URL} requestUrl - The parsed request URL.
+ */
+async function handleOrderStatusRequest(req, res, requestUrl) {
+    if (req.method === 'POST') {
+        if (!isAdminRequest(req)) {
+            sendJson(res, 401, { error: 'Invalid admin key' });
+            return;
+        }
+        const body = (await readBody(req, MAX_BODY_BYTES)).toString('utf8');
+        const { orderId, status } = body ? JSON.parse(body) : {};
+        if (!ORDER_ID_PATTERN.test(orderId ?? '') || !ORDER_STATUS_KEYS.includes(status)) {
+            throw new Error(`orderId must be an order ID and status one of ${ORDER_STATUS_KEYS.join(', ')}`);
+        }
+        const entry = await recordOrderStatus(orderId, status);
+        console.log(`Order ${orderId} is now ${status}.`);
+        sendJson(res, 200, { orderId, ...entry });
+        return;
+    }
+
+    const orderIds = (requestUrl.searchParams.get('ids') || '').split(',').filter(Boolean);
+    if (orderIds.length > MAX_STATUS_IDS) {
+        throw new Error(`At most ${MAX_STATUS_IDS} order IDs per request`);
+    }
+    const statuses = {};
+    orderIds.filter(orderId => Object.hasOwn(catalog.orders, orderId)).forEach(orderId => {
+        statuses[orderId] = catalog.orders[orderId];
+    });
+    sendJson(res, 200, { statuses });
+}
+
+/**
+ * Handles the /media/<key> endpoints.
+ * @param {string} key - The media key.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+async function handleMediaRequest(key, req, res) {
+    if (req.method === 'PUT') {
+        if (!isAdminRequest(req)) {
+            sendJson(res, 401, { error: 'Invalid admin key' });
+            return;
+        }
+        const type = req.headers['content-type'] || '';
+        if (!type.startsWith('image/')) {
+            sendJson(res, 415, { error: 'Only images can be uploaded' });
+            return;
+        }
+        const bytes = await readBody(req, MAX_MEDIA_BYTES);
+        try {
+            await writeFile(getMediaFile(key), bytes);
+        } catch (error) {
+            console.error(`Cannot save image ${key}:`, error);
+            throw createServerError(500, 'Cannot save the image');
+        }
+        catalog.media[key] = { type, size: bytes.length };
+        await saveCatalog();
+        console.log(`Stored image ${key} (${bytes.length} bytes).`);
+        sendJson(res, 200, { key, size: bytes.length });
+        return;
+    }
+
+    const entry = catalog.media[key];
+    if (!entry) {
+        sendJson(res, 404, { error: 'Image not found' });
+        return;
+    }
+    // Read (or check) the file before writing any header, so a missing file is still a clean 404
+    let file;
+    try {
+        if (req.method === 'HEAD') {
+            await stat(getMediaFile(key));
+        } else {
+            file = await readFile(getMediaFile(key));
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        console.warn(`Image ${key} is in the catalog but its file is missing.`);
+        sendJson(res, 404, { error: 'Image not found' });
+        return;
+    }
+    // Media keys never change content, so the browser can keep the image
+    res.writeHead(200, {
+        'Content-Type': entry.type,
+        'Content-Length': entry.size,
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'public, max-age=31536000, immutable',
+    });
+    res.end(file);
+}
+
+/**
+ * Handles one request. Errors thrown while handling become 400 responses, or the error's `status`
+ * (see createServerError).
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+async function handleRequest(req, res) {
+    const requestUrl = new URL(req.url, `http://localhost:${port}`);
+    const path = requestUrl.pathname;
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        });
+        res.end();
+        return;
+    }
+
+    try {
+        if (path === '/catalog' && (req.method === 'GET' || req.method === 'HEAD')) {
+            sendJson(res, 200, getPublicCatalog());
+            return;
+        }
+
+        if (path === '/catalog/changes' && req.method === 'POST') {
+            if (!isAdminRequest(req)) {
+                sendJson(res, 401, { error: 'Invalid admin key' });
+                return;
+            }
+            const body = (await readBody(req, MAX_BODY_BYTES)).toString('utf8');
+            const { changes } = body ? JSON.parse(body) : {};
+            const { products, order } = applyChanges(changes);
+            catalog = { ...catalog, version: catalog.version + 1, updatedAt: new Date().toISOString(), products, order };
+            await saveCatalog();
+            console.log(`Catalog version ${catalog.version}: applied ${changes.length} changes.`);
+            sendJson(res, 200, { version: catalog.version, updatedAt: catalog.updatedAt });
+            return;
+        }
+
+        if (path === '/orders' && req.method === 'POST') {
+            await handleOrderRequest(req, res);
+            return;
+        }
+
+        if (path === '/orders/status' && (req.method === 'GET' || req.method === 'HEAD' || req.method === 'POST')) {
+            await handleOrderStatusRequest(req, res, requestUrl);
+            return;
+        }
+
+        const mediaMatch = /^\/media\/([^/]+)$/.exec(path);
+        if (mediaMatch && ['GET', 'HEAD', 'PUT'].includes(req.method)) {
+            await handleMediaRequest(decodeURIComponent(mediaMatch[1]), req, res);
+            return;
+        }
+
+        sendJson(res, 404, { error: 'Not Found' });
+    } catch (error) {
+        console.error(`Error handling ${req.method} ${path}:`, error);
+        sendJson(res, error.status || 400, { error: error.message });
+    }
+}
+
+const server = http.createServer((req, res) => {
+    // Last line of defence: one bad request must never stop the server
+    handleRequest(req, res).catch(error => {
+        console.error(`Unexpected error handling ${req.method} ${req.url}:`, error);
+        sendJson(res, 500, { error: 'Internal error' });
+    });
+});
+
+await loadCatalog();
+setInterval(sweepOrderAllowances, ORDER_LIMIT_SWEEP_INTERVAL_MS).unref();
+const isNewAdminKey = adminKey ? false : await loadAdminKey();
+server.listen(port, () => {
+    console.log(`Catalog service listening on http://localhost:${port} (data: ${dataFile}).`);
+    if (isNewAdminKey) {
+        console.log(`Generated admin key (saved in ${adminKeyFile}): ${adminKey}`);
+    } else if (!getOption('admin-key')) {
+        console.log(`Using the admin key saved in ${adminKeyFile}.`);
+    }
+    console.log(`Set "URL del servicio de catálogo" to http://localhost:${port} in Ajustes.`);
+    if (!botToken || !chatId) {
+        console.log("Order relay disabled: start with --bot-token and --chat-id so customers can send orders.");
+    }
+});
@@ -0,0 +1,261 @@
+// --- Catalog Sync ---
+// Keeps the product catalog in the catalog service (catalog-server.js), so every visitor sees
+// the same products. Storefronts load the catalog from the service when they open and on
+// pull-to-refresh, replacing the products saved in the browser. The admin's store (settings
+// unlocked, so the admin key is in the session) sends every catalog change it applies; changes
+// that can't be sent are kept and retried, and the local catalog is not replaced meanwhile.
+// Without a service URL the store keeps working with the products saved in the browser.
+import { STORES, getRecord, putRecord, deleteRecord, runBatch } from './repository.js';
+import { loadSessionApiTokens, saveProductOrder } from './storage.js';
+import { loadProductData, getProductOrder, getProductImageUrls, loadAllProductData } from './ui.js';
+import { isMediaReference, getCachedMediaBlob, setRemoteMediaBaseUrl, MEDIA_REFERENCE_PREFIX } from './media-cache.js';
+import { broadcastStateChange } from './tab-coordinator.js';
+
+// --- Storage Keys ---
+const CATALOG_SERVICE_URL_KEY = 'catalogServiceUrl'; // Set in Ajustes (see storage.js)
+const CATALOG_VERSION_KEY = 'catalogServiceVersion'; // Version of the catalog last loaded from the service
+const PENDING_CATALOG_CHANGES_KEY = 'pendingCatalogChanges'; // IDs of changed products not sent yet
+
+// --- Tweakable Configuration ---
+/* @tweakable URL of the catalog service every visitor loads the products from (e.g. "https://tienda.example.com:8082"). Empty: only the URL set in Ajustes of each browser. */
+const CATALOG_SERVICE_URL = '';
+const CATALOG_REQUEST_TIMEOUT_MS = 10000;
+const TELEGRAM_FILE_URL_PATTERN = /\/file\/bot[^/]+\//; // Contain the bot token: never published
+
+// --- State ---
+let publishQueue = Promise.resolve(); // Publications run one at a time
+const uploadedMediaKeys = new Set(); // Photos known to be in the service
+
+/**
+ * Gets the catalog service URL: the one set in Ajustes, or CATALOG_SERVICE_URL.
+ * @returns {string|null} The URL without a trailing slash, or null if there is no service.
+ */
+export function getCatalogServiceUrl() {
+    const url = (getRecord(STORES.SETTINGS, CATALOG_SERVICE_URL_KEY) || CATALOG_SERVICE_URL).trim();
+    return url ? url.replace(/\/+$/, '') : null;
+}
+
+/**
+ * Gets the admin key of the catalog service, decrypted for this browser session.
+ * @returns {string|null} The key, or null if it isn't set or settings haven't been unlocked.
+ */
+export function getCatalogServiceKey() {
+    return loadSessionApiTokens()?.catalogServiceKey || null;
+}
+
+/**
+ * Sends a request to the catalog service.
+ * @param {string} path - The path (e.g. "/catalog").
+ * @param {RequestInit} options - fetch options; admin requests get the admin key.
+ * @param {boolean} isAdminRequest - Whether to send the admin key.
+ * @returns {Promise<Response>} The response (2xx, or 404 for HEAD requests).
+ * @throws {Error} On network errors, timeouts and error statuses. Error statuses carry `status` (the HTTP status).
+ */
+export async function catalogServiceRequest(path, options = {}, isAdminRequest = false) {
+    const headers = { ...options.headers };
+    if (isAdminRequest) {
+        headers.Authorization = `Bearer ${getCatalogServiceKey()}`;
+    }
+    const response = await fetch(`${getCatalogServiceUrl()}${path}`, {
+        ...options,
+        headers,
+        signal: AbortSignal.timeout(CATALOG_REQUEST_TIMEOUT_MS),
+    });
+    if (!response.ok && !(options.method === 'HEAD' && response.status === 404)) {
+        let description = '';
+        try {
+            description = (await response.json()).error || '';
+        } catch (error) {
+            // Not JSON: the status is enough
+        }
+        const serviceError = new Error(`Catalog service error (HTTP ${response.status})${description ? `: ${description}` : ''}`);
+        serviceError.status = response.status;
+        throw serviceError;
+    }
+    return response;
+}
+
+/**
+ * Prepares a product for the service. Telegram file URLs are left out: they contain the bot token.
+ * @param {object} data - The saved product data.
+ * @returns {object} The product to publish.
+ */
+function toPublishedProduct(data) {
+    const imageUrls = getProductImageUrls(data).filter(url => !TELEGRAM_FILE_URL_PATTERN.test(url));
+    return { ...data, imageUrls, imageUrl: imageUrls[0] ?? null };
+}
+
+/**
+ * Uploads the cached photos the service doesn't have yet, so visitors never see a missing photo.
+ * @param {Array<string>} imageUrls - The image URLs of the published products.
+ * @throws {Error} If a photo can't be uploaded.
+ */
+async function uploadMissingMedia(imageUrls) {
+    for (const reference of imageUrls.filter(isMediaReference)) {
+        const key = reference.substring(MEDIA_REFERENCE_PREFIX.length);
+        if (uploadedMediaKeys.has(key)) continue;
+        const path = `/media/${encodeURIComponent(key)}`;
+        const { status } = await catalogServiceRequest(path, { method: 'HEAD' });
+        if (status === 404) {
+            const blob = await getCachedMediaBlob(reference);
+            if (!blob) {
+                console.warn(`Image ${key} is not in this browser's cache and cannot be published.`);
+                continue;
+            }
+            await catalogServiceRequest(path, { method: 'PUT', headers: { 'Content-Type': blob.type || 'image/jpeg' }, body: blob }, true);
+            console.log(`Uploaded image ${key} to the catalog service.`);
+        }
+        uploadedMediaKeys.add(key);
+    }
+}
+
+/**
+ * Loads the IDs of the changed products that haven't been sent to the service.
+ * @returns {Array<string>} The product IDs.
+ */
+function loadPendingCatalogChanges() {
+    const productIds = getRecord(STORES.SETTINGS, PENDING_CATALOG_CHANGES_KEY);
+    return Array.isArray(productIds) ? productIds.map(String) : [];
+}
+
+/**
+ * Sends the pending changes (saved products, deleted products and the display order) to the service.
+ * @returns {Promise<boolean>} True if there was nothing left to send or everything was sent.
+ */
+async function sendPendingCatalogChanges() {
+    const productIds = loadPendingCatalogChanges();
+    if (productIds.length === 0) {
+        return true;
+    }
+    if (!getCatalogServiceKey()) {
+        console.warn(`${productIds.length} catalog changes not sent to the catalog service: no admin key in this session. Unlock Ajustes to send them.`);
+        return false;
+    }
+
+    try {
+        const changes = productIds.map(id => {
+            const data = loadProductData(id);
+            return data ? { type: 'upsert', id, product: toPublishedProduct(data) } : { type: 'delete', id };
+        });
+        await uploadMissingMedia(changes.flatMap(change => change.product?.imageUrls ?? []));
+        changes.push({ type: 'order', order: getProductOrder() });
+
+        const response = await catalogServiceRequest('/catalog/changes', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ changes }),
+        }, true);
+        const { version } = await response.json();
+
+        // Products added to the list while sending stay pending
+        const stillPending = loadPendingCatalogChanges().filter(id => !productIds.includes(id));
+        if (stillPending.length > 0) {
+            putRecord(STORES.SETTINGS, PENDING_CATALOG_CHANGES_KEY, stillPending);
+        } else {
+            deleteRecord(STORES.SETTINGS, PENDING_CATALOG_CHANGES_KEY);
+        }
+        // Skip reloading our own changes, unless someone else published in between
+        if (version === getRecord(STORES.SETTINGS, CATALOG_VERSION_KEY, 0) + 1) {
+            putRecord(STORES.SETTINGS, CATALOG_VERSION_KEY, version);
+        }
+        console.log(`Sent ${productIds.length} catalog changes to the catalog service (version ${version}).`);
+        return stillPending.length === 0;
+    } catch (error) {
+        console.error("Error sending catalog changes to the catalog service. They will be retried:", error);
+        return false;
+    }
+}
+
+/**
+ * Sends catalog changes to the catalog service. Call it after saving, deleting or moving products
+ * (the display order is sent with every change). Changes that can't be sent are kept and retried
+ * with the next publication or refresh. Does nothing without a catalog service.
+ * @param {Array<string>} productIds - The IDs of the saved, deleted or moved products.
+ * @returns {Promise<boolean>} True if every pending change was sent.
+ */
+export function publishCatalogChanges(productIds) {
+    if (!getCatalogServiceUrl()) {
+        return Promise.resolve(false);
+    }
+    const pending = loadPendingCatalogChanges();
+    putRecord(STORES.SETTINGS, PENDING_CATALOG_CHANGES_KEY, [...new Set([...pending, ...productIds.map(String)])]);
+    publishQueue = publishQueue.then(sendPendingCatalogChanges);
+    return publishQueue;
+}
+
+/**
+ * Sends the whole local catalog to the catalog service, deleting the products it has that this
+ * browser doesn't. Used to fill the service the first time from the admin's browser.
+ * @returns {Promise<number>} The number of products published.
+ * @throws {Error} If there is no catalog service or admin key, or the catalog can't be sent.
+ */
+export async function publishWholeCatalog() {
+    if (!getCatalogServiceUrl()) {
+        throw new Error("No hay ningún servicio de catálogo configurado.");
+    }
+    if (!getCatalogServiceKey()) {
+        throw new Error("Falta la clave de administración del servicio de catálogo.");
+    }
+    const response = await catalogServiceRequest('/catalog');
+    const remoteIds = ((await response.json()).products || []).map(product => String(product.id));
+    const localIds = getProductOrder();
+    const productIds = [...new Set([...localIds, ...remoteIds])];
+    putRecord(STORES.SETTINGS, PENDING_CATALOG_CHANGES_KEY, productIds);
+    publishQueue = publishQueue.then(sendPendingCatalogChanges);
+    if (!await publishQueue) {
+        throw new Error("No se pudo enviar el catálogo al servicio. Revisa la URL y la clave.");
+    }
+    return localIds.length;
+}
+
+/**
+ * Loads the catalog from the catalog service and replaces the products saved in this browser.
+ * Changes of this browser that haven't been sent yet are sent first; if they can't be, the local
+ * catalog is kept. Refreshes the product grid of this page and of the other open tabs.
+ * @returns {Promise<boolean>} True if the catalog changed.
+ * @throws {Error} If the service can't be reached or sends an invalid catalog.
+ */
+export async function refreshCatalogFromService() {
+    if (!getCatalogServiceUrl()) {
+        return false;
+    }
+    if (loadPendingCatalogChanges().length > 0) {
+        publishQueue = publishQueue.then(sendPendingCatalogChanges);
+        if (!await publishQueue) {
+            console.warn("Local catalog changes are still pending. The catalog service's catalog is not loaded.");
+            return false;
+        }
+    }
+
+    const response = await catalogServiceRequest('/catalog', { cache: 'no-store' });
+    const { version, products, order } = await response.json();
+    if (!Number.isInteger(version) || !Array.isArray(products) || !Array.isArray(order)) {
+        throw new Error("The catalog service sent an invalid catalog.");
+    }
+    if (version === getRecord(STORES.SETTINGS, CATALOG_VERSION_KEY)) {
+        console.log(`Catalog is up to date (version ${version}).`);
+        return false;
+    }
+
+    const remoteProducts = products.filter(product => {
+        if (product && /^\d+$/.test(String(product.id)) && typeof product.name === 'string') return true;
+        console.warn("Ignoring invalid product from the catalog service:", product);
+        return false;
+    });
+    const remoteIds = new Set(remoteProducts.map(product => String(product.id)));
+    await runBatch(() => {
+        getProductOrder().filter(id => !remoteIds.has(id)).forEach(id => deleteRecord(STORES.PRODUCTS, id));
+        remoteProducts.forEach(({ id, ...data }) => putRecord(STORES.PRODUCTS, String(id), data));
+        saveProductOrder(order.map(String).filter(id => remoteIds.has(id)));
+        putRecord(STORES.SETTINGS, CATALOG_VERSION_KEY, version);
+    });
+
+    console.log(`Loaded catalog version ${version} (${remoteProducts.length} products) from the catalog service.`);
+    if (document.querySelector('.product-grid')) {
+        loadAllProductData();
+    }
+    broadcastStateChange('catalog-changed');
+    return true;
+}
+
+setRemoteMediaBaseUrl(getCatalogServiceUrl());
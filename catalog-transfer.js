@@ -0,0 +1,404 @@
+// --- Catalog Import/Export ---
+// Backs up, migrates and bulk-edits the product catalog as JSON or CSV files.
+// Imports are parsed and validated as a whole, compared with the current catalog so the
+// changes can be previewed, and only then applied. Used by settings.js and the *CATALOGO* command.
+import { saveProductData, loadProductData, loadAllProductData, normalizeProductCategory } from './ui.js';
+import { STORES, getRecordKeys, deleteRecord, runBatch } from './repository.js';
+import { broadcastStateChange } from './tab-coordinator.js';
+import { isMediaReference } from './media-cache.js';
+import { publishCatalogChanges } from './catalog-sync.js';
+
+/** Columns of the CSV format, also the fields of each product in the JSON format. */
+export const CATALOG_FIELDS = ['id', 'name', 'description', 'category', 'priceCUP', 'priceMLC', 'imageUrl', 'stock'];
+
+// --- Tweakable Configuration ---
+const CATALOG_FILE_VERSION = 1;
+const MAX_REPORTED_ERRORS = 10; // Validation errors listed before "... y N más"
+const COMPARED_FIELDS = ['name', 'description', 'category', 'priceCUP', 'priceMLC', 'imageUrl', 'stock'];
+
+/**
+ * Reads every saved product, without touching the DOM.
+ * @returns {Array<{id: string, name: string, description: string, category: string|null, priceCUP: number|null, priceMLC: number|null, imageUrl: string|null, stock: number|null}>}
+ *   The products sorted by numeric ID.
+ */
+export function getCatalogProducts() {
+    const products = [];
+    for (const id of getRecordKeys(STORES.PRODUCTS)) {
+        if (!/^\d+$/.test(id)) continue;
+        const data = loadProductData(id);
+        if (!data) continue;
+        products.push({
+            id,
+            name: data.name ?? '',
+            description: data.description ?? '',
+            category: data.category ?? null,
+            priceCUP: data.priceCUP ?? null,
+            priceMLC: data.priceMLC ?? null,
+            imageUrl: data.imageUrl ?? null,
+            stock: data.stock ?? null,
+        });
+    }
+    return products.sort((a, b) => parseInt(a.id, 10) - parseInt(b.id, 10));
+}
+
+// --- Export ---
+
+/**
+ * Serializes products as a JSON catalog file.
+ * @param {Array<object>} products - The products (see getCatalogProducts).
+ * @returns {string} The JSON text.
+ */
+export function exportCatalogAsJson(products) {
+    return JSON.stringify({ version: CATALOG_FILE_VERSION, exportedAt: new Date().toISOString(), products }, null, 2);
+}
+
+/**
+ * Quotes a CSV value when it contains a delimiter, quote or line break.
+ * @param {any} value - The value.
+ * @returns {string} The CSV field.
+ */
+function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes products as a CSV file with a header row. Starts with a BOM so spreadsheet
+ * programs read the accents correctly.
+ * @param {Array<object>} products - The products (see getCatalogProducts).
+ * @returns {string} The CSV text.
+ */
+export function exportCatalogAsCsv(products) {
+    const rows = [CATALOG_FIELDS.join(',')];
+    products.forEach(product => {
+        rows.push(CATALOG_FIELDS.map(field => toCsvField(product[field])).join(','));
+    });
+    return `\uFEFF${rows.join('\r\n')}\r\n`;
+}
+
+// --- Import ---
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180: quoted fields may contain delimiters,
+ * doubled quotes and line breaks).
+ * @param {string} text - The CSV text without BOM.
+ * @param {string} delimiter - ',' or ';'.
+ * @returns {Array<Array<string>>} The rows, skipping empty lines.
+ * @throws {Error} If a quoted field is not closed.
+ */
+function parseCsvRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) {
+        throw new Error("El CSV tiene un campo entre comillas sin cerrar.");
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parses CSV catalog text into raw product records keyed by column name.
+ * The delimiter is ',' or ';' (as saved by spreadsheets with a comma decimal separator).
+ * @param {string} text - The CSV text.
+ * @returns {Array<object>} The raw records.
+ * @throws {Error} If the header is missing required columns.
+ */
+function parseCatalogCsv(text) {
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = headerLine.includes(';') && !headerLine.includes(',') ? ';' : ',';
+    const [header, ...rows] = parseCsvRows(text, delimiter);
+    if (!header) {
+        throw new Error("El CSV está vacío.");
+    }
+
+    const columns = header.map(column => column.trim());
+    const columnIndex = {};
+    CATALOG_FIELDS.forEach(field => {
+        const index = columns.findIndex(column => column.toLowerCase() === field.toLowerCase());
+        if (index !== -1) columnIndex[field] = index;
+    });
+    const missing = ['id', 'name'].filter(field => columnIndex[field] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`Faltan columnas en la cabecera del CSV: ${missing.join(', ')}. Columnas esperadas: ${CATALOG_FIELDS.join(', ')}.`);
+    }
+
+    return rows.map(fields => {
+        const record = {};
+        Object.entries(columnIndex).forEach(([field, index]) => {
+            record[field] = fields[index] ?? '';
+        });
+        return record;
+    });
+}
+
+/**
+ * Parses a price from a catalog file. Accepts numbers and strings with a comma or dot decimal separator.
+ * @param {any} value - The raw value.
+ * @returns {number|null} The price, or null if empty.
+ * @throws {Error} If the value is not a non-negative number.
+ */
+function parseCatalogPrice(value) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+        return null;
+    }
+    const price = typeof value === 'number' ? value : Number(String(value).trim().replace(',', '.'));
+    if (!Number.isFinite(price) || price < 0) {
+        throw new Error(`precio inválido "${value}"`);
+    }
+    return price;
+}
+
+/**
+ * Parses a stock quantity from a catalog file.
+ * @param {any} value - The raw value.
+ * @returns {number|null} The units in stock, or null if empty (stock not tracked).
+ * @throws {Error} If the value is not a non-negative integer.
+ */
+function parseCatalogStock(value) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+        return null;
+    }
+    const stock = Number(String(value).trim());
+    if (!Number.isInteger(stock) || stock < 0) {
+        throw new Error(`stock inválido "${value}"`);
+    }
+    return stock;
+}
+
+/**
+ * Validates one raw product record.
+ * `description`, `category`, `imageUrl` and `stock` are left undefined when the file has no such column/field,
+ * so importing a file without images keeps the current images.
+ * @param {object} record - The raw record.
+ * @returns {object} The product with normalized fields.
+ * @throws {Error} With a readable reason if the record is invalid.
+ */
+function validateCatalogRecord(record) {
+    if (!record || typeof record !== 'object') {
+        throw new Error("no es un producto");
+    }
+    const id = String(record.id ?? '').trim();
+    if (!/^\d+$/.test(id) || parseInt(id, 10) < 1) {
+        throw new Error(`ID inválido "${record.id ?? ''}" (debe ser un número entero positivo)`);
+    }
+    const name = String(record.name ?? '').trim();
+    if (!name) {
+        throw new Error("falta el nombre");
+    }
+    const priceCUP = parseCatalogPrice(record.priceCUP);
+    const priceMLC = parseCatalogPrice(record.priceMLC);
+    if (priceCUP === null && priceMLC === null) {
+        throw new Error("falta el precio (CUP o MLC)");
+    }
+    const imageUrl = 'imageUrl' in record ? String(record.imageUrl ?? '').trim() || null : undefined;
+    if (imageUrl && !/^(https?:|data:image\/)/i.test(imageUrl) && !isMediaReference(imageUrl)) {
+        throw new Error(`URL de imagen inválida "${imageUrl}"`);
+    }
+    const description = 'description' in record ? String(record.description ?? '').trim() : undefined;
+    let category;
+    if ('category' in record) {
+        try {
+            category = normalizeProductCategory(record.category);
+        } catch {
+            throw new Error(`categoría demasiado larga "${record.category}"`);
+        }
+    }
+    const stock = 'stock' in record ? parseCatalogStock(record.stock) : undefined;
+    return { id: String(parseInt(id, 10)), name, description, category, priceCUP, priceMLC, imageUrl, stock };
+}
+
+/**
+ * Parses and validates a catalog file. The format is detected from the content
+ * (JSON object/array or CSV). Every product is validated; one invalid row rejects the whole file.
+ * @param {string} text - The file content.
+ * @returns {{products: Array<object>, errors: Array<string>}} The valid products and, if any, the errors.
+ */
+export function parseCatalogFile(text) {
+    const content = String(text ?? '').replace(/^\uFEFF/, '');
+    let records;
+    let firstRowNumber = 1; // For error messages: JSON counts products from 1, CSV rows after the header from 2
+    try {
+        if (/^\s*[[{]/.test(content)) {
+            const parsed = JSON.parse(content);
+            records = Array.isArray(parsed) ? parsed : parsed?.products;
+            if (!Array.isArray(records)) {
+                throw new Error('el JSON debe ser una lista de productos o un objeto con "products"');
+            }
+        } else {
+            records = parseCatalogCsv(content);
+            firstRowNumber = 2;
+        }
+    } catch (error) {
+        return { products: [], errors: [`No se pudo leer el archivo: ${error.message}`] };
+    }
+
+    if (records.length === 0) {
+        return { products: [], errors: ["El archivo no contiene productos."] };
+    }
+
+    const products = [];
+    const errors = [];
+    const seenIds = new Set();
+    records.forEach((record, index) => {
+        const rowLabel = `${firstRowNumber === 1 ? 'Producto' : 'Fila'} ${index + firstRowNumber}`;
+        try {
+            const product = validateCatalogRecord(record);
+            if (seenIds.has(product.id)) {
+                throw new Error(`ID ${product.id} repetido`);
+            }
+            seenIds.add(product.id);
+            products.push(product);
+        } catch (error) {
+            errors.push(`${rowLabel}: ${error.message}.`);
+        }
+    });
+
+    if (errors.length > MAX_REPORTED_ERRORS) {
+        const hiddenCount = errors.length - MAX_REPORTED_ERRORS;
+        errors.splice(MAX_REPORTED_ERRORS, hiddenCount, `... y ${hiddenCount} errores más.`);
+    }
+    return { products: errors.length === 0 ? products : [], errors };
+}
+
+/**
+ * Compares imported products with the current catalog.
+ * @param {Array<object>} currentProducts - The current catalog (see getCatalogProducts).
+ * @param {Array<object>} importedProducts - The validated imported products.
+ * @param {boolean} removeMissing - Whether products missing from the import will be deleted.
+ * @returns {{added: Array<object>, updated: Array<{before: object, after: object, changedFields: Array<string>}>, removed: Array<object>, unchangedCount: number}}
+ *   The changes the import would make; `added` and `after` are the products as they will be saved.
+ */
+export function diffCatalog(currentProducts, importedProducts, removeMissing) {
+    const currentById = new Map(currentProducts.map(product => [product.id, product]));
+    const importedIds = new Set(importedProducts.map(product => product.id));
+    const diff = { added: [], updated: [], removed: [], unchangedCount: 0 };
+
+    importedProducts.forEach(importedProduct => {
+        const current = currentById.get(importedProduct.id);
+        // Fields missing from the file keep their current value
+        const definedFields = Object.fromEntries(Object.entries(importedProduct).filter(([, value]) => value !== undefined));
+        if (!current) {
+            diff.added.push({ description: '', category: null, imageUrl: null, stock: null, ...definedFields });
+            return;
+        }
+        const product = { ...current, ...definedFields };
+        const changedFields = COMPARED_FIELDS.filter(field => (current[field] ?? null) !== (product[field] ?? null));
+        if (changedFields.length > 0) {
+            diff.updated.push({ before: current, after: product, changedFields });
+        } else {
+            diff.unchangedCount++;
+        }
+    });
+
+    if (removeMissing) {
+        diff.removed = currentProducts.filter(product => !importedIds.has(product.id));
+    }
+    return diff;
+}
+
+/**
+ * Summarizes a diff in one line of counts.
+ * @param {object} diff - The result of diffCatalog.
+ * @returns {string} The summary (e.g. "2 nuevos, 1 modificados, 0 eliminados, 5 sin cambios.").
+ */
+export function summarizeCatalogDiff(diff) {
+    return `${diff.added.length} nuevos, ${diff.updated.length} modificados, ${diff.removed.length} eliminados, ${diff.unchangedCount} sin cambios.`;
+}
+
+/**
+ * Checks whether applying a diff would change anything.
+ * @param {object} diff - The result of diffCatalog.
+ * @returns {boolean} True if there are products to add, update or remove.
+ */
+export function catalogDiffHasChanges(diff) {
+    return diff.added.length + diff.updated.length + diff.removed.length > 0;
+}
+
+/**
+ * Describes a diff as plain text lines (for the Telegram reply and logs).
+ * @param {object} diff - The result of diffCatalog.
+ * @param {number} maxItems - Maximum products listed per group.
+ * @returns {string} The summary.
+ */
+export function formatCatalogDiff(diff, maxItems = 15) {
+    const lines = [summarizeCatalogDiff(diff)];
+    const listItems = (title, items, describe) => {
+        if (items.length === 0) return;
+        lines.push('', title);
+        items.slice(0, maxItems).forEach(item => lines.push(`- ${describe(item)}`));
+        if (items.length > maxItems) lines.push(`- ... y ${items.length - maxItems} más`);
+    };
+    listItems('Nuevos:', diff.added, product => `${product.id}: ${product.name}`);
+    listItems('Modificados:', diff.updated, ({ after, changedFields }) => `${after.id}: ${after.name} (${changedFields.join(', ')})`);
+    listItems('Eliminados:', diff.removed, product => `${product.id}: ${product.name}`);
+    return lines.join('\n');
+}
+
+/**
+ * Applies a validated import all or nothing: saves every imported product and, if requested,
+ * deletes the ones missing from it, in a single repository batch. If any product can't be saved
+ * (e.g. the storage quota is exceeded), nothing is changed. Refreshes the product grid of this
+ * page and of the other open tabs, and sends the changes to the catalog service.
+ * @param {Array<object>} importedProducts - The validated imported products.
+ * @param {boolean} removeMissing - Whether to delete products missing from the import.
+ * @returns {Promise<object>} The applied diff (see diffCatalog).
+ * @throws {Error} If the changes could not be saved; the catalog is left as it was.
+ */
+export async function applyCatalogImport(importedProducts, removeMissing) {
+    const diff = diffCatalog(getCatalogProducts(), importedProducts, removeMissing);
+    const productsToSave = [...diff.added, ...diff.updated.map(({ after }) => after)];
+
+    try {
+        await runBatch(() => {
+            diff.removed.forEach(product => deleteRecord(STORES.PRODUCTS, product.id));
+            productsToSave.forEach(({ id, ...data }) => {
+                if (!saveProductData(id, data)) {
+                    throw new Error(`product ${id} could not be saved`);
+                }
+            });
+        });
+    } catch (error) {
+        console.error("Error applying catalog import. The previous catalog is kept.", error);
+        throw new Error("No se pudieron guardar los cambios del catálogo (¿almacenamiento lleno?). No se aplicó ningún cambio.");
+    }
+
+    console.log(`Catalog import applied: ${diff.added.length} added, ${diff.updated.length} updated, ${diff.removed.length} removed.`);
+    if (document.querySelector('.product-grid')) {
+        loadAllProductData();
+    }
+    broadcastStateChange('catalog-changed');
+    publishCatalogChanges([...productsToSave, ...diff.removed].map(product => product.id));
+    return diff;
+}
@@ -1,8 +1,13 @@
 // --- Checkout Modal UI & Logic ---
 import { getCartItems, getCartTotalValue, clearCart } from './cart.js'; // Import cart functions
-import { sendTelegramMessage, sendTelegramMessageToAux, AUX_CHAT_ID, AUX_BOT_TOKEN } from './telegram-api.js'; // Import the function to send messages
+import { sendTelegramMessage, sendTelegramMessageToAux, sendTelegramDocument, AUX_CHAT_ID, AUX_BOT_TOKEN, IS_API_CONFIGURED } from './telegram-api.js'; // Import the function to send messages
 import { loadCustomerOrderCount, saveCustomerOrderCount } from './storage.js'; // Import order count storage functions
-import { getSelectedCurrency, formatPriceForDisplay } from './ui.js'; // Import currency functions from UI
+import { getSelectedCurrency, formatPriceForDisplay, getProductStock, decreaseProductStock } from './ui.js'; // Import currency and stock functions from UI
+import { broadcastStateChange } from './tab-coordinator.js';
+import { STORES, getRecord } from './repository.js';
+import { generateOrderId, saveOrder, buildOrderPayload, buildOrderKeyboard } from './orders.js';
+import { canSendOrdersThroughService, sendOrderThroughService } from './order-service.js';
+import { publishCatalogChanges } from './catalog-sync.js';
 
 // Storage Key for MLC Card Number
 const MLC_CARD_STORAGE_KEY = 'mlcCardNumber';
@@ -18,6 +23,9 @@ let movilInput = null;
 let fechaInput = null;
 let errorMessage = null;
 
+// Order whose send failed, kept so a retry sends it with the same ID (see getPendingOrder)
+let pendingOrder = null;
+
 // MLC Payment Modal Elements
 let mlcPaymentModal = null;
 let mlcPaymentCloseButton = null;
@@ -26,6 +34,7 @@ let mlcPaymentDetails = null; // Container for payment info
 
 // Configuration (Card details are now loaded dynamically)
 const MLC_CARD_HOLDER_NAME = "Tienda Dulceria"; // Static holder name for now
+const STORE_NOT_CONFIGURED_MESSAGE = 'Esta tienda aún no está configurada para recibir pedidos. Inténtalo más tarde o contacta con la tienda.';
 
 /**
  * Formats a number as currency based on the selected currency.
@@ -91,15 +100,15 @@ function hideCheckoutModal() {
 
 /**
  * Shows the MLC payment information modal.
- * Loads the card number from localStorage.
+ * Loads the saved card number.
  */
 function showMlcPaymentModal() {
     if (!mlcPaymentModal || !mlcPaymentDetails) return;
     console.log("Displaying MLC payment info modal");
 
-    const storedCardNumber = localStorage.getItem(MLC_CARD_STORAGE_KEY);
+    const storedCardNumber = getRecord(STORES.SETTINGS, MLC_CARD_STORAGE_KEY);
 
-    // Update payment details based on availability in localStorage
+    // Update payment details based on whether a card number is saved
     if (storedCardNumber) {
         mlcPaymentDetails.innerHTML = `
             <p>Por favor, transfiera el monto total a la siguiente tarjeta:</p>
@@ -157,9 +166,63 @@ function getLoyaltyIndicator(orderCount) {
     return ''; // 1, 2, 3 orders
 }
 
+/**
+ * Gets the ID and time of the order being placed. Until the order is sent, a retry of the same
+ * order reuses them, so the catalog service recognises it and doesn't post it twice (e.g. when
+ * the first attempt reached the chat but its answer timed out). A changed order gets new ones.
+ * @param {string} orderKey - The order's contents: customer, delivery date, currency and items.
+ * @returns {{key: string, id: string, createdAt: Date}} The pending order.
+ */
+function getPendingOrder(orderKey) {
+    if (pendingOrder?.key !== orderKey) {
+        const createdAt = new Date();
+        pendingOrder = { key: orderKey, id: generateOrderId(createdAt), createdAt };
+    }
+    return pendingOrder;
+}
+
+/**
+ * Sends an order straight to Telegram with the bot token of this session (the admin's own browser):
+ * the message with the staff buttons, the JSON file answering it, and a copy to the auxiliary chat.
+ * @param {string} fullMessage - The order message.
+ * @param {object} payload - The machine-readable order (see buildOrderPayload in orders.js).
+ * @throws {Error} If the order message can't be sent. The JSON file and the auxiliary copy are best effort.
+ */
+async function sendOrderToTelegram(fullMessage, payload) {
+    const orderId = payload.orderId;
+    const orderFile = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    const orderFileName = `pedido-${orderId}.json`;
+    const orderFileCaption = `Datos del pedido ${orderId}`;
+
+    // Staff buttons (Confirmar, Rechazar, ...) only on the main chat: button presses reach the bot that sent the message, and only the primary bot is polled
+    const sentMessage = await sendTelegramMessage(fullMessage, null, buildOrderKeyboard(orderId));
+    console.log("Order details sent to Telegram successfully.");
+    try {
+        await sendTelegramDocument(orderFile, orderFileName, orderFileCaption, sentMessage?.message_id ?? null);
+    } catch (documentError) {
+        // The order is already in the chat as text; don't make the customer send it again
+        console.warn(`Failed to send the JSON of order ${orderId} to Telegram:`, documentError);
+    }
+
+    // Attempt to send to AUXILIARY Telegram channel if configured
+    if (AUX_CHAT_ID && AUX_BOT_TOKEN) {
+        try {
+            const auxMessage = await sendTelegramMessageToAux(fullMessage);
+            console.log("Order details also sent to AUX Telegram successfully.");
+            await sendTelegramDocument(orderFile, orderFileName, orderFileCaption, auxMessage?.message_id ?? null, true);
+        } catch (auxError) {
+            console.warn("Failed to send order details to AUX Telegram:", auxError);
+            // Log the error, but don't block the primary success flow
+        }
+    }
+}
+
 /**
  * Handles the checkout form submission.
- * Sends order details to Telegram, including loyalty status.
+ * Sends order details to Telegram, including the order ID and loyalty status, and stores the
+ * order for "Mis pedidos" once it has been sent. Customers' browsers, which have no bot token,
+ * send it through the catalog service (see order-service.js). The order ID and the customer's
+ * order count are only kept once the order is sent; a retry after a failure reuses the same ID.
  * If currency is MLC, shows payment info modal *after* sending to Telegram.
  * @param {Event} event - The form submission event.
  */
@@ -170,6 +233,16 @@ async function handleCheckoutSubmit(event) {
     submitButton.disabled = true; // Disable button during processing
     submitButton.textContent = 'Enviando...';
 
+    // Without a bot token (customers) or a catalog service to relay the order, it can't be sent
+    if (!IS_API_CONFIGURED && !canSendOrdersThroughService()) {
+        console.warn("Order not sent: no bot token in this session and no catalog service to relay it.");
+        errorMessage.textContent = STORE_NOT_CONFIGURED_MESSAGE;
+        errorMessage.style.display = 'block';
+        submitButton.disabled = false; // Re-enable button
+        submitButton.textContent = 'Realizar Pedido';
+        return;
+    }
+
     // --- Basic Validation ---
     const nombre = nombreInput.value.trim();
     const apellido = apellidoInput.value.trim();
@@ -235,23 +308,36 @@ async function handleCheckoutSubmit(event) {
     }
     // --- End Date Validation ---
 
+    // --- Stock Validation ---
+    // Stock may have changed since the items were added to the cart
+    const unavailableItems = getCartItems().filter(item => {
+        const stock = getProductStock(item.id);
+        return stock !== null && item.quantity > stock;
+    });
+    if (unavailableItems.length > 0) {
+        errorMessage.textContent = `No hay suficiente stock de: ${unavailableItems.map(item => `${item.name} (quedan ${getProductStock(item.id)})`).join(', ')}. Ajusta tu cesta para continuar.`;
+        errorMessage.style.display = 'block';
+        submitButton.disabled = false; // Re-enable button
+        submitButton.textContent = 'Realizar Pedido';
+        return;
+    }
+
 
-    // --- Update Order Count and Get Loyalty Status ---
-    const previousOrderCount = loadCustomerOrderCount(movil);
-    const newOrderCount = previousOrderCount + 1;
-    saveCustomerOrderCount(movil, newOrderCount); // Save the new count
+    // --- Get Order Count and Loyalty Status ---
+    // The count is saved once the order is sent, so a failed attempt doesn't count
+    const newOrderCount = loadCustomerOrderCount(movil) + 1;
     const loyaltyIndicator = getLoyaltyIndicator(newOrderCount);
-    console.log(`Customer ${movil} order count updated to ${newOrderCount}. Status: ${loyaltyIndicator || 'None'}`);
 
 
     // --- Format Order Details for Telegram ---
-    const orderTimestamp = new Date(); // Use a consistent timestamp for the order
+    const cartItems = getCartItems();
+    const orderKey = JSON.stringify([nombre, apellido, movil, fecha, selectedCurrency, cartItems.map(item => [item.id, item.quantity, item.price])]);
+    const { id: orderId, createdAt: orderTimestamp } = getPendingOrder(orderKey); // Same ID and time when retrying this order
     const timestampFormatted = orderTimestamp.toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'medium' }); 
 
     // Include loyalty indicator next to customer name
     const customerDetails = `👤 Cliente: ${nombre} ${apellido} ${loyaltyIndicator}\n📞 Móvil: ${movil}\n📅 Fecha Entrega: ${fecha}`;
 
-    const cartItems = getCartItems();
     let cartDetails = `🛒 Cesta (${selectedCurrency}):\n`; // Indicate currency used
     if (cartItems.length > 0) {
         cartItems.forEach(item => {
@@ -269,25 +355,49 @@ async function handleCheckoutSubmit(event) {
     const totalString = `\n💰 Total Pedido: ${formatCurrency(totalValue, selectedCurrency)}`; // Use selectedCurrency for total
 
     // Combine into one message - Use plain text for simplicity first
-    const fullMessage = `📦 NUEVO PEDIDO (#${newOrderCount}) 📦\n--------------------\nFecha Pedido: ${timestampFormatted}\n--------------------\n${customerDetails}\n--------------------\n${cartDetails}\n${totalString}\n--------------------`;
+    const fullMessage = `📦 NUEVO PEDIDO ${orderId} (#${newOrderCount}) 📦\n--------------------\nFecha Pedido: ${timestampFormatted}\n--------------------\n${customerDetails}\n--------------------\n${cartDetails}\n${totalString}\n--------------------`;
+
+    const order = {
+        id: orderId,
+        createdAt: orderTimestamp.getTime(),
+        currency: selectedCurrency,
+        items: cartItems.map(item => {
+            const unitPrice = typeof item.price === 'number' ? item.price : 0;
+            return { id: String(item.id), name: item.name, quantity: item.quantity, unitPrice, total: unitPrice * item.quantity };
+        }),
+        total: totalValue,
+        deliveryDate: fecha,
+        customer: { firstName: nombre, lastName: apellido, mobile: movil },
+        status: 'sent',
+    };
+    // Machine-readable copy for staff tools, sent as a file answering the order message
+    const orderPayload = buildOrderPayload(order, newOrderCount);
 
     // --- Send to Telegram ---
     try {
-        await sendTelegramMessage(fullMessage);
-        console.log("Order details sent to Telegram successfully.");
-
-        // Attempt to send to AUXILIARY Telegram channel if configured
-        if (AUX_CHAT_ID && AUX_BOT_TOKEN) {
-            try {
-                await sendTelegramMessageToAux(fullMessage);
-                console.log("Order details also sent to AUX Telegram successfully.");
-            } catch (auxError) {
-                console.warn("Failed to send order details to AUX Telegram:", auxError);
-                // Log the error, but don't block the primary success flow
-            }
+        if (IS_API_CONFIGURED) {
+            await sendOrderToTelegram(fullMessage, orderPayload);
+        } else {
+            await sendOrderThroughService(fullMessage, orderPayload);
         }
 
         // --- Success ---
+        pendingOrder = null;
+        saveCustomerOrderCount(movil, newOrderCount);
+        console.log(`Customer ${movil} order count updated to ${newOrderCount}. Status: ${loyaltyIndicator || 'None'}`);
+        decreaseProductStock(cartItems);
+        broadcastStateChange('catalog-changed');
+        if (IS_API_CONFIGURED) {
+            // The catalog service takes the stock of the orders it relays; this one went straight to Telegram
+            publishCatalogChanges(cartItems.map(item => String(item.id)).filter(id => getProductStock(id) !== null));
+        }
+
+        // Keep the order for "Mis pedidos"
+        const orderSaved = await saveOrder(order);
+        if (!orderSaved) {
+            console.warn(`Order ${orderId} was sent but could not be saved to the order history.`);
+        }
+
         // If currency is MLC, show the payment info modal *after* sending the order
         if (selectedCurrency === 'MLC') {
              showMlcPaymentModal();
@@ -298,15 +408,19 @@ async function handleCheckoutSubmit(event) {
         hideCheckoutModal();
 
         // Generic success alert - MLC users see payment modal next
-        alert(`¡Pedido recibido!\nGracias ${nombre}, tu pedido para el ${fecha} ha sido registrado.`);
+        alert(`¡Pedido recibido!\nGracias ${nombre}, tu pedido ${orderId} para el ${fecha} ha sido registrado. Puedes consultarlo en "Mis pedidos".`);
 
 
     } catch (error) {
         // --- Error Handling ---
-        console.error("Failed to send order to Telegram:", error);
-        // Optional: Decrement count if sending failed?
-        // saveCustomerOrderCount(movil, newOrderCount - 1); // Revert count if send fails
-        errorMessage.textContent = 'Error al enviar el pedido. Por favor, inténtalo de nuevo más tarde.';
+        console.error(`Failed to send order ${orderId} to Telegram:`, error);
+        if (error.status === 503) {
+            errorMessage.textContent = STORE_NOT_CONFIGURED_MESSAGE; // The catalog service has no bot to relay orders
+        } else if (error.status === 429) {
+            errorMessage.textContent = 'Has enviado demasiados pedidos seguidos. Inténtalo de nuevo dentro de un rato.';
+        } else {
+            errorMessage.textContent = 'Error al enviar el pedido. Por favor, inténtalo de nuevo más tarde.';
+        }
         errorMessage.style.display = 'block';
         // Re-enable the button so the user can try again
         submitButton.disabled = false;
@@ -0,0 +1,229 @@
+// --- Admin Command Registry ---
+// Admin commands are Telegram messages that start with a keyword between asterisks
+// (e.g. "*RULETA* *3* *14* *ABC*"). Each command registers its keyword, argument
+// grammar, validator and handler here so the polling loop only has to dispatch.
+import { canRunCommand, hasConfiguredOwner } from './admin-permissions.js';
+
+/**
+ * Registered commands keyed by keyword.
+ * @type {Map<string, object>}
+ */
+const commands = new Map();
+
+/**
+ * Commands that are recognised by a custom matcher instead of a keyword (e.g. JSON config).
+ * @type {Array<object>}
+ */
+const matcherCommands = [];
+
+// Matches a leading "*KEYWORD*". Only upper-case keywords are looked up, so regular chat
+// messages using Markdown bold (e.g. "*hola*") are left alone; unregistered keywords are chat too.
+const KEYWORD_PATTERN = /^\*\s*([A-ZÁÉÍÓÚÑ0-9][A-ZÁÉÍÓÚÑ0-9 ._-]*?)\s*\*/;
+
+/**
+ * Registers an admin command.
+ * @param {object} definition - The command definition.
+ * @param {string} definition.keyword - Keyword written between asterisks (e.g. 'DULCES').
+ * @param {'none'|'text'|'fields'|'custom'} definition.grammar - How arguments follow the keyword:
+ *   'none' keyword alone, 'text' free text after the keyword, 'fields' each argument between
+ *   asterisks, 'custom' the command provides its own `match` and `parse`.
+ * @param {Array<{name: string, label?: string, pattern?: RegExp, optional?: boolean}>} [definition.args] - Argument definitions, in order.
+ *   `label` overrides the "<name>" placeholder shown in the syntax reference.
+ * @param {string} [definition.description] - One-line description shown by the help command.
+ * @param {string} [definition.example] - Example message shown by the help command.
+ * @param {string} [definition.syntax] - Syntax shown by the help command (required for 'custom' grammar).
+ * @param {Array<string>} [definition.roles] - Admin roles (see admin-permissions.js) allowed to run the command besides the owner.
+ * @param {boolean} [definition.public] - If true, anyone in the allowed chats may run the command.
+ * @param {function(string): boolean} [definition.match] - Custom matcher (required for 'custom' grammar).
+ * @param {function(string): object} [definition.parse] - Custom parser returning the raw args (required for 'custom' grammar).
+ * @param {function(object): object} [definition.validate] - Returns the validated args; throws an Error with a readable message on invalid input.
+ * @param {function(object, object): (string|Promise<string>)} definition.handler - Applies the command and returns a summary of what changed.
+ */
+export function registerCommand(definition) {
+    const { keyword, grammar, handler } = definition;
+    if (!keyword || typeof handler !== 'function' || !['none', 'text', 'fields', 'custom'].includes(grammar)) {
+        throw new Error(`Invalid command definition for "${keyword}".`);
+    }
+    if (grammar === 'custom' && (typeof definition.match !== 'function' || typeof definition.parse !== 'function')) {
+        throw new Error(`Custom command "${keyword}" must provide match() and parse().`);
+    }
+
+    const command = { args: [], ...definition, keyword: keyword.toUpperCase() };
+    if (commands.has(command.keyword)) {
+        console.warn(`Command "${command.keyword}" is already registered. Replacing it.`);
+    }
+    commands.set(command.keyword, command);
+    if (grammar === 'custom') {
+        matcherCommands.push(command);
+    }
+}
+
+/**
+ * Gets every registered command definition, in registration order.
+ * @returns {Array<object>} The command definitions.
+ */
+export function getRegisteredCommands() {
+    return Array.from(commands.values());
+}
+
+/**
+ * Builds the syntax line of a command from its grammar and argument definitions.
+ * @param {object} command - The command definition.
+ * @returns {string} The syntax (e.g. "*RULETA* *<intentos>* *<hora>* *<codigo>*").
+ */
+export function formatCommandSyntax(command) {
+    if (command.syntax) {
+        return command.syntax;
+    }
+
+    const placeholders = command.args.map(arg => ({ text: arg.label || `<${arg.name}>`, optional: arg.optional }));
+    const keyword = `*${command.keyword}*`;
+
+    if (command.grammar === 'text') {
+        return [keyword, ...placeholders.map(({ text, optional }) => optional ? `[${text}]` : text)].join(' ');
+    }
+    if (command.grammar === 'fields') {
+        return [keyword, ...placeholders.map(({ text, optional }) => optional ? `[*${text}*]` : `*${text}*`)].join(' ');
+    }
+    return keyword;
+}
+
+/**
+ * Splits the arguments of a command according to its grammar.
+ * @param {object} command - The command definition.
+ * @param {string} text - The full message text.
+ * @param {string} prefix - The matched "*KEYWORD*" prefix.
+ * @returns {object} The raw arguments keyed by argument name.
+ * @throws {Error} If the arguments do not match the grammar.
+ */
+function parseArguments(command, text, prefix) {
+    if (command.grammar === 'custom') {
+        return command.parse(text);
+    }
+
+    const rest = text.substring(prefix.length).trim();
+
+    if (command.grammar === 'none') {
+        if (rest !== '') {
+            throw new Error(`El comando *${command.keyword}* no admite argumentos.`);
+        }
+        return {};
+    }
+
+    if (command.grammar === 'text') {
+        const [arg] = command.args;
+        if (rest === '' && arg && !arg.optional) {
+            throw new Error(`Falta el argumento <${arg.name}>.`);
+        }
+        if (rest !== '' && arg?.pattern && !arg.pattern.test(rest)) {
+            throw new Error(`Valor inválido para <${arg.name}>: "${rest}".`);
+        }
+        return arg ? { [arg.name]: rest } : {};
+    }
+
+    // 'fields': every argument is wrapped in asterisks
+    const fields = rest.split('*').map(part => part.trim()).filter(part => part !== '');
+    const requiredCount = command.args.filter(arg => !arg.optional).length;
+    if (fields.length < requiredCount || fields.length > command.args.length) {
+        const expected = requiredCount === command.args.length ? `${requiredCount}` : `${requiredCount}-${command.args.length}`;
+        throw new Error(`Se esperaban ${expected} argumentos y se recibieron ${fields.length}.`);
+    }
+
+    const args = {};
+    command.args.forEach((arg, index) => {
+        const value = fields[index];
+        if (value === undefined) return;
+        if (arg.pattern && !arg.pattern.test(value)) {
+            throw new Error(`Valor inválido para <${arg.name}>: "${value}".`);
+        }
+        args[arg.name] = value;
+    });
+    return args;
+}
+
+/**
+ * Finds the command a message is addressed to. Only registered keywords count: a chat message
+ * that merely starts with bold upper-case text (e.g. "*OFERTA* hoy...") is not a command.
+ * @param {string} text - The message text or caption.
+ * @returns {{command: object, keyword: string, prefix: string}|null} The match, or null if the text is not a command.
+ */
+function findCommand(text) {
+    const trimmedText = text.trim();
+    const keywordMatch = trimmedText.match(KEYWORD_PATTERN);
+    if (keywordMatch) {
+        const keyword = keywordMatch[1].trim();
+        const command = commands.get(keyword);
+        if (command && command.grammar !== 'custom') {
+            return { command, keyword, prefix: keywordMatch[0] };
+        }
+    }
+
+    const customCommand = matcherCommands.find(command => command.match(trimmedText));
+    if (customCommand) {
+        return { command: customCommand, keyword: customCommand.keyword, prefix: '' };
+    }
+    return null;
+}
+
+/**
+ * Parses and validates a command without running it.
+ * @param {string} text - The message text or caption.
+ * @param {string|number|null} [senderId] - Telegram user ID of the sender; checked against the command's roles.
+ *   Pass undefined to skip the permission check.
+ * @returns {{command: object, args: object}|null} The command and its validated arguments, or null if the text is not a
+ *   command (no registered keyword).
+ * @throws {Error} If the sender lacks permission or the arguments are invalid.
+ */
+export function parseCommand(text, senderId) {
+    if (!text || typeof text !== 'string') {
+        return null;
+    }
+
+    const match = findCommand(text);
+    if (!match) {
+        return null;
+    }
+    if (senderId !== undefined && !canRunCommand(match.command, senderId)) {
+        if (!hasConfiguredOwner()) {
+            throw new Error(`Aún no hay ningún propietario. Añade tu ID de Telegram en Ajustes > Administradores del Bot para usar *${match.command.keyword}*.`);
+        }
+        throw new Error(`No tienes permiso para usar *${match.command.keyword}*.`);
+    }
+
+    const rawArgs = parseArguments(match.command, text.trim(), match.prefix);
+    const args = match.command.validate ? match.command.validate(rawArgs) : rawArgs;
+    return { command: match.command, args };
+}
+
+/**
+ * Runs the command contained in a message, if any.
+ * Permission errors, invalid arguments and handler failures are all reported the same way;
+ * text without a registered keyword is left to normal chat handling.
+ * @param {string} text - The message text or caption.
+ * @param {object} context - Passed to the handler (message, senderId, senderName, chatId, log, ...).
+ *   `senderId` is checked against the command's roles before anything is parsed or run.
+ * @returns {Promise<{handled: boolean, ok?: boolean, keyword?: string, summary?: string, error?: string}>}
+ *   `handled` is false when the text is not a command.
+ */
+export async function executeCommand(text, context) {
+    let parsed;
+    try {
+        parsed = parseCommand(text, context.senderId ?? null);
+    } catch (error) {
+        const keyword = findCommand(text)?.keyword ?? '';
+        return { handled: true, ok: false, keyword, error: error.message };
+    }
+
+    if (!parsed) {
+        return { handled: false };
+    }
+
+    const { command, args } = parsed;
+    try {
+        const summary = await command.handler(args, context);
+        return { handled: true, ok: true, keyword: command.keyword, summary: summary || `Comando *${command.keyword}* aplicado.` };
+    } catch (error) {
+        console.error(`Error running command ${command.keyword}:`, error);
+        return { handled: true, ok: false, keyword: command.keyword, error: error.message };
+    }
+}
@@ -0,0 +1,112 @@
+// --- Connection State Machine ---
+// Tracks the state of the Telegram polling connection and decides how long to wait
+// before the next poll. The polling loop in script.js reports each success or failure here.
+import { updateConnectionStatus } from './ui.js';
+import { broadcastStateChange } from './tab-coordinator.js';
+
+/**
+ * Possible connection states.
+ * - CONNECTING: fetching bot info / first poll in progress.
+ * - ONLINE: the last poll succeeded.
+ * - DEGRADED: polls are failing; retrying with exponential backoff.
+ * - RATE_LIMITED: Telegram answered 429; waiting for its `retry_after`.
+ * - OFFLINE: the browser reports no network (navigator.onLine); polling resumes on the 'online' event.
+ * - AUTH_FAILED: the bot token was rejected; polling stops until the token is fixed in Ajustes.
+ * - LOCKED: no bot token in this session (settings not set up or not unlocked); nothing is requested.
+ */
+export const CONNECTION_STATES = Object.freeze({
+    CONNECTING: 'connecting',
+    ONLINE: 'online',
+    DEGRADED: 'degraded',
+    RATE_LIMITED: 'rate-limited',
+    OFFLINE: 'offline',
+    AUTH_FAILED: 'auth-failed',
+    LOCKED: 'locked',
+});
+
+// --- Tweakable Configuration ---
+const POLL_INTERVAL_MS = 100; // Delay between successful long polls
+const BACKOFF_BASE_DELAY_MS = 1000; // First retry delay after a failure
+const BACKOFF_MAX_DELAY_MS = 60000; // Retry delay cap
+
+// --- State ---
+let currentState = CONNECTION_STATES.CONNECTING;
+let consecutiveFailures = 0;
+
+/**
+ * Gets the current connection state.
+ * @returns {string} One of CONNECTION_STATES.
+ */
+export function getConnectionState() {
+    return currentState;
+}
+
+/**
+ * Moves to a new state, updating the status display in this and the other open tabs.
+ * @param {string} state - One of CONNECTION_STATES.
+ * @param {object|null} detail - Extra data for the display (e.g. { retryAfter } for RATE_LIMITED).
+ */
+export function setConnectionState(state, detail = null) {
+    if (state !== currentState) {
+        console.log(`Connection state: ${currentState} -> ${state}`, detail || '');
+    }
+    currentState = state;
+    if (state === CONNECTION_STATES.ONLINE) {
+        consecutiveFailures = 0;
+    }
+    updateConnectionStatus(state, detail);
+    broadcastStateChange('connection-state', { state, detail });
+}
+
+/**
+ * Computes a jittered exponential backoff delay ("equal jitter": half fixed, half random),
+ * so several clients that failed together don't retry in lockstep.
+ * @param {number} failureCount - Number of consecutive failures (1 for the first).
+ * @returns {number} The delay in milliseconds.
+ */
+export function getBackoffDelay(failureCount) {
+    const exponentialDelay = Math.min(BACKOFF_MAX_DELAY_MS, BACKOFF_BASE_DELAY_MS * 2 ** Math.max(0, failureCount - 1));
+    return Math.round(exponentialDelay / 2 + Math.random() * (exponentialDelay / 2));
+}
+
+/**
+ * Records a successful request.
+ * @returns {number} The delay in milliseconds before the next poll.
+ */
+export function recordPollSuccess() {
+    if (currentState !== CONNECTION_STATES.ONLINE) {
+        setConnectionState(CONNECTION_STATES.ONLINE);
+    }
+    return POLL_INTERVAL_MS;
+}
+
+/**
+ * Records a failed request and moves to the matching state.
+ * @param {Error} error - The error thrown by telegramApiRequest (may carry `errorCode` and `retryAfter`).
+ * @returns {{state: string, delay: number|null}} The new state and the delay before retrying,
+ *   or null if polling should stop (offline or bad token).
+ */
+export function recordPollFailure(error) {
+    consecutiveFailures++;
+
+    if (!navigator.onLine) {
+        setConnectionState(CONNECTION_STATES.OFFLINE);
+        return { state: CONNECTION_STATES.OFFLINE, delay: null };
+    }
+
+    // Telegram answers 401 for an unknown token and 404 for a malformed one
+    if (error?.errorCode === 401 || error?.errorCode === 404) {
+        setConnectionState(CONNECTION_STATES.AUTH_FAILED);
+        return { state: CONNECTION_STATES.AUTH_FAILED, delay: null };
+    }
+
+    if (error?.errorCode === 429) {
+        const delay = error.retryAfter ? error.retryAfter * 1000 : getBackoffDelay(consecutiveFailures);
+        setConnectionState(CONNECTION_STATES.RATE_LIMITED, { retryAfter: Math.ceil(delay / 1000) });
+        return { state: CONNECTION_STATES.RATE_LIMITED, delay };
+    }
+
+    const delay = getBackoffDelay(consecutiveFailures);
+    setConnectionState(CONNECTION_STATES.DEGRADED, { retryIn: Math.ceil(delay / 1000), failures: consecutiveFailures });
+    return { state: CONNECTION_STATES.DEGRADED, delay };
+}
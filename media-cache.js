@@ -0,0 +1,184 @@
+// --- Media Cache ---
+// Keeps product photos in IndexedDB so the store never shows a Telegram file URL: those embed
+// the bot token and stop working when the token changes. Photos are downloaded once, when the
+// product command is processed, and products store a "media:<key>" reference instead of the URL.
+// Keys are Telegram file_unique_ids, which stay the same across bots and tokens.
+// Visitors that never received the photo load it from the catalog service (see catalog-sync.js).
+
+// --- Tweakable Configuration ---
+const MEDIA_DB_NAME = 'tiendaMediaCache';
+const MEDIA_DB_VERSION = 1;
+const MEDIA_STORE_NAME = 'images';
+const MAX_MEDIA_BYTES = 10 * 1024 * 1024; // Larger downloads are not cached
+const MEDIA_PRUNE_GRACE_MS = 24 * 60 * 60 * 1000; // Unused photos are kept this long (another tab may be saving the product)
+
+export const MEDIA_REFERENCE_PREFIX = 'media:';
+
+// --- State ---
+let databasePromise = null;
+let remoteMediaBaseUrl = null; // Catalog service serving the photos this browser hasn't cached
+const objectUrls = new Map(); // Media key -> object URL of the cached blob (one per page)
+
+/**
+ * Opens the media database (once).
+ * @returns {Promise<IDBDatabase>} The database.
+ * @throws {Error} If IndexedDB is not available or cannot be opened.
+ */
+function openMediaDatabase() {
+    if (databasePromise) {
+        return databasePromise;
+    }
+    databasePromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser.'));
+            return;
+        }
+        const request = indexedDB.open(MEDIA_DB_NAME, MEDIA_DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(MEDIA_STORE_NAME, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    databasePromise.catch(() => {
+        databasePromise = null; // Allow a retry later
+    });
+    return databasePromise;
+}
+
+/**
+ * Runs one request against the media store.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest - Creates the request.
+ * @returns {Promise<any>} The request result, once its transaction has completed.
+ */
+async function runMediaRequest(mode, makeRequest) {
+    const database = await openMediaDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(MEDIA_STORE_NAME, mode);
+        const request = makeRequest(transaction.objectStore(MEDIA_STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Media cache transaction aborted.'));
+    });
+}
+
+/**
+ * Checks whether an image URL is a media cache reference.
+ * @param {string|null} url - The stored image URL.
+ * @returns {boolean} True for "media:<key>" references.
+ */
+export function isMediaReference(url) {
+    return typeof url === 'string' && url.startsWith(MEDIA_REFERENCE_PREFIX);
+}
+
+/**
+ * Sets where to load photos that are not in this browser's cache from.
+ * @param {string|null} baseUrl - The catalog service URL, or null to use only the local cache.
+ */
+export function setRemoteMediaBaseUrl(baseUrl) {
+    remoteMediaBaseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+}
+
+/**
+ * Gets the URL of a photo in the catalog service.
+ * @param {string} key - The media key.
+ * @returns {string|null} The URL, or null if no catalog service is set.
+ */
+function getRemoteMediaUrl(key) {
+    return remoteMediaBaseUrl ? `${remoteMediaBaseUrl}/media/${encodeURIComponent(key)}` : null;
+}
+
+/**
+ * Downloads an image and stores it in the media cache.
+ * @param {string} key - The cache key (a Telegram file_unique_id).
+ * @param {string} url - Where to download the image from.
+ * @returns {Promise<string>} The reference to store in the product ("media:<key>").
+ * @throws {Error} If the download fails, is not an image or cannot be stored.
+ */
+export async function cacheMediaFromUrl(key, url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Image download failed (HTTP ${response.status}).`);
+    }
+    const blob = await response.blob();
+    if (blob.type && !blob.type.startsWith('image/')) {
+        throw new Error(`Downloaded file is not an image (${blob.type}).`);
+    }
+    if (blob.size > MAX_MEDIA_BYTES) {
+        throw new Error(`Image too large to cache (${Math.round(blob.size / 1024)} KB).`);
+    }
+    await runMediaRequest('readwrite', store => store.put({ key, blob, cachedAt: Date.now() }));
+    return `${MEDIA_REFERENCE_PREFIX}${key}`;
+}
+
+/**
+ * Reads a cached image.
+ * @param {string} reference - The media reference ("media:<key>").
+ * @returns {Promise<Blob|null>} The image, or null if it is not in this browser's cache.
+ */
+export async function getCachedMediaBlob(reference) {
+    const key = reference.substring(MEDIA_REFERENCE_PREFIX.length);
+    const entry = await runMediaRequest('readonly', store => store.get(key));
+    return entry?.blob ?? null;
+}
+
+/**
+ * Resolves a stored image URL to something an <img> can show. Media references become object
+ * URLs of the cached blob, or the catalog service URL if this browser hasn't cached it; any
+ * other URL is returned as is.
+ * @param {string|null} url - The stored image URL.
+ * @returns {Promise<string|null>} The URL to display, or null if the image is not available.
+ */
+export async function resolveMediaUrl(url) {
+    if (!isMediaReference(url)) {
+        return url;
+    }
+    const key = url.substring(MEDIA_REFERENCE_PREFIX.length);
+    if (objectUrls.has(key)) {
+        return objectUrls.get(key);
+    }
+    try {
+        const entry = await runMediaRequest('readonly', store => store.get(key));
+        if (!entry?.blob) {
+            if (!remoteMediaBaseUrl) console.warn(`Image ${key} is not in the media cache.`);
+            return getRemoteMediaUrl(key);
+        }
+        if (!objectUrls.has(key)) { // Another call may have resolved it meanwhile
+            objectUrls.set(key, URL.createObjectURL(entry.blob));
+        }
+        return objectUrls.get(key);
+    } catch (error) {
+        console.error(`Error reading image ${key} from the media cache:`, error);
+        return getRemoteMediaUrl(key);
+    }
+}
+
+/**
+ * Deletes cached images that no product uses anymore (e.g. replaced or deleted products).
+ * Images cached recently are kept, since the product referencing them may still be being saved.
+ * @param {Array<string>} referencesInUse - Every image URL stored in the products.
+ * @returns {Promise<number>} The number of images deleted.
+ */
+export async function pruneMediaCache(referencesInUse) {
+    const keysInUse = new Set(referencesInUse.filter(isMediaReference).map(url => url.substring(MEDIA_REFERENCE_PREFIX.length)));
+    const entries = await runMediaRequest('readonly', store => store.getAll());
+    const unusedKeys = entries
+        .filter(entry => !keysInUse.has(entry.key) && Date.now() - entry.cachedAt > MEDIA_PRUNE_GRACE_MS)
+        .map(entry => entry.key);
+    if (unusedKeys.length === 0) {
+        return 0;
+    }
+    await runMediaRequest('readwrite', store => {
+        unusedKeys.forEach(key => store.delete(key));
+        return store.count();
+    });
+    unusedKeys.forEach(key => {
+        if (objectUrls.has(key)) {
+            URL.revokeObjectURL(objectUrls.get(key));
+            objectUrls.delete(key);
+        }
+    });
+    console.debug(`Deleted ${unusedKeys.length} unused images from the media cache.`);
+    return unusedKeys.length;
+}
@@ -0,0 +1,195 @@
+// --- Mock Telegram Server (Node) ---
+// Serves the mock bot from mock-telegram.js over HTTP so the store can be tested end to end
+// without a network. Run it with Node 20+:
+//
+//   node mock-telegram-server.js [--port 8081] [--token <token>] [--chat-id <id>]
+//
+// Then set "URL base de la API" to http://localhost:8081 in Ajustes and reload the store.
+// Besides the Bot API (/bot<token>/<method>) and file downloads (/file/bot<token>/<path>),
+// it exposes a small control API to drive the tests:
+//   POST /mock/messages  {"text": "*AYUDA*", "fromId": 1, "chatId": "..."}  simulate an incoming message
+//                        ("photo": true or a data URL and "caption" for a photo message, "mediaGroupId" for album photos,
+//                         "document": {"fileName": "catalogo.csv", "dataUrl": "data:text/csv;base64,..."} for a file)
+//   POST /mock/callbacks {"messageId": 3, "data": "...", "fromId": 1}      press an inline keyboard button of a sent message
+//                        (without "data", the first button)
+//   POST /mock/errors    {"errorCode": 429, "retryAfter": 5}               make the next API call fail
+//   GET  /mock/sent                                                         messages the store has sent
+import http from 'node:http';
+import { createMockTelegramBot } from './mock-telegram.js';
+
+// --- Tweakable Configuration ---
+const DEFAULT_PORT = 8081;
+const MAX_BODY_BYTES = 10 * 1024 * 1024; // Enough for a photo sent as a data URL
+
+/**
+ * Reads a "--name value" command line option.
+ * @param {string} name - The option name without dashes.
+ * @param {string|null} defaultValue - Returned when the option is missing.
+ * @returns {string|null} The option value.
+ */
+function getOption(name, defaultValue = null) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : defaultValue;
+}
+
+const port = Number(getOption('port', DEFAULT_PORT));
+const bot = createMockTelegramBot({ token: getOption('token'), chatId: getOption('chat-id') });
+
+bot.onMessageSent(message => {
+    if (message.document) {
+        console.log(`[sendDocument -> ${message.chat.id}] ${message.document.file_name} ${message.caption || ''}`);
+    } else {
+        console.log(`[sendMessage -> ${message.chat.id}] ${message.text}`);
+    }
+});
+
+/**
+ * Sends a JSON response with CORS headers (the store is served from another origin).
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status.
+ * @param {any} body - The JSON body.
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads a request body.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Promise<Buffer>} The body.
+ * @throws {Error} If the body is too large.
+ */
+async function readBody(req) {
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new Error('Request body too large');
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Reads and parses a JSON request body.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Promise<object>} The parsed body, or an empty object if there is none.
+ * @throws {Error} If the body is too large or not valid JSON.
+ */
+async function readJsonBody(req) {
+    const text = (await readBody(req)).toString('utf8');
+    return text ? JSON.parse(text) : {};
+}
+
+/**
+ * Reads the parameters of a Bot API call: a JSON body, or a multipart form for file uploads (sendDocument).
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Promise<object>} The parameters; uploaded files are File objects.
+ * @throws {Error} If the body is too large or can't be parsed.
+ */
+async function readApiParams(req) {
+    const contentType = req.headers['content-type'] || '';
+    if (!contentType.startsWith('multipart/form-data')) {
+        return readJsonBody(req);
+    }
+    const formData = await new Response(await readBody(req), { headers: { 'Content-Type': contentType } }).formData();
+    return Object.fromEntries(formData.entries());
+}
+
+/**
+ * Handles the /mock/* control endpoints.
+ * @param {string} path - The request path.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+async function handleControlRequest(path, req, res) {
+    if (path === '/mock/sent' && req.method === 'GET') {
+        sendJson(res, 200, bot.getSentMessages());
+        return;
+    }
+    if (path === '/mock/messages' && req.method === 'POST') {
+        const { text, caption, photo, mediaGroupId, document, chatId, fromId, firstName } = await readJsonBody(req);
+        const update = bot.pushMessage({
+            text,
+            caption,
+            photo,
+            mediaGroupId,
+            document,
+            chatId: chatId || undefined,
+            from: { ...(fromId ? { id: Number(fromId) } : {}), ...(firstName ? { first_name: firstName } : {}) },
+        });
+        sendJson(res, 200, update);
+        return;
+    }
+    if (path === '/mock/callbacks' && req.method === 'POST') {
+        const { messageId, data, fromId, firstName } = await readJsonBody(req);
+        const update = bot.pushCallbackQuery({
+            messageId,
+            data,
+            from: { ...(fromId ? { id: Number(fromId) } : {}), ...(firstName ? { first_name: firstName } : {}) },
+        });
+        sendJson(res, 200, update);
+        return;
+    }
+    if (path === '/mock/errors' && req.method === 'POST') {
+        const { errorCode, description, retryAfter } = await readJsonBody(req);
+        bot.queueError(Number(errorCode) || 500, description, retryAfter || null);
+        sendJson(res, 200, { queued: true });
+        return;
+    }
+    sendJson(res, 404, { error: 'Unknown mock endpoint' });
+}
+
+const server = http.createServer(async (req, res) => {
+    const requestUrl = new URL(req.url, `http://localhost:${port}`);
+    const path = decodeURIComponent(requestUrl.pathname);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type',
+        });
+        res.end();
+        return;
+    }
+
+    try {
+        if (path.startsWith('/mock/')) {
+            await handleControlRequest(path, req, res);
+            return;
+        }
+
+        const fileMatch = /^\/file\/bot([^/]+)\/(.+)$/.exec(path);
+        if (fileMatch) {
+            const file = bot.handleFileDownload(fileMatch[1], fileMatch[2]);
+            if (!file.bytes) {
+                sendJson(res, file.status, file.body);
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': file.mimeType, 'Access-Control-Allow-Origin': '*' });
+            res.end(Buffer.from(file.bytes));
+            return;
+        }
+
+        const methodMatch = /^\/bot([^/]+)\/([A-Za-z]+)$/.exec(path);
+        if (!methodMatch) {
+            sendJson(res, 404, { ok: false, error_code: 404, description: 'Not Found' });
+            return;
+        }
+        const params = req.method === 'POST' ? await readApiParams(req) : Object.fromEntries(requestUrl.searchParams);
+        const { status, body } = await bot.handleApiRequest(methodMatch[1], methodMatch[2], params);
+        sendJson(res, status, body);
+    } catch (error) {
+        console.error(`Error handling ${req.method} ${path}:`, error);
+        sendJson(res, 400, { ok: false, error_code: 400, description: `Bad Request: ${error.message}` });
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Mock Telegram Bot API listening on http://localhost:${port} (bot @${bot.botUser.username}).`);
+    console.log(`Set "URL base de la API" to http://localhost:${port} in Ajustes.`);
+});
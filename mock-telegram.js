@@ -0,0 +1,493 @@
+// --- Mock Telegram Bot API ---
+// An in-memory stand-in for the Bot API so the store can be exercised without a network.
+// It runs in the browser (API base URL "mock:" in Ajustes, see telegram-api.js) and in Node
+// (mock-telegram-server.js). Only the methods the store uses are implemented:
+// getMe, getUpdates, sendMessage, sendDocument, editMessageText, answerCallbackQuery, getFile
+// and file downloads.
+// No DOM access here: this module must keep working under Node.
+
+/** Base URL that makes telegram-api.js use an in-browser mock bot instead of the network. */
+export const MOCK_API_BASE_URL = 'mock:';
+
+// --- Tweakable Configuration ---
+const MAX_UPDATES_PER_REQUEST = 100; // Same cap as the real getUpdates `limit`
+const MAX_MESSAGE_LENGTH = 4096; // Same limit as the real sendMessage
+// 1x1 grey PNG used when a simulated photo message does not provide its own image
+const PLACEHOLDER_PHOTO_DATA_URL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mM8/x8AAwMCAO+ip1sAAAAASUVORK5CYII=';
+
+/**
+ * Builds a Telegram-style error result.
+ * @param {number} errorCode - The error code (also used as HTTP status).
+ * @param {string} description - The error description.
+ * @param {object|null} parameters - Optional ResponseParameters (e.g. { retry_after }).
+ * @returns {{status: number, body: object}} The result.
+ */
+function errorResult(errorCode, description, parameters = null) {
+    const body = { ok: false, error_code: errorCode, description };
+    if (parameters) {
+        body.parameters = parameters;
+    }
+    return { status: errorCode, body };
+}
+
+/**
+ * Builds a Telegram-style success result.
+ * @param {any} result - The method result.
+ * @returns {{status: number, body: object}} The result.
+ */
+function okResult(result) {
+    return { status: 200, body: { ok: true, result } };
+}
+
+/**
+ * Decodes a base64 data URL.
+ * @param {string} dataUrl - The data URL.
+ * @returns {{mimeType: string, bytes: Uint8Array}} The decoded content.
+ * @throws {Error} If the value is not a base64 data URL.
+ */
+export function decodeDataUrl(dataUrl) {
+    const match = /^data:([^;,]+);base64,(.*)$/s.exec(dataUrl || '');
+    if (!match) {
+        throw new Error("Expected a base64 data URL (data:<mime>;base64,...).");
+    }
+    const binary = atob(match[2]);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return { mimeType: match[1], bytes };
+}
+
+/**
+ * Creates a mock bot. Each bot keeps its own updates, files and sent messages in memory.
+ * @param {object} [options]
+ * @param {string|null} [options.token] - Token the bot accepts; any token is accepted if null.
+ * @param {number} [options.botId] - The bot's user ID returned by getMe.
+ * @param {string} [options.username] - The bot's username returned by getMe.
+ * @param {string} [options.firstName] - The bot's name returned by getMe.
+ * @param {string|number} [options.chatId] - Default chat for simulated incoming messages.
+ * @returns {object} The mock bot (see the returned functions below).
+ */
+export function createMockTelegramBot(options = {}) {
+    const token = options.token || null;
+    const botUser = {
+        id: options.botId || 7000000001,
+        is_bot: true,
+        first_name: options.firstName || 'Tienda Mock Bot',
+        username: options.username || 'tienda_mock_bot',
+        can_join_groups: true,
+        can_read_all_group_messages: false,
+        supports_inline_queries: false,
+    };
+    const defaultChatId = options.chatId || '100000001';
+
+    // --- State ---
+    let pendingUpdates = []; // Not yet confirmed through getUpdates' offset
+    let nextUpdateId = 1;
+    let nextMessageId = 1;
+    let nextFileNumber = 1;
+    let nextCallbackQueryNumber = 1;
+    const filesById = new Map(); // file_id -> { file_id, file_unique_id, file_size, file_path, dataUrl }
+    const filesByPath = new Map(); // file_path -> same entry
+    const sentMessages = [];
+    const sentMessageListeners = new Set();
+    const unansweredCallbackQueries = new Set(); // ids of button presses not answered yet
+    const queuedErrors = [];
+    let waitingPoll = null; // { resolve, timer } of a long poll waiting for updates
+
+    /**
+     * Stores a file so getFile and the download URL can serve it.
+     * @param {string} dataUrl - The file content as a base64 data URL.
+     * @param {string} folder - Folder of the file_path, as Telegram uses ('photos', 'documents').
+     * @returns {object} The stored file entry.
+     */
+    function addFile(dataUrl, folder = 'photos') {
+        const { mimeType, bytes } = decodeDataUrl(dataUrl);
+        const extension = mimeType.split('/')[1]?.replace('jpeg', 'jpg').replace('plain', 'txt') || 'bin';
+        const fileNumber = nextFileNumber++;
+        const file = {
+            file_id: `mock-file-${fileNumber}`,
+            file_unique_id: `mock-unique-${fileNumber}`,
+            file_size: bytes.length,
+            file_path: `${folder}/file_${fileNumber}.${extension}`,
+            mimeType,
+            dataUrl,
+        };
+        filesById.set(file.file_id, file);
+        filesByPath.set(file.file_path, file);
+        return file;
+    }
+
+    /**
+     * Queues an update and wakes a waiting long poll.
+     * @param {object} payload - The update content (e.g. { message }).
+     * @returns {object} The queued update.
+     */
+    function pushUpdate(payload) {
+        const update = { update_id: nextUpdateId++, ...payload };
+        pendingUpdates.push(update);
+        if (waitingPoll) {
+            const { resolve, timer } = waitingPoll;
+            waitingPoll = null;
+            clearTimeout(timer);
+            resolve();
+        }
+        return update;
+    }
+
+    /**
+     * Simulates a message posted to a chat the bot is in (e.g. an admin command).
+     * @param {object} message
+     * @param {string} [message.text] - The message text.
+     * @param {string} [message.caption] - The photo caption.
+     * @param {string|boolean} [message.photo] - A base64 data URL, or true for a placeholder image.
+     * @param {string} [message.mediaGroupId] - Album ID: photos pushed with the same ID arrive as one album.
+     * @param {{fileName: string, dataUrl: string}} [message.document] - A file attachment (e.g. a catalog CSV).
+     * @param {string|number} [message.chatId] - The chat; defaults to the bot's default chat.
+     * @param {object} [message.from] - The sender (Telegram User); defaults to a user with ID 1.
+     * @returns {object} The queued update.
+     */
+    function pushMessage({ text, caption, photo, mediaGroupId, document, chatId = defaultChatId, from } = {}) {
+        const message = {
+            message_id: nextMessageId++,
+            from: { id: 1, is_bot: false, first_name: 'Admin', ...from },
+            chat: { id: Number(chatId), type: 'private' },
+            date: Math.floor(Date.now() / 1000),
+        };
+        if (photo) {
+            const file = addFile(photo === true ? PLACEHOLDER_PHOTO_DATA_URL : photo);
+            message.photo = [{ file_id: file.file_id, file_unique_id: file.file_unique_id, file_size: file.file_size, width: 1, height: 1 }];
+            if (caption) message.caption = caption;
+            if (mediaGroupId) message.media_group_id = String(mediaGroupId);
+        } else if (document) {
+            const file = addFile(document.dataUrl, 'documents');
+            message.document = { file_id: file.file_id, file_unique_id: file.file_unique_id, file_size: file.file_size, file_name: document.fileName || 'archivo', mime_type: file.mimeType };
+            if (caption) message.caption = caption;
+        } else {
+            message.text = text || '';
+        }
+        return pushUpdate({ message });
+    }
+
+    /**
+     * Simulates a press on an inline keyboard button of a message the store sent.
+     * @param {object} press
+     * @param {number} press.messageId - The message_id of the sent message.
+     * @param {string} [press.data] - The callback_data; defaults to the first button's.
+     * @param {object} [press.from] - The user who pressed (Telegram User); defaults to a user with ID 1.
+     * @returns {object} The queued update.
+     * @throws {Error} If the message or the button doesn't exist.
+     */
+    function pushCallbackQuery({ messageId, data, from } = {}) {
+        const sentMessage = [...sentMessages].reverse().find(message => message.message_id === Number(messageId));
+        const buttons = sentMessage?.reply_markup?.inline_keyboard?.flat() ?? [];
+        if (buttons.length === 0) {
+            throw new Error(`Message ${messageId} was not sent by the mock bot with an inline keyboard.`);
+        }
+        const button = data === undefined ? buttons[0] : buttons.find(candidate => candidate.callback_data === data);
+        if (!button) {
+            throw new Error(`Message ${messageId} has no button with callback data ${data}.`);
+        }
+        const { parse_mode, ...message } = sentMessage;
+        const callbackQuery = {
+            id: `mock-callback-${nextCallbackQueryNumber++}`,
+            from: { id: 1, is_bot: false, first_name: 'Admin', ...from },
+            message,
+            chat_instance: `mock-chat-${message.chat.id}`,
+            data: button.callback_data,
+        };
+        unansweredCallbackQueries.add(callbackQuery.id);
+        return pushUpdate({ callback_query: callbackQuery });
+    }
+
+    /**
+     * Makes the next API request fail, to exercise error handling (bad token, rate limits...).
+     * @param {number} errorCode - Telegram error code (e.g. 401, 429, 502).
+     * @param {string} [description] - The error description.
+     * @param {number|null} [retryAfter] - Seconds to wait, sent for 429 errors.
+     */
+    function queueError(errorCode, description = 'Simulated error', retryAfter = null) {
+        queuedErrors.push(errorResult(errorCode, description, retryAfter ? { retry_after: retryAfter } : null));
+    }
+
+    /**
+     * Registers a listener called with every message the store sends through the bot.
+     * @param {function(object): void} listener - Receives the sent Message.
+     * @returns {function(): void} Unsubscribes the listener.
+     */
+    function onMessageSent(listener) {
+        sentMessageListeners.add(listener);
+        return () => sentMessageListeners.delete(listener);
+    }
+
+    // --- API Methods ---
+
+    /**
+     * getUpdates: confirms updates below `offset`, then returns the pending ones,
+     * waiting up to `timeout` seconds for new ones like a real long poll.
+     */
+    async function getUpdates(params) {
+        const offset = Number(params.offset) || 0;
+        const limit = Math.min(Number(params.limit) || MAX_UPDATES_PER_REQUEST, MAX_UPDATES_PER_REQUEST);
+        const timeoutSeconds = Number(params.timeout) || 0;
+
+        if (offset < 0) {
+            pendingUpdates = pendingUpdates.slice(offset);
+        } else if (offset > 0) {
+            pendingUpdates = pendingUpdates.filter(update => update.update_id >= offset);
+        }
+
+        if (pendingUpdates.length === 0 && timeoutSeconds > 0) {
+            if (waitingPoll) {
+                // Telegram allows a single getUpdates at a time; the newer request wins
+                const { resolve, timer } = waitingPoll;
+                clearTimeout(timer);
+                resolve(errorResult(409, 'Conflict: terminated by other getUpdates request; make sure that only one bot instance is running'));
+            }
+            const conflict = await new Promise(resolve => {
+                const timer = setTimeout(() => {
+                    waitingPoll = null;
+                    resolve();
+                }, timeoutSeconds * 1000);
+                waitingPoll = { resolve, timer };
+            });
+            if (conflict) {
+                return conflict;
+            }
+        }
+        return okResult(pendingUpdates.slice(0, limit));
+    }
+
+    /**
+     * Records a message sent by the store and tells the listeners.
+     * @param {object} message - The Message without message_id, sender and date.
+     * @param {object} params - The method parameters (chat_id, reply_parameters, parse_mode).
+     * @returns {{status: number, body: object}} The result with the sent Message.
+     */
+    function recordSentMessage(message, params) {
+        const sentMessage = {
+            message_id: nextMessageId++,
+            from: botUser,
+            chat: { id: Number(params.chat_id) || params.chat_id, type: 'private' },
+            date: Math.floor(Date.now() / 1000),
+            ...message,
+        };
+        let replyParameters = params.reply_parameters;
+        if (typeof replyParameters === 'string') {
+            replyParameters = JSON.parse(replyParameters); // Sent as a FormData field
+        }
+        const replyToId = replyParameters?.message_id ?? params.reply_to_message_id;
+        if (replyToId) {
+            sentMessage.reply_to_message = { message_id: Number(replyToId), chat: sentMessage.chat };
+        }
+        if (params.reply_markup) {
+            sentMessage.reply_markup = typeof params.reply_markup === 'string' ? JSON.parse(params.reply_markup) : params.reply_markup;
+        }
+        const recordedMessage = { ...sentMessage, parse_mode: params.parse_mode || null };
+        sentMessages.push(recordedMessage);
+        sentMessageListeners.forEach(listener => {
+            try {
+                listener(recordedMessage);
+            } catch (error) {
+                console.error("Error in mock sendMessage listener:", error);
+            }
+        });
+        return okResult(sentMessage);
+    }
+
+    /** sendMessage: records the message and returns it like Telegram does. */
+    function sendMessage(params) {
+        if (!params.chat_id) {
+            return errorResult(400, 'Bad Request: chat_id is empty');
+        }
+        const text = params.text === undefined || params.text === null ? '' : String(params.text);
+        if (text.trim() === '') {
+            return errorResult(400, 'Bad Request: message text is empty');
+        }
+        if (text.length > MAX_MESSAGE_LENGTH) {
+            return errorResult(400, 'Bad Request: message is too long');
+        }
+        return recordSentMessage({ text }, params);
+    }
+
+    /** sendDocument: stores the uploaded file (so getFile can serve it) and records the message. */
+    async function sendDocument(params) {
+        if (!params.chat_id) {
+            return errorResult(400, 'Bad Request: chat_id is empty');
+        }
+        const upload = params.document;
+        if (!upload || typeof upload.arrayBuffer !== 'function') {
+            return errorResult(400, 'Bad Request: there is no document in the request');
+        }
+        const bytes = new Uint8Array(await upload.arrayBuffer());
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        const file = addFile(`data:${upload.type || 'application/octet-stream'};base64,${btoa(binary)}`, 'documents');
+        const message = {
+            document: { file_id: file.file_id, file_unique_id: file.file_unique_id, file_size: file.file_size, file_name: upload.name || 'archivo', mime_type: file.mimeType },
+        };
+        if (params.caption) {
+            message.caption = String(params.caption);
+        }
+        return recordSentMessage(message, params);
+    }
+
+    /** editMessageText: changes the text and keyboard of a message the bot sent. */
+    function editMessageText(params) {
+        const sentMessage = sentMessages.find(message => String(message.chat.id) === String(params.chat_id) && message.message_id === Number(params.message_id));
+        if (!sentMessage) {
+            return errorResult(400, 'Bad Request: message to edit not found');
+        }
+        const text = params.text === undefined || params.text === null ? '' : String(params.text);
+        if (text.trim() === '') {
+            return errorResult(400, 'Bad Request: message text is empty');
+        }
+        if (text.length > MAX_MESSAGE_LENGTH) {
+            return errorResult(400, 'Bad Request: MESSAGE_TOO_LONG');
+        }
+        const replyMarkup = params.reply_markup || null;
+        if (text === sentMessage.text && JSON.stringify(replyMarkup) === JSON.stringify(sentMessage.reply_markup || null)) {
+            return errorResult(400, 'Bad Request: message is not modified');
+        }
+        sentMessage.text = text;
+        if (replyMarkup) {
+            sentMessage.reply_markup = replyMarkup;
+        } else {
+            delete sentMessage.reply_markup;
+        }
+        sentMessage.edit_date = Math.floor(Date.now() / 1000);
+        const { parse_mode, ...message } = sentMessage;
+        return okResult(message);
+    }
+
+    /** answerCallbackQuery: a button press can be answered once. */
+    function answerCallbackQuery(params) {
+        if (!unansweredCallbackQueries.delete(params.callback_query_id)) {
+            return errorResult(400, 'Bad Request: query is too old and response timeout expired or query ID is invalid');
+        }
+        if (params.text) {
+            console.log(`[Mock bot] answerCallbackQuery${params.show_alert ? ' (alert)' : ''}: ${params.text}`);
+        }
+        return okResult(true);
+    }
+
+    /** getFile: returns the File object of a stored file. */
+    function getFile(params) {
+        const file = filesById.get(params.file_id);
+        if (!file) {
+            return errorResult(400, 'Bad Request: invalid file_id');
+        }
+        const { dataUrl, mimeType, ...telegramFile } = file;
+        return okResult(telegramFile);
+    }
+
+    const apiMethods = {
+        getMe: () => okResult(botUser),
+        getUpdates,
+        sendMessage,
+        sendDocument,
+        editMessageText,
+        answerCallbackQuery,
+        getFile,
+    };
+
+    /**
+     * Handles a Bot API call.
+     * @param {string} requestToken - The token from the request URL.
+     * @param {string} method - The API method name.
+     * @param {object} params - The method parameters.
+     * @returns {Promise<{status: number, body: object}>} The HTTP status and Telegram response body.
+     */
+    async function handleApiRequest(requestToken, method, params = {}) {
+        if (token && requestToken !== token) {
+            return errorResult(401, 'Unauthorized');
+        }
+        if (queuedErrors.length > 0) {
+            return queuedErrors.shift();
+        }
+        const apiMethod = apiMethods[method];
+        if (!apiMethod) {
+            return errorResult(404, 'Not Found: method not found');
+        }
+        return apiMethod(params || {});
+    }
+
+    /**
+     * Handles a file download (the URL built from getFile's file_path).
+     * @param {string} requestToken - The token from the request URL.
+     * @param {string} filePath - The file_path returned by getFile.
+     * @returns {{status: number, mimeType?: string, bytes?: Uint8Array, body?: object}} The file, or a Telegram error body.
+     */
+    function handleFileDownload(requestToken, filePath) {
+        if (token && requestToken !== token) {
+            return errorResult(401, 'Unauthorized');
+        }
+        const file = filesByPath.get(filePath);
+        if (!file) {
+            return errorResult(404, 'Not Found');
+        }
+        return { status: 200, ...decodeDataUrl(file.dataUrl) };
+    }
+
+    /**
+     * Gets a stored file as a data URL, so the browser can show it without a download URL.
+     * @param {string} filePath - The file_path returned by getFile.
+     * @returns {string|null} The data URL, or null if the file is unknown.
+     */
+    function getFileDataUrl(filePath) {
+        return filesByPath.get(filePath)?.dataUrl || null;
+    }
+
+    /**
+     * Creates a fetch-compatible function that answers Bot API and file URLs under `baseUrl`
+     * from this mock bot, so telegram-api.js can use it in place of window.fetch.
+     * @param {string} baseUrl - The base URL the requests are built from (e.g. MOCK_API_BASE_URL).
+     * @returns {function(string, object): Promise<Response>} The fetch replacement.
+     */
+    function createFetch(baseUrl) {
+        return async (url, requestOptions = {}) => {
+            const path = String(url).startsWith(baseUrl) ? String(url).substring(baseUrl.length) : String(url);
+
+            const fileMatch = /^\/file\/bot([^/]+)\/(.+)$/.exec(path);
+            if (fileMatch) {
+                const file = handleFileDownload(fileMatch[1], decodeURIComponent(fileMatch[2]));
+                if (!file.bytes) {
+                    return new Response(JSON.stringify(file.body), { status: file.status, headers: { 'Content-Type': 'application/json' } });
+                }
+                return new Response(file.bytes, { status: 200, headers: { 'Content-Type': file.mimeType } });
+            }
+
+            const methodMatch = /^\/bot([^/]+)\/([A-Za-z]+)$/.exec(path);
+            if (!methodMatch) {
+                return new Response(JSON.stringify({ ok: false, error_code: 404, description: 'Not Found' }), { status: 404, headers: { 'Content-Type': 'application/json' } });
+            }
+
+            let params = {};
+            const body = requestOptions.body;
+            if (typeof FormData !== 'undefined' && body instanceof FormData) {
+                params = Object.fromEntries(body.entries());
+            } else if (typeof body === 'string' && body !== '') {
+                params = JSON.parse(body);
+            }
+
+            const { status, body: responseBody } = await handleApiRequest(methodMatch[1], methodMatch[2], params);
+            return new Response(JSON.stringify(responseBody), { status, headers: { 'Content-Type': 'application/json' } });
+        };
+    }
+
+    return {
+        botUser,
+        pushMessage,
+        pushCallbackQuery,
+        queueError,
+        onMessageSent,
+        getSentMessages: () => [...sentMessages],
+        getPendingUpdates: () => [...pendingUpdates],
+        handleApiRequest,
+        handleFileDownload,
+        getFileDataUrl,
+        createFetch,
+    };
+}
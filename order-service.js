@@ -0,0 +1,85 @@
+// --- Order Service ---
+// Customers' browsers have no bot token (it is only unlocked in the admin's Ajustes), so they
+// send their orders through the catalog service (catalog-server.js), which relays them to the
+// shop's Telegram chat. The admin's own browser keeps sending orders straight to Telegram.
+// The service also carries the status set with *PEDIDO* back to the customers' stores, which
+// only read from it (they never poll the bot).
+import { catalogServiceRequest, getCatalogServiceUrl, getCatalogServiceKey } from './catalog-sync.js';
+import { loadOrders, updateOrderStatus, ORDER_STATUSES, FINAL_ORDER_STATUSES } from './orders.js';
+
+// --- Tweakable Configuration ---
+const MAX_STATUS_CHECKS = 50; // Newest open orders checked per request (the service's limit)
+
+/**
+ * Checks whether this browser can send orders through the catalog service.
+ * @returns {boolean} True if a catalog service is configured.
+ */
+export function canSendOrdersThroughService() {
+    return Boolean(getCatalogServiceUrl());
+}
+
+/**
+ * Sends an order to the shop's chat through the catalog service, which adds the staff buttons.
+ * Sending the same order ID again (checkout.js reuses it when retrying, e.g. after a timeout)
+ * doesn't post it twice.
+ * @param {string} text - The order message.
+ * @param {object} payload - The machine-readable order (see buildOrderPayload in orders.js).
+ * @returns {Promise<void>} Resolves once the order is in the chat.
+ * @throws {Error} If the order can't be sent. `status` is 503 when the service has no bot configured
+ *   and 429 when this client sent too many orders.
+ */
+export async function sendOrderThroughService(text, payload) {
+    const response = await catalogServiceRequest('/orders', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, payload }),
+    });
+    const { duplicate } = await response.json();
+    console.log(`Order ${payload.orderId} sent through the catalog service${duplicate ? ' (already sent before)' : ''}.`);
+}
+
+/**
+ * Records an order's new status in the catalog service, so the customer's store can show it.
+ * Needs the service's admin key (the admin's browser, with Ajustes unlocked).
+ * @param {string} orderId - The order ID.
+ * @param {string} status - The new status (see ORDER_STATUSES in orders.js).
+ * @returns {Promise<boolean>} True once recorded; false if there is no catalog service or admin key.
+ * @throws {Error} If the service can't be reached or rejects the status.
+ */
+export async function publishOrderStatus(orderId, status) {
+    if (!getCatalogServiceUrl() || !getCatalogServiceKey()) {
+        return false;
+    }
+    await catalogServiceRequest('/orders/status', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ orderId, status }),
+    }, true);
+    console.log(`Published status ${status} of order ${orderId} to the catalog service.`);
+    return true;
+}
+
+/**
+ * Loads from the catalog service the status of the open orders placed from this browser and
+ * saves the ones that changed.
+ * @returns {Promise<Array<object>>} The orders whose status changed (empty without a catalog service).
+ * @throws {Error} If the service can't be reached.
+ */
+export async function fetchOrderStatusChanges() {
+    const openOrders = loadOrders().filter(order => !FINAL_ORDER_STATUSES.includes(order.status)).slice(0, MAX_STATUS_CHECKS);
+    if (!getCatalogServiceUrl() || openOrders.length === 0) {
+        return [];
+    }
+    const ids = openOrders.map(order => order.id).join(',');
+    const response = await catalogServiceRequest(`/orders/status?ids=${encodeURIComponent(ids)}`, { cache: 'no-store' });
+    const { statuses } = await response.json();
+
+    const changedOrders = [];
+    for (const order of openOrders) {
+        const remote = statuses?.[order.id];
+        // The service's status wins: customers' stores get statuses only from it (clocks may differ, so no time check)
+        if (!remote || !ORDER_STATUSES[remote.status] || remote.status === order.status) continue;
+        changedOrders.push(await updateOrderStatus(order.id, remote.status, remote.statusUpdatedAt));
+    }
+    return changedOrders.filter(Boolean);
+}
@@ -0,0 +1,276 @@
+// --- "Mis pedidos" Modal UI Logic ---
+
+import { loadOrders, getOrderStatusLabel } from './orders.js';
+import { formatPriceForDisplay, loadProductData, getSelectedCurrency, setSelectedCurrency, showNotification, getProductStock } from './ui.js';
+import { addToCart, getCartItems, getCartCurrency } from './cart.js';
+import { STORES, onRecordChange } from './repository.js';
+import { fetchOrderStatusChanges } from './order-service.js';
+import { broadcastStateChange } from './tab-coordinator.js';
+
+// --- Tweakable Configuration ---
+const ORDER_STATUS_REFRESH_INTERVAL_MS = 60000; // How often an open store asks the catalog service for status changes
+
+let ordersModal = null;
+let ordersButton = null;
+let closeButton = null;
+let ordersList = null;
+
+// --- Helper Functions ---
+
+/**
+ * Formats a delivery date saved as "YYYY-MM-DD" for the customer.
+ * @param {string} deliveryDate - The date from the checkout form.
+ * @returns {string} The formatted date (e.g. "18/10/2026"), or the original text if it can't be parsed.
+ */
+function formatDeliveryDate(deliveryDate) {
+    const [year, month, day] = String(deliveryDate).split('-').map(part => parseInt(part, 10));
+    if (!year || !month || !day) return String(deliveryDate);
+    return new Date(year, month - 1, day).toLocaleDateString('es-ES', { dateStyle: 'short' });
+}
+
+/**
+ * Creates an element with a class and text.
+ * @param {string} tagName - The tag.
+ * @param {string} className - The class.
+ * @param {string} text - The text content.
+ * @returns {HTMLElement} The element.
+ */
+function createTextElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    element.className = className;
+    element.textContent = text;
+    return element;
+}
+
+/**
+ * Builds the entry of one order: ID, dates, status, items and total.
+ * @param {object} order - The stored order (see orders.js).
+ * @returns {HTMLElement} The order entry.
+ */
+function createOrderElement(order) {
+    const entry = document.createElement('article');
+    entry.className = 'order-entry';
+    entry.dataset.orderId = order.id;
+
+    const header = document.createElement('div');
+    header.className = 'order-entry-header';
+    header.appendChild(createTextElement('span', 'order-id', `Pedido ${order.id}`));
+    header.appendChild(createTextElement('span', `order-status order-status-${order.status}`, getOrderStatusLabel(order.status)));
+    entry.appendChild(header);
+
+    const placedAt = new Date(order.createdAt).toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short' });
+    entry.appendChild(createTextElement('p', 'order-dates', `Realizado: ${placedAt} · Entrega: ${formatDeliveryDate(order.deliveryDate)}`));
+    if (order.statusUpdatedAt > order.createdAt) {
+        const updatedAt = new Date(order.statusUpdatedAt).toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short' });
+        entry.appendChild(createTextElement('p', 'order-dates', `Estado actualizado: ${updatedAt}`));
+    }
+
+    const itemsList = document.createElement('ul');
+    itemsList.className = 'order-items';
+    order.items.forEach(item => {
+        const itemElement = document.createElement('li');
+        itemElement.appendChild(createTextElement('span', 'order-item-name', `${item.name} (x${item.quantity})`));
+        itemElement.appendChild(createTextElement('span', 'order-item-price', formatPriceForDisplay(item.total, order.currency)));
+        itemsList.appendChild(itemElement);
+    });
+    entry.appendChild(itemsList);
+
+    entry.appendChild(createTextElement('p', 'order-total', `Total (${order.currency}): ${formatPriceForDisplay(order.total, order.currency)}`));
+
+    const repeatButton = createTextElement('button', 'repeat-order-button', 'Repetir pedido');
+    repeatButton.type = 'button';
+    repeatButton.addEventListener('click', () => repeatOrder(order));
+    entry.appendChild(repeatButton);
+    return entry;
+}
+
+// --- Core UI Functions ---
+
+/**
+ * Adds every line of a past order to the cart again, at today's prices and in the order's currency.
+ * Tells the customer, in a single message, about the currency switch and the products that were
+ * deleted, changed price, ran out of stock or are now only sold in the other currency (the cart
+ * holds a single currency).
+ * @param {object} order - The stored order.
+ */
+function repeatOrder(order) {
+    const otherCurrency = order.currency === 'MLC' ? 'CUP' : 'MLC';
+    if (getCartItems().length > 0 && getCartCurrency() !== order.currency) {
+        alert(`Tu cesta ya contiene artículos en ${getCartCurrency()} y el pedido ${order.id} se pagó en ${order.currency}.\n\nVacía la cesta para repetir este pedido.`);
+        return;
+    }
+    const switchesCurrency = getSelectedCurrency() !== order.currency;
+    if (switchesCurrency) {
+        setSelectedCurrency(order.currency); // addToCart uses the selected currency
+    }
+
+    const warnings = [];
+    let addedCount = 0;
+    order.items.forEach(item => {
+        const productData = loadProductData(item.id);
+        if (!productData) {
+            warnings.push(`${item.name}: ya no está en la tienda.`);
+            return;
+        }
+        const price = productData[`price${order.currency}`];
+        if (price === null || price === undefined || price === '') {
+            const isSoldInOtherCurrency = ![null, undefined, ''].includes(productData[`price${otherCurrency}`]);
+            warnings.push(isSoldInOtherCurrency
+                ? `${productData.name}: ahora solo se vende en ${otherCurrency}.`
+                : `${productData.name}: no tiene precio en ${order.currency}.`);
+            return;
+        }
+        const currentPrice = parseFloat(String(price).replace(',', '.')) || 0;
+        const stock = getProductStock(item.id);
+        const quantityInCart = getCartItems().find(cartItem => cartItem.id === String(item.id))?.quantity ?? 0;
+        if (stock !== null && quantityInCart + item.quantity > stock) {
+            warnings.push(stock === 0
+                ? `${productData.name}: está agotado.`
+                : `${productData.name}: solo quedan ${stock} unidades${quantityInCart > 0 ? ` y ya tienes ${quantityInCart} en la cesta` : ''}.`);
+            return;
+        }
+        if (Math.abs(currentPrice - item.unitPrice) >= 0.005) {
+            warnings.push(`${productData.name}: el precio ha cambiado de ${formatPriceForDisplay(item.unitPrice, order.currency)} a ${formatPriceForDisplay(currentPrice, order.currency)}.`);
+        }
+        if (addToCart(item.id, productData.name, currentPrice, item.quantity, { quiet: true })) {
+            addedCount++;
+        } else {
+            warnings.push(`${productData.name}: no se pudo añadir a la cesta.`);
+        }
+    });
+
+    console.log(`Repeated order ${order.id}: ${addedCount} of ${order.items.length} lines added to the cart.`);
+    let summary = `${addedCount} de ${order.items.length} productos del pedido ${order.id} añadidos a la cesta.`;
+    if (switchesCurrency) {
+        summary += ` La moneda seleccionada ha cambiado a ${order.currency}, la del pedido.`;
+    }
+    if (warnings.length > 0) {
+        alert(`${summary}\n\n${warnings.join('\n')}`);
+    } else {
+        showNotification(summary, 5000);
+    }
+    if (addedCount > 0) {
+        hideOrdersModal();
+    }
+}
+
+/**
+ * Renders the stored orders into the modal list, newest first.
+ */
+function renderOrders() {
+    if (!ordersList) return;
+    const orders = loadOrders();
+    ordersList.innerHTML = '';
+    if (orders.length === 0) {
+        ordersList.appendChild(createTextElement('p', 'cart-empty-message', 'Todavía no has hecho ningún pedido desde este navegador.'));
+        return;
+    }
+    orders.forEach(order => ordersList.appendChild(createOrderElement(order)));
+}
+
+/**
+ * Shows the "Mis pedidos" modal.
+ */
+function displayOrdersModal() {
+    if (!ordersModal) return;
+    console.log("Displaying orders modal");
+    renderOrders();
+    ordersModal.classList.remove('modal-hidden');
+    ordersModal.classList.add('modal-visible');
+    closeButton?.focus();
+}
+
+/**
+ * Hides the "Mis pedidos" modal.
+ */
+function hideOrdersModal() {
+    if (!ordersModal) return;
+    console.log("Hiding orders modal");
+    ordersModal.classList.remove('modal-visible');
+    const handler = () => {
+        if (!ordersModal.classList.contains('modal-visible')) {
+            ordersModal.classList.add('modal-hidden');
+        }
+    };
+    ordersModal.addEventListener('transitionend', handler, { once: true });
+
+    setTimeout(() => {
+        if (!ordersModal.classList.contains('modal-visible')) {
+            ordersModal.classList.add('modal-hidden');
+        }
+        ordersModal.removeEventListener('transitionend', handler);
+    }, 350);
+}
+
+/**
+ * Renders the orders only if the modal is currently visible (e.g. after an order is placed or changes).
+ */
+export function renderOrdersIfVisible() {
+    if (ordersModal && ordersModal.classList.contains('modal-visible')) {
+        renderOrders();
+    }
+}
+
+/**
+ * Tells the customer that an order's status changed, in this tab and the other open ones.
+ * @param {object} order - The updated order.
+ */
+export function notifyOrderStatusChange(order) {
+    const notification = `Tu pedido ${order.id} está ahora: ${getOrderStatusLabel(order.status)}.`;
+    showNotification(notification, 10000);
+    broadcastStateChange('notification', { text: notification });
+    renderOrdersIfVisible();
+}
+
+/**
+ * Loads the status changes of this browser's orders from the catalog service and tells the customer.
+ * @returns {Promise<boolean>} True if some order changed.
+ * @throws {Error} If the service can't be reached.
+ */
+export async function refreshOrderStatuses() {
+    const changedOrders = await fetchOrderStatusChanges();
+    changedOrders.forEach(notifyOrderStatusChange);
+    return changedOrders.length > 0;
+}
+
+/**
+ * Checks the status of this browser's orders now, every ORDER_STATUS_REFRESH_INTERVAL_MS while
+ * the page is visible, and whenever it becomes visible again.
+ */
+export function initializeOrderStatusUpdates() {
+    const refresh = () => {
+        if (document.visibilityState === 'hidden') return;
+        refreshOrderStatuses().catch(error => console.warn("Could not load order status changes:", error.message));
+    };
+    refresh();
+    setInterval(refresh, ORDER_STATUS_REFRESH_INTERVAL_MS);
+    document.addEventListener('visibilitychange', refresh);
+}
+
+/**
+ * Initializes the "Mis pedidos" elements and event listeners.
+ */
+export function initializeOrdersUI() {
+    ordersModal = document.getElementById('orders-modal');
+    ordersButton = document.getElementById('orders-button');
+    closeButton = document.getElementById('orders-modal-close');
+    ordersList = document.getElementById('orders-list');
+
+    if (!ordersModal || !ordersButton || !closeButton || !ordersList) {
+        console.warn("One or more orders UI elements could not be found. \"Mis pedidos\" might not function correctly.");
+        return;
+    }
+
+    ordersButton.addEventListener('click', displayOrdersModal);
+    closeButton.addEventListener('click', hideOrdersModal);
+    ordersModal.addEventListener('click', (event) => {
+        if (event.target === ordersModal) {
+            hideOrdersModal();
+        }
+    });
+
+    // Orders placed or updated in other tabs
+    onRecordChange(STORES.ORDERS, renderOrdersIfVisible);
+
+    console.log("Orders UI Initialized");
+}
@@ -0,0 +1,191 @@
+// --- Order History ---
+// Keeps the orders placed from this browser (see checkout.js), so customers can review them
+// in "Mis pedidos". Each order gets a short ID that is also sent in the Telegram message,
+// so the shop and the customer can refer to the same order.
+import { STORES, getRecord, getRecordKeys, putRecord, deleteRecord, runBatch } from './repository.js';
+
+// --- Tweakable Configuration ---
+const MAX_STORED_ORDERS = 200; // Older orders are deleted when a new one is saved
+const ORDER_ID_RANDOM_LENGTH = 5;
+const ORDER_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I, so IDs can be typed back without mistakes
+
+/** Identifies the JSON sent with each order message. Increase the version when a field is renamed, removed or changes meaning. */
+export const ORDER_PAYLOAD_SCHEMA = 'tienda-dulceria.pedido';
+export const ORDER_PAYLOAD_SCHEMA_VERSION = 1;
+
+/** Order statuses and how they are shown to the customer. */
+export const ORDER_STATUSES = Object.freeze({
+    sent: 'Enviado',
+    confirmed: 'Confirmado',
+    rejected: 'Rechazado',
+    paid: 'Pagado',
+    preparing: 'En preparación',
+    ready: 'Listo',
+    delivered: 'Entregado',
+    cancelled: 'Cancelado',
+});
+
+/** Statuses after which an order doesn't change any more. */
+export const FINAL_ORDER_STATUSES = Object.freeze(['rejected', 'delivered', 'cancelled']);
+
+/** Words of the *PEDIDO* admin command and the status each one sets. */
+export const ORDER_STATUS_WORDS = Object.freeze({
+    CONFIRMADO: 'confirmed',
+    RECHAZADO: 'rejected',
+    PAGADO: 'paid',
+    PREPARANDO: 'preparing',
+    LISTO: 'ready',
+    ENTREGADO: 'delivered',
+    CANCELADO: 'cancelled',
+});
+
+/** Buttons under the order message in Telegram, two per row, and the *PEDIDO* word each one sends. catalog-server.js sends the same ones. */
+const ORDER_KEYBOARD_BUTTONS = [
+    [{ text: '✅ Confirmar', word: 'CONFIRMADO' }, { text: '❌ Rechazar', word: 'RECHAZADO' }],
+    [{ text: '💳 Pagado', word: 'PAGADO' }, { text: '📦 Entregado', word: 'ENTREGADO' }],
+];
+const ORDER_BUTTON_DATA_PATTERN = /^\*PEDIDO\* \*(\S+)\* \*(\S+)\*$/;
+const ORDER_ID_IN_TEXT_PATTERN = /\b\d{6}-[A-Z0-9]{5}\b/; // The first one is the message's order (see checkout.js)
+
+/**
+ * Generates an order ID: the date and random characters (e.g. "241018-K7QZ4").
+ * @param {Date} date - When the order is placed.
+ * @returns {string} The order ID.
+ */
+export function generateOrderId(date = new Date()) {
+    const datePart = [date.getFullYear() % 100, date.getMonth() + 1, date.getDate()]
+        .map(part => String(part).padStart(2, '0'))
+        .join('');
+    let id;
+    do {
+        const randomValues = crypto.getRandomValues(new Uint32Array(ORDER_ID_RANDOM_LENGTH));
+        const randomPart = Array.from(randomValues, value => ORDER_ID_ALPHABET[value % ORDER_ID_ALPHABET.length]).join('');
+        id = `${datePart}-${randomPart}`;
+    } while (getRecord(STORES.ORDERS, id) !== null);
+    return id;
+}
+
+/**
+ * Gets the label shown to the customer for a status.
+ * @param {string} status - The order status (see ORDER_STATUSES).
+ * @returns {string} The label, or the status itself if it is unknown.
+ */
+export function getOrderStatusLabel(status) {
+    return ORDER_STATUSES[status] ?? status;
+}
+
+/**
+ * Builds the inline keyboard of an order message. Each button sends the *PEDIDO* command for
+ * the order as callback data, so pressing it runs the command with the presser's permissions.
+ * @param {string} orderId - The order ID.
+ * @returns {{inline_keyboard: Array<Array<{text: string, callback_data: string}>>}} The reply_markup.
+ */
+export function buildOrderKeyboard(orderId) {
+    return {
+        inline_keyboard: ORDER_KEYBOARD_BUTTONS.map(row => row.map(({ text, word }) => ({
+            text,
+            callback_data: `*PEDIDO* *${orderId}* *${word}*`, // Telegram allows up to 64 bytes
+        }))),
+    };
+}
+
+/**
+ * Checks the callback data of a pressed button before it is run as a command. Only a *PEDIDO*
+ * status change for the order the message is about is accepted, so a button can't carry any
+ * other admin command, or one for another order.
+ * @param {string} data - The callback data.
+ * @param {string} messageText - The text of the message the button is under.
+ * @returns {boolean} True if the data is a status change for the order in the message.
+ */
+export function isOrderButtonData(data, messageText) {
+    const match = ORDER_BUTTON_DATA_PATTERN.exec(data || '');
+    const messageOrderId = ORDER_ID_IN_TEXT_PATTERN.exec(messageText || '')?.[0];
+    return Boolean(match && messageOrderId && match[1] === messageOrderId && Object.hasOwn(ORDER_STATUS_WORDS, match[2]));
+}
+
+/**
+ * Builds the machine-readable copy of an order that is sent with the Telegram message,
+ * so staff tools can read orders without parsing the text.
+ * @param {object} order - The order, as passed to saveOrder.
+ * @param {number} customerOrderCount - How many orders this customer (mobile number) has placed, this one included.
+ * @returns {object} The payload: schema and version, order ID, dates, currency, customer, items and total.
+ */
+export function buildOrderPayload(order, customerOrderCount) {
+    return {
+        schema: ORDER_PAYLOAD_SCHEMA,
+        schemaVersion: ORDER_PAYLOAD_SCHEMA_VERSION,
+        orderId: order.id,
+        createdAt: new Date(order.createdAt).toISOString(),
+        deliveryDate: order.deliveryDate,
+        currency: order.currency,
+        customer: { ...order.customer, orderCount: customerOrderCount },
+        items: order.items.map(({ id, name, quantity, unitPrice, total }) => ({ id, name, quantity, unitPrice, total })),
+        total: order.total,
+    };
+}
+
+/**
+ * Loads an order.
+ * @param {string} orderId - The order ID.
+ * @returns {object|null} The order, or null if there is no such order.
+ */
+export function loadOrder(orderId) {
+    const order = getRecord(STORES.ORDERS, String(orderId).toUpperCase());
+    return order && typeof order === 'object' && Array.isArray(order.items) ? order : null;
+}
+
+/**
+ * Loads every stored order.
+ * @returns {Array<object>} The orders, newest first.
+ */
+export function loadOrders() {
+    return getRecordKeys(STORES.ORDERS)
+        .map(loadOrder)
+        .filter(Boolean)
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Saves a new order, deleting the oldest ones beyond MAX_STORED_ORDERS.
+ * @param {{id: string, createdAt: number, currency: string, items: Array<{id: string, name: string, quantity: number, unitPrice: number, total: number}>,
+ *   total: number, deliveryDate: string, customer: {firstName: string, lastName: string, mobile: string}, status: string}} order - The order.
+ * @returns {Promise<boolean>} True once the order is saved.
+ */
+export async function saveOrder(order) {
+    const oldOrders = loadOrders().slice(MAX_STORED_ORDERS - 1);
+    try {
+        await runBatch(() => {
+            oldOrders.forEach(oldOrder => deleteRecord(STORES.ORDERS, oldOrder.id));
+            putRecord(STORES.ORDERS, order.id, { ...order, statusUpdatedAt: order.statusUpdatedAt ?? order.createdAt });
+        });
+    } catch (error) {
+        console.error(`Error saving order ${order.id}:`, error);
+        return false;
+    }
+    console.log(`Saved order ${order.id} (${order.items.length} items).`);
+    return true;
+}
+
+/**
+ * Changes the status of a stored order.
+ * @param {string} orderId - The order ID (case-insensitive).
+ * @param {string} status - The new status (see ORDER_STATUSES).
+ * @param {number} statusUpdatedAt - When the status changed (e.g. as recorded by the catalog service).
+ * @returns {Promise<object|null>} The updated order, or null if this browser doesn't have it.
+ * @throws {Error} If the status is unknown or the order can't be saved.
+ */
+export async function updateOrderStatus(orderId, status, statusUpdatedAt = Date.now()) {
+    if (!ORDER_STATUSES[status]) {
+        throw new Error(`Unknown order status: ${status}`);
+    }
+    const order = loadOrder(orderId);
+    if (!order) {
+        return null;
+    }
+    const updatedOrder = { ...order, status, statusUpdatedAt };
+    if (!await putRecord(STORES.ORDERS, order.id, updatedOrder)) {
+        throw new Error(`No se pudo guardar el estado del pedido ${order.id}.`);
+    }
+    console.log(`Order ${order.id} is now ${status}.`);
+    return updatedOrder;
+}
@@ -0,0 +1,175 @@
+// --- Product Search ---
+// Accent-insensitive, typo-tolerant matching of product names and descriptions.
+// DOM-free: ui.js keeps one search entry per product card and filters/highlights the cards.
+
+// --- Tweakable Configuration ---
+const MIN_FUZZY_WORD_LENGTH = 4; // Shorter query words must match exactly (as a prefix)
+const LONG_WORD_LENGTH = 8; // Query words this long tolerate two typos instead of one
+
+/**
+ * Normalizes text for matching: lower case without accents ("Chupetá" -> "chupeta"), keeping
+ * the position of every character in the original text so matches can be highlighted there.
+ * @param {string} text - The original text.
+ * @returns {{text: string, positions: Array<number>}} The normalized text and, for each of its
+ *   characters, the index of the original character it comes from.
+ */
+function normalizeWithPositions(text) {
+    let normalized = '';
+    const positions = [];
+    let originalIndex = 0;
+    for (const char of String(text ?? '')) {
+        const plain = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        for (const plainChar of plain) {
+            normalized += plainChar;
+            positions.push(originalIndex);
+        }
+        originalIndex += char.length;
+    }
+    return { text: normalized, positions };
+}
+
+/**
+ * Normalizes a search query into words.
+ * @param {string} query - The text typed by the customer.
+ * @returns {Array<string>} The normalized query words.
+ */
+export function getSearchWords(query) {
+    return normalizeWithPositions(query).text.split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Splits a product field into normalized words with their position in the original text.
+ * @param {string} text - The original text.
+ * @returns {{text: string, words: Array<{word: string, start: number, end: number, positions: Array<number>}>}}
+ *   The original text and its words (`start`/`end`/`positions` are indexes in the original text).
+ */
+function indexField(text) {
+    const original = String(text ?? '');
+    const { text: normalized, positions } = normalizeWithPositions(original);
+    const words = [];
+    for (const match of normalized.matchAll(/[a-z0-9]+/g)) {
+        const lastIndex = match.index + match[0].length - 1;
+        words.push({
+            word: match[0],
+            start: positions[match.index],
+            end: positions[lastIndex] + 1,
+            positions: positions.slice(match.index, lastIndex + 1),
+        });
+    }
+    return { text: original, words };
+}
+
+/**
+ * Builds the search entry of a product.
+ * @param {{name: string, description: string}} product - The product data.
+ * @returns {{name: object, description: object}} The entry, passed to matchSearchEntry.
+ */
+export function buildSearchEntry(product) {
+    return { name: indexField(product.name), description: indexField(product.description) };
+}
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment): insertions, deletions,
+ * substitutions and swaps of two adjacent letters each count as one typo.
+ * @param {string} a - First word.
+ * @param {string} b - Second word.
+ * @param {number} maxDistance - Distances above this are not needed exactly.
+ * @returns {number} The distance, or maxDistance + 1 if it is larger.
+ */
+function getEditDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+    for (let i = 1; i <= a.length; i++) {
+        rows[i] = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, rows[i][j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+    }
+    return rows[a.length][b.length];
+}
+
+/**
+ * Matches one query word against one word of a product.
+ * Words being typed match as prefixes ("chupe" -> "chupetas"); words of four letters or more
+ * also tolerate typos and plural endings ("chupetas" -> "chupeta", "chocolte" -> "chocolate").
+ * @param {string} queryWord - The normalized query word.
+ * @param {string} word - The normalized product word.
+ * @returns {number|null} How many letters of the product word to highlight, or null if they don't match.
+ */
+function matchWord(queryWord, word) {
+    if (word.startsWith(queryWord)) return queryWord.length;
+    if (queryWord.length < MIN_FUZZY_WORD_LENGTH) return null;
+
+    const maxDistance = queryWord.length >= LONG_WORD_LENGTH ? 2 : 1;
+    if (getEditDistance(queryWord, word, maxDistance) <= maxDistance) return word.length;
+    // Typo in a word still being typed: compare with the beginning of the product word
+    const prefix = word.substring(0, queryWord.length);
+    if (prefix.length === queryWord.length && getEditDistance(queryWord, prefix, maxDistance) <= maxDistance) {
+        return prefix.length;
+    }
+    return null;
+}
+
+/**
+ * Finds the words of a field that match a query word.
+ * @param {object} field - An indexed field (see indexField).
+ * @param {string} queryWord - The normalized query word.
+ * @returns {Array<{start: number, end: number}>} The matched ranges in the original text.
+ */
+function matchField(field, queryWord) {
+    const ranges = [];
+    field.words.forEach(({ word, start, end, positions }) => {
+        const matchedLength = matchWord(queryWord, word);
+        if (matchedLength === null) return;
+        ranges.push({ start, end: matchedLength === word.length ? end : positions[matchedLength] });
+    });
+    return ranges;
+}
+
+/**
+ * Merges overlapping ranges and sorts them.
+ * @param {Array<{start: number, end: number}>} ranges - The ranges.
+ * @returns {Array<{start: number, end: number}>} The merged ranges.
+ */
+function mergeRanges(ranges) {
+    const merged = [];
+    [...ranges].sort((a, b) => a.start - b.start).forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+    });
+    return merged;
+}
+
+/**
+ * Checks whether a product matches a query. Every query word has to match a word of the
+ * name or the description.
+ * @param {object} entry - The product's search entry (see buildSearchEntry).
+ * @param {Array<string>} queryWords - The query words (see getSearchWords).
+ * @returns {{name: Array<{start: number, end: number}>, description: Array<{start: number, end: number}>}|null}
+ *   The ranges to highlight in the name and the description, or null if the product doesn't match.
+ */
+export function matchSearchEntry(entry, queryWords) {
+    const nameRanges = [];
+    const descriptionRanges = [];
+    for (const queryWord of queryWords) {
+        const inName = matchField(entry.name, queryWord);
+        const inDescription = matchField(entry.description, queryWord);
+        if (inName.length === 0 && inDescription.length === 0) {
+            return null;
+        }
+        nameRanges.push(...inName);
+        descriptionRanges.push(...inDescription);
+    }
+    return { name: mergeRanges(nameRanges), description: mergeRanges(descriptionRanges) };
+}
@@ -47,9 +47,9 @@ function updateIndicatorPosition(distance) {
 
     // Update text based on whether pull is past threshold
     if (distance > PULL_THRESHOLD) {
-        if (pullIndicatorText) pullIndicatorText.textContent = "Release to refresh";
+        if (pullIndicatorText) pullIndicatorText.textContent = "Suelta para actualizar";
     } else {
-        if (pullIndicatorText) pullIndicatorText.textContent = "Pull down to refresh";
+        if (pullIndicatorText) pullIndicatorText.textContent = "Desliza hacia abajo para actualizar";
     }
 }
 
@@ -63,7 +63,7 @@ function hideIndicator() {
         // Check if still intended to be hidden (opacity might have changed again if user pulls immediately)
         if (pullIndicator.style.opacity === '0') {
             pullIndicator.style.visibility = 'hidden';
-            if (pullIndicatorText) pullIndicatorText.textContent = "Pull down to refresh";
+            if (pullIndicatorText) pullIndicatorText.textContent = "Desliza hacia abajo para actualizar";
             if (pullIndicatorSpinner) pullIndicatorSpinner.style.display = 'none';
         }
     }, 300); // Should match CSS transition duration for opacity/transform
@@ -101,7 +101,7 @@ function handleTouchMove(event) {
         if (event.cancelable) {
             event.preventDefault();
         }
-        showIndicator("Pull down to refresh"); // Ensure visible and set initial text
+        showIndicator("Desliza hacia abajo para actualizar"); // Ensure visible and set initial text
         updateIndicatorPosition(currentPullDistance);
     } else {
         // If user pulls up beyond the start point (currentPullDistance <= 0)
@@ -126,7 +126,7 @@ async function handleTouchEnd(event) {
 
     if (wasPullingAndTriggered) {
         console.log("Pull to refresh triggered.");
-        showIndicator("Refreshing...", true); // Set text and show spinner
+        showIndicator("Actualizando...", true); // Set text and show spinner
         // Settle the indicator at its fully visible position (translateY(0%)) while refreshing
         if (pullIndicator) pullIndicator.style.transform = 'translateY(0%)';
 
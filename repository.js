@@ -0,0 +1,482 @@
+// --- Repository ---
+// The store's persistence layer: every module reads and writes its data here instead of using
+// localStorage. Data lives in IndexedDB, one object store per entity (see STORES), and is
+// mirrored in memory so reads stay synchronous. Writes update the mirror at once and are
+// persisted asynchronously; other open tabs get the change over the tab-coordinator channel
+// once it is saved. The module loads the database with a top-level await, so importers can read
+// right away. Data saved in localStorage by older versions is moved here the first time the
+// database opens. Without IndexedDB, records are saved in localStorage instead (with less room).
+import { broadcastStateChangeWhen, onStateChange } from './tab-coordinator.js';
+
+// --- Tweakable Configuration ---
+const DB_NAME = 'tiendaDatos';
+const DB_VERSION = 2; // Schema version: bump it and extend upgradeSchema() to change the stores
+
+/** Object stores, one per entity. Records are keyed by the given key (not by a field of the value). */
+export const STORES = Object.freeze({
+    PRODUCTS: 'products', // Product ID -> product data
+    CART: 'cart', // 'items' -> cart items
+    CHAT_HISTORY: 'chatHistory', // History key (per chat) -> messages
+    ORDER_COUNTS: 'orderCounts', // Customer mobile number -> number of orders
+    ORDERS: 'orders', // Order ID -> order placed from this browser (see orders.js)
+    SETTINGS: 'settings', // Setting name -> value (config, ticker, preferences, bookkeeping)
+});
+
+const LOCAL_STORAGE_MIGRATED_KEY = 'localStorageMigrated'; // Setting set once the old keys were moved
+const FALLBACK_KEY_PREFIX = 'tiendaDatos:'; // localStorage keys used without IndexedDB: "<prefix><store>/<key>"
+
+// localStorage keys of older versions, by entity. Settings not listed in a parse list were plain strings.
+const LEGACY_PRODUCT_PREFIX = 'product_data_';
+const LEGACY_CHAT_HISTORY_PREFIX = 'telegramChatHistory_';
+const LEGACY_CART_KEY = 'shoppingCartItems';
+const LEGACY_ORDER_COUNT_PREFIX = 'customerOrderCount_';
+const LEGACY_STRING_SETTINGS = ['topPanelTickerText', 'mlcCardNumber', 'selectedCurrency', 'selectedCategory', 'productSortOrder',
+    'userChatId', 'userAuxChatId', 'userApiBaseUrl', 'userBotToken', 'userAuxBotToken'];
+const LEGACY_JSON_SETTINGS = ['remoteApiConfig', 'secureApiConfig', 'adminUsers', 'pendingCatalogImport', 'productDisplayOrder'];
+const LEGACY_NUMBER_SETTINGS = ['productStorageVersion'];
+const LEGACY_JSON_SETTING_PREFIXES = ['telegramProcessedUpdates_'];
+const LEGACY_NUMBER_SETTING_PREFIXES = ['telegramUpdateOffset_'];
+
+// --- State ---
+let database = null; // null: IndexedDB unavailable, data is saved in localStorage (see usesLocalStorage)
+let usesLocalStorage = false; // false with IndexedDB, or if localStorage can't be used either (data is kept for this page only)
+const records = new Map(Object.values(STORES).map(storeName => [storeName, new Map()])); // The in-memory mirror
+let activeBatch = null; // { changes, previousValues } collected by runBatch(), committed together
+const changeListeners = new Map(); // storeName -> Set of handlers for changes made by other tabs
+
+/**
+ * Creates or upgrades the object stores.
+ * @param {IDBDatabase} db - The database being upgraded.
+ * @param {number} oldVersion - The schema version found (0 for a new database).
+ */
+function upgradeSchema(db, oldVersion) {
+    if (oldVersion < 1) {
+        [STORES.PRODUCTS, STORES.CART, STORES.CHAT_HISTORY, STORES.ORDER_COUNTS, STORES.SETTINGS]
+            .forEach(storeName => db.createObjectStore(storeName));
+    }
+    if (oldVersion < 2) {
+        db.createObjectStore(STORES.ORDERS);
+    }
+}
+
+/**
+ * Opens the database.
+ * @returns {Promise<IDBDatabase>} The database.
+ * @throws {Error} If IndexedDB is not available or the database cannot be opened.
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser.'));
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => upgradeSchema(request.result, event.oldVersion);
+        request.onsuccess = () => {
+            // Let a newer version of the store in another tab upgrade the schema
+            request.result.onversionchange = () => {
+                request.result.close();
+                database = null;
+                console.warn('The database was upgraded by another tab. Changes made in this tab are no longer saved: reload it.');
+            };
+            resolve(request.result);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => console.warn('Database upgrade blocked: close the other tabs of the store.');
+    });
+}
+
+/**
+ * Waits for a transaction to finish.
+ * @param {IDBTransaction} transaction - The transaction.
+ * @returns {Promise<void>} Resolves when it commits.
+ * @throws {Error} If it fails or is aborted.
+ */
+function waitForTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted.'));
+    });
+}
+
+/**
+ * Reads every record of every store into the in-memory mirror.
+ * @param {IDBDatabase} db - The database.
+ */
+async function loadAllRecords(db) {
+    const transaction = db.transaction(Object.values(STORES), 'readonly');
+    Object.values(STORES).forEach(storeName => {
+        const store = transaction.objectStore(storeName);
+        const storeRecords = records.get(storeName);
+        const request = store.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            storeRecords.set(String(cursor.key), cursor.value);
+            cursor.continue();
+        };
+    });
+    await waitForTransaction(transaction);
+}
+
+/**
+ * Finds where a localStorage key of an older version (or saved without IndexedDB) belongs in the repository.
+ * @param {string} key - The localStorage key.
+ * @returns {{storeName: string, key: string, parse: function(string): any}|null} The location and
+ *   how to parse the stored string, or null if the key is not store data.
+ */
+function getLegacyLocation(key) {
+    const parseJson = value => JSON.parse(value);
+    const parseNumber = value => parseInt(value, 10);
+    const parseString = value => value;
+
+    if (key.startsWith(FALLBACK_KEY_PREFIX)) {
+        const location = key.substring(FALLBACK_KEY_PREFIX.length);
+        const storeName = location.substring(0, location.indexOf('/'));
+        return Object.values(STORES).includes(storeName)
+            ? { storeName, key: location.substring(storeName.length + 1), parse: parseJson }
+            : null;
+    }
+    if (key.startsWith(LEGACY_PRODUCT_PREFIX) && /^\d+$/.test(key.substring(LEGACY_PRODUCT_PREFIX.length))) {
+        return { storeName: STORES.PRODUCTS, key: key.substring(LEGACY_PRODUCT_PREFIX.length), parse: parseJson };
+    }
+    if (key.startsWith(LEGACY_CHAT_HISTORY_PREFIX)) {
+        return { storeName: STORES.CHAT_HISTORY, key, parse: parseJson };
+    }
+    if (key === LEGACY_CART_KEY) {
+        return { storeName: STORES.CART, key: 'items', parse: parseJson };
+    }
+    if (key.startsWith(LEGACY_ORDER_COUNT_PREFIX)) {
+        return { storeName: STORES.ORDER_COUNTS, key: key.substring(LEGACY_ORDER_COUNT_PREFIX.length), parse: parseNumber };
+    }
+    if (LEGACY_STRING_SETTINGS.includes(key)) {
+        return { storeName: STORES.SETTINGS, key, parse: parseString };
+    }
+    if (LEGACY_JSON_SETTINGS.includes(key) || LEGACY_JSON_SETTING_PREFIXES.some(prefix => key.startsWith(prefix))) {
+        return { storeName: STORES.SETTINGS, key, parse: parseJson };
+    }
+    if (LEGACY_NUMBER_SETTINGS.includes(key) || LEGACY_NUMBER_SETTING_PREFIXES.some(prefix => key.startsWith(prefix))) {
+        return { storeName: STORES.SETTINGS, key, parse: parseNumber };
+    }
+    return null;
+}
+
+/**
+ * Reads the store data saved in localStorage by older versions, or by this module without IndexedDB.
+ * @returns {Array<{storeName: string, key: string, value: any, legacyKey: string}>} The records found,
+ *   those saved without IndexedDB last (they are newer). Values that can't be parsed are skipped (and logged).
+ */
+function readLegacyRecords() {
+    const legacyRecords = [];
+    if (typeof localStorage === 'undefined') {
+        return legacyRecords;
+    }
+    for (let i = 0; i < localStorage.length; i++) {
+        const legacyKey = localStorage.key(i);
+        const location = legacyKey && getLegacyLocation(legacyKey);
+        if (!location) continue;
+        try {
+            const value = location.parse(localStorage.getItem(legacyKey));
+            if (value !== null && !Number.isNaN(value)) {
+                legacyRecords.push({ storeName: location.storeName, key: location.key, value, legacyKey });
+            }
+        } catch (error) {
+            console.warn(`Skipping unreadable localStorage key "${legacyKey}" during migration:`, error);
+        }
+    }
+    const isFallbackRecord = ({ legacyKey }) => legacyKey.startsWith(FALLBACK_KEY_PREFIX);
+    return [...legacyRecords.filter(record => !isFallbackRecord(record)), ...legacyRecords.filter(isFallbackRecord)];
+}
+
+/**
+ * Moves the data of older versions from localStorage into the database (once), then removes it
+ * from localStorage. Records already in the database are not overwritten.
+ * @param {IDBDatabase} db - The database.
+ */
+async function migrateFromLocalStorage(db) {
+    if (records.get(STORES.SETTINGS).get(LOCAL_STORAGE_MIGRATED_KEY)) {
+        return;
+    }
+    const legacyRecords = readLegacyRecords().filter(({ storeName, key }) => !records.get(storeName).has(key));
+
+    const transaction = db.transaction(Object.values(STORES), 'readwrite');
+    legacyRecords.forEach(({ storeName, key, value }) => transaction.objectStore(storeName).put(value, key));
+    transaction.objectStore(STORES.SETTINGS).put(true, LOCAL_STORAGE_MIGRATED_KEY);
+    await waitForTransaction(transaction);
+
+    legacyRecords.forEach(({ storeName, key, value }) => records.get(storeName).set(key, value));
+    records.get(STORES.SETTINGS).set(LOCAL_STORAGE_MIGRATED_KEY, true);
+    readLegacyRecords().forEach(({ legacyKey }) => localStorage.removeItem(legacyKey));
+    console.log(`Moved ${legacyRecords.length} records from localStorage to IndexedDB.`);
+}
+
+/**
+ * Gets the localStorage key of a record saved without IndexedDB.
+ * @param {string} storeName - One of STORES.
+ * @param {string} key - The record key.
+ * @returns {string} The localStorage key.
+ */
+function getFallbackKey(storeName, key) {
+    return `${FALLBACK_KEY_PREFIX}${storeName}/${key}`;
+}
+
+/**
+ * Loads the records from localStorage when IndexedDB can't be used. Data of older versions is
+ * moved to this module's keys one record at a time, so deleting a record can't bring back its
+ * old copy and the data never needs twice the room.
+ */
+function loadFromLocalStorage() {
+    try {
+        readLegacyRecords().forEach(({ storeName, key, value, legacyKey }) => {
+            records.get(storeName).set(key, value);
+            const fallbackKey = getFallbackKey(storeName, key);
+            if (legacyKey !== fallbackKey) {
+                localStorage.removeItem(legacyKey);
+                if (localStorage.getItem(fallbackKey) === null) { // Otherwise a newer copy is already saved
+                    localStorage.setItem(fallbackKey, JSON.stringify(value));
+                }
+            }
+        });
+        usesLocalStorage = typeof localStorage !== 'undefined';
+    } catch (error) {
+        console.error('Could not use localStorage either. Changes will not be saved after this page is closed.', error);
+    }
+}
+
+/**
+ * Opens the database, migrates older data and fills the in-memory mirror. Without IndexedDB the
+ * records are loaded from and saved to localStorage.
+ */
+async function initializeRepository() {
+    try {
+        database = await openDatabase();
+        await loadAllRecords(database);
+        await migrateFromLocalStorage(database);
+        console.log(`Repository loaded: ${Object.values(STORES).map(storeName => `${records.get(storeName).size} ${storeName}`).join(', ')}.`);
+    } catch (error) {
+        console.error('Could not open the IndexedDB database. Saving to localStorage instead, which has much less room.', error);
+        database = null;
+        loadFromLocalStorage();
+    }
+}
+
+/**
+ * Copies a value so callers can't change the mirror by mutating what they read or saved.
+ * @param {any} value - The value.
+ * @returns {any} The copy.
+ */
+function cloneValue(value) {
+    return value !== null && typeof value === 'object' ? structuredClone(value) : value;
+}
+
+/**
+ * Applies changes to the in-memory mirror.
+ * @param {Array<{storeName: string, key: string, value: any}>} changes - `value` undefined deletes the record.
+ */
+function applyToMirror(changes) {
+    changes.forEach(({ storeName, key, value }) => {
+        if (value === undefined) {
+            records.get(storeName).delete(key);
+        } else {
+            records.get(storeName).set(key, value);
+        }
+    });
+}
+
+/**
+ * Writes changes to localStorage, all or nothing like a database transaction.
+ * @param {Array<{storeName: string, key: string, value: any}>} changes - `value` undefined deletes the record.
+ * @throws {Error} If a value can't be written (e.g. the storage quota is exceeded); nothing is saved.
+ */
+function persistToLocalStorage(changes) {
+    const previousItems = changes.map(({ storeName, key }) => {
+        const fallbackKey = getFallbackKey(storeName, key);
+        return { fallbackKey, item: localStorage.getItem(fallbackKey) };
+    });
+    try {
+        changes.forEach(({ storeName, key, value }) => {
+            if (value === undefined) {
+                localStorage.removeItem(getFallbackKey(storeName, key));
+            } else {
+                localStorage.setItem(getFallbackKey(storeName, key), JSON.stringify(value));
+            }
+        });
+    } catch (error) {
+        // Putting back the previous values only frees room, so it can't run out of quota
+        previousItems.reverse().forEach(({ fallbackKey, item }) => {
+            if (item === null) {
+                localStorage.removeItem(fallbackKey);
+            } else {
+                localStorage.setItem(fallbackKey, item);
+            }
+        });
+        throw error;
+    }
+}
+
+/**
+ * Writes changes to the database in one transaction, or to localStorage without IndexedDB.
+ * @param {Array<{storeName: string, key: string, value: any}>} changes - `value` undefined deletes the record.
+ * @returns {Promise<void>} Resolves once they are saved (at once without IndexedDB).
+ * @throws {Error} If the transaction fails (e.g. the storage quota is exceeded); nothing is saved.
+ */
+async function persistChanges(changes) {
+    if (changes.length === 0) return;
+    if (!database) {
+        if (usesLocalStorage) persistToLocalStorage(changes);
+        return;
+    }
+    const storeNames = [...new Set(changes.map(change => change.storeName))];
+    const transaction = database.transaction(storeNames, 'readwrite');
+    changes.forEach(({ storeName, key, value }) => {
+        const store = transaction.objectStore(storeName);
+        if (value === undefined) {
+            store.delete(key);
+        } else {
+            store.put(value, key);
+        }
+    });
+    await waitForTransaction(transaction);
+}
+
+/**
+ * Commits changes: updates the mirror, saves them and then tells the other tabs.
+ * If saving fails, the mirror is rolled back and the other tabs never hear of them.
+ * @param {Array<{storeName: string, key: string, value: any}>} changes - `value` undefined deletes the record.
+ * @returns {Promise<void>} Resolves once the changes are saved.
+ * @throws {Error} If they could not be saved.
+ */
+async function commitChanges(changes) {
+    const previousValues = changes.map(({ storeName, key }) => ({ storeName, key, value: records.get(storeName).get(key) }));
+    applyToMirror(changes);
+    const saving = persistChanges(changes);
+    // Queued now, so it still arrives before what the caller announces next (e.g. 'catalog-changed')
+    broadcastStateChangeWhen(saving.then(() => true, () => false), 'repository-changed', { changes });
+    try {
+        await saving;
+    } catch (error) {
+        applyToMirror(previousValues.reverse());
+        throw error;
+    }
+}
+
+/**
+ * Reads a record.
+ * @param {string} storeName - One of STORES.
+ * @param {string|number} key - The record key.
+ * @param {any} defaultValue - Returned if there is no such record.
+ * @returns {any} A copy of the stored value, or defaultValue.
+ */
+export function getRecord(storeName, key, defaultValue = null) {
+    const storeRecords = records.get(storeName);
+    return storeRecords.has(String(key)) ? cloneValue(storeRecords.get(String(key))) : defaultValue;
+}
+
+/**
+ * Lists the keys of a store.
+ * @param {string} storeName - One of STORES.
+ * @returns {Array<string>} The record keys.
+ */
+export function getRecordKeys(storeName) {
+    return [...records.get(storeName).keys()];
+}
+
+/**
+ * Saves changes, or adds them to the batch being collected by runBatch().
+ * @param {Array<{storeName: string, key: string, value: any}>} changes - The changes.
+ * @returns {Promise<boolean>} True once saved; false if saving failed (logged, and the change is undone).
+ */
+async function saveChanges(changes) {
+    if (activeBatch) {
+        changes.forEach(({ storeName, key }) => {
+            const id = `${storeName}/${key}`;
+            if (!activeBatch.previousValues.has(id)) {
+                activeBatch.previousValues.set(id, { storeName, key, value: records.get(storeName).get(key) });
+            }
+        });
+        applyToMirror(changes);
+        activeBatch.changes.push(...changes);
+        return true;
+    }
+    try {
+        await commitChanges(changes);
+        return true;
+    } catch (error) {
+        console.error(`Error saving ${changes.map(({ storeName, key }) => `${storeName}/${key}`).join(', ')}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Saves a record. The new value can be read at once; it is written to the database in the background.
+ * @param {string} storeName - One of STORES.
+ * @param {string|number} key - The record key.
+ * @param {any} value - A structured-cloneable value (not undefined).
+ * @returns {Promise<boolean>} True once saved; false if saving failed (logged, and the change is undone).
+ */
+export function putRecord(storeName, key, value) {
+    return saveChanges([{ storeName, key: String(key), value: cloneValue(value) }]);
+}
+
+/**
+ * Deletes a record.
+ * @param {string} storeName - One of STORES.
+ * @param {string|number} key - The record key.
+ * @returns {Promise<boolean>} True once deleted; false if deleting failed (logged, and the record is restored).
+ */
+export function deleteRecord(storeName, key) {
+    return saveChanges([{ storeName, key: String(key), value: undefined }]);
+}
+
+/**
+ * Runs several changes all or nothing: the putRecord/deleteRecord calls made by `callback`
+ * (directly or through other modules) are saved together in one transaction.
+ * @param {function(): void} callback - Makes the changes. Must not await.
+ * @returns {Promise<void>} Resolves once every change is saved.
+ * @throws {Error} If the callback throws or the changes can't be saved; none of them is kept.
+ */
+export async function runBatch(callback) {
+    if (activeBatch) {
+        callback(); // Nested: part of the outer batch
+        return;
+    }
+    const batch = { changes: [], previousValues: new Map() };
+    activeBatch = batch;
+    try {
+        callback();
+    } finally {
+        activeBatch = null;
+        // Undo the batch in the mirror: on failure that's all; on success commitChanges() redoes it
+        applyToMirror([...batch.previousValues.values()]);
+    }
+    await commitChanges(batch.changes);
+}
+
+/**
+ * Registers a handler for records changed by other tabs (after this tab's copy is updated).
+ * @param {string} storeName - One of STORES.
+ * @param {function(string, any): void} handler - Receives the key and the new value (undefined if deleted).
+ */
+export function onRecordChange(storeName, handler) {
+    if (!changeListeners.has(storeName)) {
+        changeListeners.set(storeName, new Set());
+    }
+    changeListeners.get(storeName).add(handler);
+}
+
+// Keep the mirror in step with the other open tabs
+onStateChange('repository-changed', ({ changes }) => {
+    applyToMirror(changes);
+    changes.forEach(({ storeName, key, value }) => {
+        changeListeners.get(storeName)?.forEach(handler => {
+            try {
+                handler(key, cloneValue(value));
+            } catch (error) {
+                console.error(`Error handling a change of ${storeName}/${key}:`, error);
+            }
+        });
+    });
+});
+
+await initializeRepository();
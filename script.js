@@ -1,19 +1,34 @@
-import { loadChatHistory, saveChatHistory } from './storage.js';
+import { loadChatHistory, saveChatHistory, loadUpdateOffset, saveUpdateOffset, claimUpdate, releaseUpdate, loadPendingMediaGroups, savePendingMediaGroup, clearPendingMediaGroup } from './storage.js';
 import { clearChat } from './chat-actions.js';
-import { addMessageToChat, updateConnectionStatus, updateTickerDisplay, updateProductCard, saveProductData, loadAllProductData, deleteProduct, showNotification, showRouletteButton, loadProductData } from './ui.js';
-import { telegramApiRequest, getMeRequest, FILE_BASE_URL, MAIN_CHAT_ID, AUX_CHAT_ID } from './telegram-api.js';
+import { STORES, getRecord } from './repository.js';
+import { addMessageToChat, updateConnectionStatus, updateTickerDisplay, loadAllProductData, showNotification, showRouletteButton, maintainProductImageCache } from './ui.js';
+import { telegramApiRequest, getMeRequest, replyToTelegramMessage, editTelegramMessageText, answerCallbackQuery, getFileUrl, MAIN_CHAT_ID, AUX_CHAT_ID, IS_API_CONFIGURED } from './telegram-api.js';
+import { executeCommand } from './command-registry.js';
+import { isOrderButtonData } from './orders.js';
+import { TICKER_STORAGE_KEY } from './admin-commands.js'; // Also registers the built-in admin commands
+import { requestPollingLeadership, onStateChange, broadcastStateChange } from './tab-coordinator.js';
+import { CONNECTION_STATES, getConnectionState, setConnectionState, recordPollSuccess, recordPollFailure } from './connection-state.js';
+import { isSecureConfigSetUp } from './secure-config.js';
+import { publishCatalogChanges } from './catalog-sync.js';
 
 // --- Storage Keys ---
 const LOCAL_STORAGE_KEY = `telegramChatHistory_${MAIN_CHAT_ID}`;
-const TICKER_STORAGE_KEY = 'topPanelTickerText'; 
-const MLC_CARD_STORAGE_KEY = 'mlcCardNumber'; 
 const CURRENCY_STORAGE_KEY = 'selectedCurrency'; 
 
+// --- Tweakable Configuration ---
+const MEDIA_GROUP_WAIT_MS = 1500; // How long to wait for the rest of an album after its last photo
+const BUTTON_STATUS_LINE_PREFIX = '📌 '; // Marks the line a button press writes under an order message
+const MAX_UPDATE_ATTEMPTS = 3; // An update whose handling keeps failing is skipped after this many tries
+
 // State variables
 let updateInterval = null;
 let lastUpdateId = 0;
 let botInfo = null;
+let isPollingLeader = false;
+let leadershipRequested = false;
 let chatHistory = []; 
+const pendingMediaGroups = new Map(); // media_group_id -> { messages, timer }
+const failedUpdateAttempts = new Map(); // update_id -> failed handling attempts
 let currentCurrency = 'CUP'; 
 let currencyToggle; 
 
@@ -39,73 +54,307 @@ async function getMe() {
         }
         console.log('Bot info:', result);
         botInfo = result;
-        updateConnectionStatus(true, result); 
+        recordPollSuccess();
         return result;
     } catch (error) {
         console.error("Failed to get bot info:", error);
-        updateConnectionStatus(false);
         logSystemMessage(`Fallo al obtener información del bot: ${error.message}`, 'error');
+        const retryDelay = handleConnectionFailure(error);
+        if (retryDelay !== null) {
+            setTimeout(connectToBot, retryDelay);
+        }
         return null;
     }
 }
 
 /**
- * Parses the product update command from a message caption/text.
- * Expected format: *DULCES* *<id>* *<name>* *<description>* *<priceCUP> CUP <priceMLC> MLC*
- * Or with only one price: *DULCES* *<id>* *<name>* *<description>* *<price> CUP* (or MLC)
- * @param {string} text - The message caption or text.
- * @returns {object|null} An object with { id, name, description, priceCUP, priceMLC } or null if parsing fails.
+ * Reports a failed request to the connection state machine and logs what happens next.
+ * @param {Error} error - The error thrown by telegramApiRequest.
+ * @returns {number|null} The delay in milliseconds before retrying, or null if the caller should stop
+ *   (offline: resumes on the 'online' event; auth-failed: needs a new token in Ajustes).
  */
-function parseProductCommand(text) {
-    if (!text || !text.startsWith('*DULCES*')) {
-        return null;
+function handleConnectionFailure(error) {
+    const { state, delay } = recordPollFailure(error);
+    if (state === CONNECTION_STATES.AUTH_FAILED) {
+        logSystemMessage("El token del bot fue rechazado por Telegram. Corrígelo en Ajustes y recarga la página.", 'error');
+    } else if (state === CONNECTION_STATES.OFFLINE) {
+        logSystemMessage("Sin conexión a internet. Se reanudará al recuperar la conexión.", 'warn');
+    } else {
+        logSystemMessage(`Reintentando en ${Math.ceil(delay / 1000)} s (${state}).`, 'warn');
     }
+    return delay;
+}
 
-    const parts = text.split('*');
-    const trimmedParts = parts.slice(1, -1).map(part => part.trim()).filter(part => part !== '');
-    if (trimmedParts.length < 5 || trimmedParts[0].toUpperCase() !== 'DULCES') {
-        console.warn("Invalid product command format (incorrect number of parts or missing DULCES keyword):", text, trimmedParts);
-        return null;
+/**
+ * Answers an admin command in the chat it came from, as a reply to the original message,
+ * so the sender knows whether it was applied or why it was rejected.
+ * @param {object} message - The Telegram message that carried the command.
+ * @param {object} commandResult - The result returned by executeCommand.
+ */
+async function replyToCommand(message, commandResult) {
+    const replyText = commandResult.ok
+        ? `✅ ${commandResult.summary}`
+        : `❌ Comando ${commandResult.keyword ? `*${commandResult.keyword}* ` : ''}rechazado: ${commandResult.error}\nEnvía *AYUDA* para ver la sintaxis de cada comando.`;
+    try {
+        await replyToTelegramMessage(message.chat.id, message.message_id, replyText);
+    } catch (error) {
+        // The command itself was already applied (or rejected); a failed reply must not stop the loop.
+        console.warn(`Could not send command reply to chat ${message.chat.id}:`, error);
     }
+}
 
-    const id = trimmedParts[1];
-    const name = trimmedParts[2];
-    const description = trimmedParts[3];
-    const priceString = trimmedParts[4]; 
-
-    if (!/^\d+$/.test(id)) {
-        console.warn("Invalid product ID in command:", id);
-        return null;
-    }
+/**
+ * Handles one incoming message: runs it as an admin command or saves it to the chat history.
+ * @param {object} message - The Telegram message.
+ * @param {Array<object>|null} mediaGroup - Every message of the album the message belongs to, if any
+ *   (passed to commands as `mediaGroup`, e.g. the photos of a product).
+ * @returns {Promise<boolean>} True if the message was an admin command.
+ */
+async function handleIncomingMessage(message, mediaGroup = null) {
+    const senderName = message.from?.first_name || message.from?.username || 'Desconocido';
+    const messageChatId = message.chat.id.toString();
+    const messageTimestamp = message.date;
 
-    let priceCUP = null;
-    let priceMLC = null;
+    const isFromAllowedChat = messageChatId === MAIN_CHAT_ID || (AUX_CHAT_ID && messageChatId === AUX_CHAT_ID);
 
-    const priceRegex = /(\d+[,.]?\d*)\s*(CUP|MLC)/gi;
-    let match;
+    if (!isFromAllowedChat) {
+        console.log(`Ignored message from unexpected chat: ${messageChatId}. Allowed: ${MAIN_CHAT_ID}${AUX_CHAT_ID ? ' or ' + AUX_CHAT_ID : ''}`);
+        return false;
+    }
 
-    while ((match = priceRegex.exec(priceString)) !== null) {
-        const priceValueStr = match[1].replace(',', '.'); 
-        const priceValue = parseFloat(priceValueStr);
-        const currency = match[2].toUpperCase();
+    const photoArray = message.photo;
+    const caption = message.caption;
+    const text = message.text;
+
+    const logCallback = (msg, type, sender) => logSystemMessage(msg, type, sender);
+
+    // --- Admin commands (see admin-commands.js) ---
+    const commandResult = await executeCommand(caption || text, {
+        message,
+        senderId: message.from?.id ?? null,
+        senderName,
+        chatId: messageChatId,
+        mediaGroup,
+        log: logCallback,
+        clearChatHistory: () => {
+            chatHistory = clearChat(LOCAL_STORAGE_KEY, logCallback);
+        },
+    });
+    if (commandResult.handled) {
+        if (commandResult.ok) {
+            logCallback(commandResult.summary, 'system', 'Sistema');
+        } else {
+            console.warn(`Invalid command from ${senderName}: ${caption || text}`);
+            logCallback(`Comando ${commandResult.keyword ? `*${commandResult.keyword}* ` : ''}rechazado (de ${senderName}): ${commandResult.error}`, 'warn', 'Sistema');
+        }
+        await replyToCommand(message, commandResult);
+        return true;
+    }
 
-        if (!isNaN(priceValue)) {
-            if (currency === 'CUP') {
-                priceCUP = priceValue;
-            } else if (currency === 'MLC') {
-                priceMLC = priceValue;
+    if (messageChatId === MAIN_CHAT_ID) {
+        let messageData = {
+            type: 'received',
+            sender: senderName,
+            timestamp: messageTimestamp,
+            text: null,
+            imageUrl: null,
+        };
+        let shouldSave = false; 
+
+        if (photoArray && photoArray.length > 0) {
+             messageData.text = caption; 
+             const bestPhoto = photoArray[photoArray.length - 1];
+             const fileId = bestPhoto.file_id;
+             try {
+                 const fileInfo = await telegramApiRequest('getFile', { file_id: fileId });
+                 if (fileInfo && fileInfo.file_path) {
+                     messageData.imageUrl = getFileUrl(fileInfo.file_path);
+                    shouldSave = true; 
+                    console.log(`Received Photo from ${senderName} in MAIN_CHAT_ID: ${caption || '[No caption]'}`);
+                 } else {
+                     throw new Error("getFile response missing file_path");
+                 }
+             } catch (fileError) {
+                 console.error(`Error fetching file info for received photo (caption: ${caption || 'N/A'}):`, fileError);
+                 if (caption) shouldSave = true; 
+                 logSystemMessage(`No se pudo obtener la URL de la imagen recibida (${fileError.message}). Caption: ${caption || 'N/A'}`, 'warn');
+             }
+        } else if (text) {
+             messageData.text = text;
+             shouldSave = true; 
+             console.log(`Received Text from ${senderName} in MAIN_CHAT_ID: ${text}`);
+        } else if (message.new_chat_participant || message.left_chat_participant) {
+            let systemText = '';
+            if (message.new_chat_participant) systemText = `${message.new_chat_participant.first_name} se unió.`;
+            if (message.left_chat_participant) systemText = `${message.left_chat_participant.first_name} salió.`;
+            if (systemText) {
+                logSystemMessage(systemText, 'system');
             }
+            console.log("Received chat member update (not saved to history):", message);
         } else {
-            console.warn(`Could not parse price value "${match[1]}" for currency ${currency} in command: ${text}`);
+            console.log("Ignored unsupported message type (not saved to history):", message);
         }
+
+         if (shouldSave) {
+            addMessageToChat(messageData.text, messageData.type, messageData.sender, messageData.timestamp, messageData.imageUrl, true, chatHistory, LOCAL_STORAGE_KEY);
+         }
+    } else {
+        console.log(`Message from chat ${messageChatId} (not MAIN_CHAT_ID) processed for commands but not saved to history.`);
+    }
+    return false;
+}
+
+/**
+ * Handles a press on an inline keyboard button (e.g. "Confirmar" under an order message).
+ * The button's callback data is a *PEDIDO* command for the order in the message, run with the
+ * permissions of whoever pressed it; any other data is refused (see isOrderButtonData). On success
+ * the message is edited to show the result under its original text.
+ * @param {object} callbackQuery - The Telegram callback_query.
+ */
+async function handleCallbackQuery(callbackQuery) {
+    const message = callbackQuery.message;
+    const senderName = callbackQuery.from?.first_name || callbackQuery.from?.username || 'Desconocido';
+    const messageChatId = message?.chat?.id?.toString();
+
+    if (!message || (messageChatId !== MAIN_CHAT_ID && !(AUX_CHAT_ID && messageChatId === AUX_CHAT_ID))) {
+        console.log(`Ignored button press from unexpected chat: ${messageChatId ?? 'unknown'}.`);
+        return;
+    }
+
+    const logCallback = (msg, type, sender) => logSystemMessage(msg, type, sender);
+    // Anything but a status change for this message's order is refused before it reaches the commands
+    const commandResult = !isOrderButtonData(callbackQuery.data, message.text) ? { handled: false } : await executeCommand(callbackQuery.data, {
+        message,
+        senderId: callbackQuery.from?.id ?? null,
+        senderName,
+        chatId: messageChatId,
+        mediaGroup: null,
+        log: logCallback,
+        clearChatHistory: () => {
+            chatHistory = clearChat(LOCAL_STORAGE_KEY, logCallback);
+        },
+    });
+
+    let answerText;
+    if (!commandResult.handled) {
+        console.warn(`Refused button press from ${senderName} with unexpected data: ${callbackQuery.data}`);
+        answerText = 'Este botón ya no hace nada.';
+    } else if (commandResult.ok) {
+        logCallback(commandResult.summary, 'system', 'Sistema');
+        answerText = commandResult.summary;
+        // Show the result on the message itself, replacing the one of an earlier press
+        const originalLines = (message.text || '').split('\n').filter(line => !line.startsWith(BUTTON_STATUS_LINE_PREFIX));
+        try {
+            await editTelegramMessageText(message.chat.id, message.message_id, [...originalLines, `${BUTTON_STATUS_LINE_PREFIX}${commandResult.summary}`].join('\n'), message.reply_markup || null);
+        } catch (error) {
+            console.warn(`Could not edit message ${message.message_id} after a button press:`, error);
+        }
+    } else {
+        logCallback(`Botón ${commandResult.keyword ? `*${commandResult.keyword}* ` : ''}rechazado (de ${senderName}): ${commandResult.error}`, 'warn', 'Sistema');
+        answerText = `❌ ${commandResult.error}`;
+    }
+
+    try {
+        await answerCallbackQuery(callbackQuery.id, answerText, !commandResult.ok);
+    } catch (error) {
+        // The command already ran; Telegram only stops showing the button as loading
+        console.warn(`Could not answer button press ${callbackQuery.id}:`, error);
     }
+}
+
+/**
+ * Holds an album message until the whole album has arrived. Telegram delivers each photo of an
+ * album as a separate message with the same media_group_id, possibly across several polls.
+ * The messages are also saved, because their updates are already confirmed: after a reload
+ * the album is handled from storage (see restorePendingMediaGroups).
+ * @param {object} message - The Telegram message.
+ */
+function bufferMediaGroupMessage(message) {
+    const groupId = message.media_group_id;
+    const group = pendingMediaGroups.get(groupId) || { messages: [], timer: null };
+    if (!group.messages.some(groupMessage => groupMessage.message_id === message.message_id)) {
+        group.messages.push(message);
+    }
+    savePendingMediaGroup(groupId, group.messages);
+    clearTimeout(group.timer);
+    group.timer = setTimeout(() => flushMediaGroup(groupId), MEDIA_GROUP_WAIT_MS);
+    pendingMediaGroups.set(groupId, group);
+}
 
-    if (priceCUP === null && priceMLC === null) {
-         console.warn("No valid price (CUP or MLC) found in command price string:", priceString);
-         return null;
+/**
+ * Picks up the albums a previous page (or leader tab) received but didn't get to handle.
+ */
+function restorePendingMediaGroups() {
+    Object.entries(loadPendingMediaGroups()).forEach(([groupId, messages]) => {
+        if (pendingMediaGroups.has(groupId)) return;
+        if (!Array.isArray(messages) || messages.length === 0) {
+            clearPendingMediaGroup(groupId);
+            return;
+        }
+        console.log(`Restoring album ${groupId} with ${messages.length} messages from storage.`);
+        messages.forEach(bufferMediaGroupMessage);
+    });
+}
+
+/**
+ * Handles a complete album. If its caption is a command, the command receives every photo;
+ * otherwise each message is handled on its own.
+ * @param {string} groupId - The media_group_id.
+ */
+async function flushMediaGroup(groupId) {
+    const group = pendingMediaGroups.get(groupId);
+    pendingMediaGroups.delete(groupId);
+    if (!group) return;
+
+    const messages = group.messages.sort((a, b) => a.message_id - b.message_id);
+    const captionedMessage = messages.find(message => message.caption);
+    console.log(`Handling album ${groupId} with ${messages.length} messages.`);
+    try {
+        const wasCommand = captionedMessage ? await handleIncomingMessage(captionedMessage, messages) : false;
+        if (!wasCommand) {
+            for (const message of messages) {
+                if (message !== captionedMessage) await handleIncomingMessage(message);
+            }
+        }
+    } catch (error) {
+        console.error(`Error processing album ${groupId}:`, error);
+        logSystemMessage(`Error al procesar un álbum: ${error.message}`, 'error');
+    }
+    if (!pendingMediaGroups.has(groupId)) {
+        clearPendingMediaGroup(groupId); // Unless more photos of the album arrived meanwhile
     }
+}
 
-    return { id, name, description, priceCUP, priceMLC }; 
+/**
+ * Handles one claimed update. If handling throws, the claim is released so the update is handled
+ * again on the next poll, up to MAX_UPDATE_ATTEMPTS times; after that it is skipped.
+ * @param {object} update - The Telegram update.
+ * @returns {Promise<boolean>} False if the update must be retried before the ones after it.
+ */
+async function handleUpdate(update) {
+    try {
+        if (update.message?.media_group_id) {
+            bufferMediaGroupMessage(update.message);
+        } else if (update.message) {
+            await handleIncomingMessage(update.message);
+        } else if (update.callback_query) {
+            await handleCallbackQuery(update.callback_query);
+        }
+        failedUpdateAttempts.delete(update.update_id);
+        return true;
+    } catch (error) {
+        const attempts = (failedUpdateAttempts.get(update.update_id) || 0) + 1;
+        if (attempts >= MAX_UPDATE_ATTEMPTS) {
+            failedUpdateAttempts.delete(update.update_id);
+            console.error(`Skipping update ${update.update_id} after ${attempts} failed attempts:`, error);
+            logSystemMessage(`No se pudo procesar un mensaje y se ha descartado: ${error.message}`, 'error');
+            return true;
+        }
+        failedUpdateAttempts.set(update.update_id, attempts);
+        releaseUpdate(botInfo.id, update.update_id);
+        console.warn(`Error handling update ${update.update_id} (attempt ${attempts} of ${MAX_UPDATE_ATTEMPTS}). It will be retried:`, error);
+        return false;
+    }
 }
 
 async function getUpdates() {
@@ -113,283 +362,49 @@ async function getUpdates() {
         return; 
     }
 
+    // Another tab may have advanced the offset since our last poll
+    lastUpdateId = Math.max(lastUpdateId, loadUpdateOffset(botInfo.id));
+
     let updates = [];
     try {
         updates = await telegramApiRequest('getUpdates', {
             offset: lastUpdateId + 1,
-            timeout: 50, 
-            allowed_updates: ["message"] 
+            // Long poll while online; after a failure, probe with a short poll so recovery shows immediately
+            timeout: getConnectionState() === CONNECTION_STATES.ONLINE ? 50 : 0,
+            allowed_updates: ["message", "callback_query"]
         });
-
-        if (updates === null) {
-            console.warn("getUpdates returned null, scheduling retry.");
-            scheduleNextPoll(15000); 
-            return;
+    } catch (error) {
+        console.error('Error fetching updates:', error);
+        if (!updateInterval) {
+            return; // Polling was stopped while the request was in flight
         }
-
-        if (updates.length > 0 && document.querySelector('.connection-status-display .status-indicator.disconnected')) {
-             if (botInfo) updateConnectionStatus(true, botInfo);
-             else await getMe(); 
+        const retryDelay = handleConnectionFailure(error);
+        if (retryDelay === null) {
+            stopPolling();
+        } else {
+            scheduleNextPoll(retryDelay);
         }
+        return;
+    }
+    const nextPollDelay = recordPollSuccess();
 
+    try {
         for (const update of updates) {
-            lastUpdateId = update.update_id;
-            if (update.message) {
-                const message = update.message;
-                const senderName = message.from?.first_name || message.from?.username || 'Desconocido';
-                const messageChatId = message.chat.id.toString();
-                const messageTimestamp = message.date;
-
-                const isFromAllowedChat = messageChatId === MAIN_CHAT_ID || (AUX_CHAT_ID && messageChatId === AUX_CHAT_ID);
-
-                if (!isFromAllowedChat) {
-                    console.log(`Ignored message from unexpected chat: ${messageChatId}. Allowed: ${MAIN_CHAT_ID}${AUX_CHAT_ID ? ' or ' + AUX_CHAT_ID : ''}`);
-                    continue;
-                }
-
-                const photoArray = message.photo;
-                const caption = message.caption;
-                const text = message.text;
-
-                const logCallback = (msg, type, sender) => logSystemMessage(msg, type, sender);
-
-                if (text === '*ELIMINAR.M*') {
-                    console.log("Received clear command from:", senderName);
-                    chatHistory = clearChat(LOCAL_STORAGE_KEY, logCallback);
-                    logCallback(`Historial eliminado por ${senderName}.`, 'system', 'Sistema'); 
-                    continue;
-                }
-
-                if (text && text.startsWith('*PANEL SUPERIOR*')) {
-                    const tickerText = text.substring('*PANEL SUPERIOR*'.length).trim();
-                    console.log("Received ticker update command:", tickerText);
-                    localStorage.setItem(TICKER_STORAGE_KEY, tickerText);
-                    updateTickerDisplay(tickerText); 
-                    logCallback(`Panel superior actualizado por ${senderName} a: "${tickerText}"`, 'system', 'Sistema');
-                    continue;
-                }
-
-                if (text && text.startsWith('*NOTIFICACION*')) {
-                    const notificationText = text.substring('*NOTIFICACION*'.length).trim();
-                    if (notificationText) {
-                        console.log("Received notification command:", notificationText);
-                        showNotification(notificationText); 
-                        logCallback(`Notificación mostrada por ${senderName}: "${notificationText}"`, 'system', 'Sistema');
-                    } else {
-                        console.warn("Received empty notification command from:", senderName);
-                        logCallback(`Comando de notificación vacío recibido de ${senderName}.`, 'warn', 'Sistema');
-                    }
-                    continue; 
-                }
-
-                if (text && text.startsWith('*RULETA*')) {
-                    const parts = text.split('*');
-                    const trimmedParts = parts.map(part => part.trim()).filter(part => part !== '');
-                    if (trimmedParts.length === 4 &&
-                        trimmedParts[0].toUpperCase() === 'RULETA' &&
-                        /^\d+$/.test(trimmedParts[1]) && 
-                        /^\d+$/.test(trimmedParts[2]) && 
-                        trimmedParts[3]) {               
-
-                        const attempts = trimmedParts[1];
-                        const winHour = parseInt(trimmedParts[2], 10); 
-                        const code = trimmedParts[3];
-
-                        if (winHour >= 0 && winHour <= 23) {
-                            console.log(`Received Roulette command from ${senderName}: Attempts=${attempts}, WinHour=${winHour}, Code=${code}`);
-                            showRouletteButton(attempts, winHour, code);
-                            logCallback(`Botón de ruleta mostrado por ${senderName} (Intentos: ${attempts}, Hora ganadora: ${winHour}, Código: ${code}).`, 'system', 'Sistema');
-                        } else {
-                             console.warn(`Invalid Win Hour (${winHour}) in Roulette command from ${senderName}: ${text}`);
-                             logCallback(`Hora ganadora inválida (${winHour}) en comando de ruleta recibido de ${senderName}: "${text}"`, 'warn', 'Sistema');
-                        }
-                    } else {
-                        console.warn(`Invalid Roulette command format received from ${senderName}: ${text}`);
-                        logCallback(`Formato de comando de ruleta inválido recibido de ${senderName}: "${text}"`, 'warn', 'Sistema');
-                    }
-                    continue; 
-                }
-
-                if (text && text.startsWith('*TARJETA*')) {
-                    const potentialCardNumber = text.substring('*TARJETA*'.length).trim();
-                    if (potentialCardNumber && /^[0-9\s-]+$/.test(potentialCardNumber)) {
-                        localStorage.setItem(MLC_CARD_STORAGE_KEY, potentialCardNumber);
-                        console.log(`Received MLC Card update command from ${senderName}. New number stored.`);
-                        logCallback(`Número de tarjeta MLC actualizado por ${senderName}.`, 'system', 'Sistema');
-                    } else {
-                        console.warn(`Invalid MLC Card number format received from ${senderName}: ${potentialCardNumber}`);
-                        logCallback(`Formato de número de tarjeta MLC inválido recibido de ${senderName}.`, 'warn', 'Sistema');
-                    }
-                    continue; 
-                }
-
-                if (text === '*TARJETA.E*') {
-                     localStorage.removeItem(MLC_CARD_STORAGE_KEY);
-                     console.log(`Received MLC Card delete command from ${senderName}. Number removed.`);
-                     logCallback(`Número de tarjeta MLC eliminado por ${senderName}.`, 'system', 'Sistema');
-                     continue; 
-                }
-
-                if (text && text.startsWith('*ELIMINAR.PRODUCTO*')) {
-                    const parts = text.split('*').map(part => part.trim()).filter(part => part !== '');
-                    if (parts.length === 2 && parts[0].toUpperCase() === 'ELIMINAR.PRODUCTO' && /^\d+$/.test(parts[1])) {
-                        const productIdToDelete = parts[1];
-                        console.log(`Received Delete command for product ID ${productIdToDelete} from ${senderName} on ${botType} channel`);
-                        deleteProduct(productIdToDelete);
-                        logCallback(`Producto ID ${productIdToDelete} eliminado por ${senderName}.`, 'system');
-                    } else {
-                        console.warn(`Invalid delete product command format from ${senderName} on ${botType} channel:`, text);
-                        logCallback(`Comando para eliminar producto inválido de ${senderName}: "${text}"`, 'warn');
-                    }
-                    continue;
-                }
-
-                // --- Check for remote configuration message ---
-                if (text && text.trim().startsWith('{')) { // Basic check for JSON
-                    try {
-                        const potentialConfig = JSON.parse(text);
-                        // Check for the required keys
-                        if (potentialConfig && typeof potentialConfig === 'object' && potentialConfig.token && potentialConfig.chatId) {
-                            const remoteConfig = {
-                                token: String(potentialConfig.token),
-                                chatId: String(potentialConfig.chatId),
-                                auxBotToken: potentialConfig.auxBotToken ? String(potentialConfig.auxBotToken) : '',
-                                auxChatId: potentialConfig.auxChatId ? String(potentialConfig.auxChatId) : '',
-                            };
-
-                            console.log(`Received remote API configuration from ${senderName} on ${botType} channel.`);
-                            localStorage.setItem('remoteApiConfig', JSON.stringify(remoteConfig));
-                            
-                            showNotification('Nueva configuración remota recibida. Ve a Ajustes para aplicarla.', 10000);
-                            
-                            logCallback(`Configuración remota recibida y guardada de ${senderName}.`, 'system');
-                            continue; // Message processed, skip to next update
-                        }
-                    } catch (e) {
-                        // Not a valid JSON, or doesn't match the structure. Ignore and let it be processed as a regular message.
-                    }
-                }
-                // --- End remote configuration check ---
-
-                let productUpdateData = null;
-                let productImageUrl = null;
-                let commandTextSource = caption || text;
-
-                if (commandTextSource) {
-                     productUpdateData = parseProductCommand(commandTextSource);
-                }
-
-                if (productUpdateData && photoArray && photoArray.length > 0) {
-                    const bestPhoto = photoArray[photoArray.length - 1];
-                    const fileId = bestPhoto.file_id;
-                    try {
-                        const fileInfo = await telegramApiRequest('getFile', { file_id: fileId });
-                        if (fileInfo && fileInfo.file_path) {
-                            productImageUrl = `${FILE_BASE_URL}/${fileInfo.file_path}`;
-                            console.log(`Received Product Update for ID ${productUpdateData.id} with Image from ${senderName}`);
-                        } else {
-                            throw new Error("getFile response missing file_path");
-                        }
-                    } catch (fileError) {
-                        console.error(`Error fetching file info for product update photo (ID: ${productUpdateData.id}):`, fileError);
-                        logSystemMessage(`No se pudo obtener la URL de la imagen para la actualización del producto ID ${productUpdateData.id} (${fileError.message}).`, 'warn');
-                        productImageUrl = null; 
-                    }
-                } else if (productUpdateData && !photoArray) {
-                    console.log(`Received Text-Only Product Update for ID ${productUpdateData.id} from ${senderName}`);
-                    productImageUrl = null; 
-                }
-
-                if (productUpdateData) {
-                    const { id, name, description, priceCUP, priceMLC } = productUpdateData;
-
-                    let existingImageUrl = null;
-                    if (productImageUrl === null) { 
-                        const existingData = loadProductData(id); 
-                        if (existingData && existingData.imageUrl) {
-                            existingImageUrl = existingData.imageUrl;
-                            console.log(`Retaining existing image URL for product ${id}: ${existingImageUrl}`);
-                        }
-                    }
-
-                    const finalProductData = {
-                        name,
-                        description,
-                        priceCUP, 
-                        priceMLC, 
-                        imageUrl: productImageUrl !== null ? productImageUrl : existingImageUrl 
-                    };
-
-                    updateProductCard(id, finalProductData); 
-                    saveProductData(id, finalProductData); 
-
-                    logCallback(`Producto ID ${id} actualizado por ${senderName} a: "${name}". Precios: ${finalProductData.priceCUP !== null ? finalProductData.priceCUP + ' CUP' : ''}${finalProductData.priceMLC !== null ? (finalProductData.priceCUP !== null ? ', ' : '') + finalProductData.priceMLC + ' MLC' : ''}.`, 'system', 'Sistema');
-
-                    continue; 
-                }
-
-                if (messageChatId === MAIN_CHAT_ID) {
-                    let messageData = {
-                        type: 'received',
-                        sender: senderName,
-                        timestamp: messageTimestamp,
-                        text: null,
-                        imageUrl: null,
-                    };
-                    let shouldSave = false; 
-
-                    if (photoArray && photoArray.length > 0) {
-                         messageData.text = caption; 
-                         const bestPhoto = photoArray[photoArray.length - 1];
-                         const fileId = bestPhoto.file_id;
-                         try {
-                             const fileInfo = await telegramApiRequest('getFile', { file_id: fileId });
-                             if (fileInfo && fileInfo.file_path) {
-                                 messageData.imageUrl = `${FILE_BASE_URL}/${fileInfo.file_path}`;
-                                shouldSave = true; 
-                                console.log(`Received Photo from ${senderName} in MAIN_CHAT_ID: ${caption || '[No caption]'}`);
-                             } else {
-                                 throw new Error("getFile response missing file_path");
-                             }
-                         } catch (fileError) {
-                             console.error(`Error fetching file info for received photo (caption: ${caption || 'N/A'}):`, fileError);
-                             if (caption) shouldSave = true; 
-                             logSystemMessage(`No se pudo obtener la URL de la imagen recibida (${fileError.message}). Caption: ${caption || 'N/A'}`, 'warn');
-                         }
-                    } else if (text) {
-                         messageData.text = text;
-                         shouldSave = true; 
-                         console.log(`Received Text from ${senderName} in MAIN_CHAT_ID: ${text}`);
-                    } else if (message.new_chat_participant || message.left_chat_participant) {
-                        let systemText = '';
-                        if (message.new_chat_participant) systemText = `${message.new_chat_participant.first_name} se unió.`;
-                        if (message.left_chat_participant) systemText = `${message.left_chat_participant.first_name} salió.`;
-                        if (systemText) {
-                            logSystemMessage(systemText, 'system');
-                        }
-                        console.log("Received chat member update (not saved to history):", message);
-                    } else {
-                        console.log("Ignored unsupported message type (not saved to history):", message);
-                    }
-
-                     if (shouldSave) {
-                        addMessageToChat(messageData.text, messageData.type, messageData.sender, messageData.timestamp, messageData.imageUrl, true, chatHistory, LOCAL_STORAGE_KEY);
-                     }
-                } else {
-                    console.log(`Message from chat ${messageChatId} (not MAIN_CHAT_ID) processed for commands but not saved to history.`);
-                }
-            } 
-        } 
+            // Claimed while it is handled, so no other tab handles it too; confirmed (offset) once handled
+            if (!claimUpdate(botInfo.id, update.update_id)) {
+                console.log(`Skipping update ${update.update_id}: already processed.`);
+            } else if (!await handleUpdate(update)) {
+                break; // Retried from this update on the next poll
+            }
+            lastUpdateId = Math.max(lastUpdateId, update.update_id);
+            saveUpdateOffset(botInfo.id, lastUpdateId);
+        }
 
     } catch (error) {
         console.error('Error processing updates loop:', error);
         logSystemMessage(`Error en el bucle de actualizaciones: ${error.message}`, 'error');
-        scheduleNextPoll(15000); 
-        return;
     } finally {
-        if (updateInterval) {
-            scheduleNextPoll(100); 
-        }
+        scheduleNextPoll(nextPollDelay);
     }
 }
 
@@ -404,16 +419,8 @@ function scheduleNextPoll(delay) {
 
 function startPolling() {
     if (!botInfo) {
-        console.warn("Cannot start polling without Bot Info. Retrying getMe...");
-        getMe().then(info => {
-            if (info) {
-                console.log("Bot info obtained, starting polling now.");
-                startPolling(); 
-            } else {
-                console.error("Failed to get bot info on retry. Polling not started.");
-                logSystemMessage("No se pudo iniciar la conexión con el bot. Verifica el token y la conexión.", 'error');
-            }
-        });
+        console.warn("Cannot start polling without Bot Info. Reconnecting...");
+        connectToBot();
         return;
     }
 
@@ -423,7 +430,6 @@ function startPolling() {
     }
 
     stopPolling();
-    lastUpdateId = 0;
     let pollingChats = `MAIN_CHAT_ID: ${MAIN_CHAT_ID}`;
     if (AUX_CHAT_ID) {
         pollingChats += `, AUX_CHAT_ID: ${AUX_CHAT_ID}`;
@@ -431,8 +437,8 @@ function startPolling() {
     console.log("Starting polling for chats:", pollingChats);
     logSystemMessage(`Conectado al(los) chat(s). Buscando mensajes...`, 'system');
     updateInterval = true; 
+    restorePendingMediaGroups();
     getUpdates(); 
-    updateConnectionStatus(true, botInfo); 
 }
 
 function stopPolling() {
@@ -445,6 +451,63 @@ function stopPolling() {
     }
 }
 
+/**
+ * Applies state changes announced by the polling leader tab (see tab-coordinator.js).
+ * Data is already in this tab's copy of the repository (see repository.js); this tab only refreshes what it shows.
+ */
+function listenForLeaderStateChanges() {
+    onStateChange('catalog-changed', () => {
+        if (document.querySelector('.product-grid')) {
+            loadAllProductData();
+        }
+    });
+    onStateChange('notification', ({ text }) => showNotification(text));
+    onStateChange('roulette', ({ attempts, winHour, code }) => showRouletteButton(attempts, winHour, code));
+    onStateChange('connection-state', ({ state, detail }) => {
+        if (!isPollingLeader) {
+            updateConnectionStatus(state, detail);
+        }
+    });
+}
+
+/**
+ * Fetches the bot info and, once connected, makes this tab a candidate for polling leadership.
+ * Called at startup, on retries after a failed getMe and when the browser comes back online.
+ */
+async function connectToBot() {
+    if (!IS_API_CONFIGURED) {
+        setConnectionState(CONNECTION_STATES.LOCKED, { setupRequired: !isSecureConfigSetUp() });
+        return;
+    }
+
+    setConnectionState(CONNECTION_STATES.CONNECTING);
+    const info = await getMe();
+    if (!info) {
+        return; // getMe already scheduled a retry if one makes sense
+    }
+
+    if (!leadershipRequested) {
+        leadershipRequested = true;
+        requestPollingLeadership(info.id, () => {
+            isPollingLeader = true;
+            // The previous leader may have changed the history and offset while this tab was waiting
+            chatHistory = loadChatHistory(LOCAL_STORAGE_KEY, (msg, type = 'info', sender = 'Sistema') => logSystemMessage(msg, type, sender)) || [];
+            lastUpdateId = loadUpdateOffset(info.id);
+            console.log(`Restored update offset for bot ${info.id}: ${lastUpdateId}`);
+            startPolling();
+            maintainProductImageCache().then(updatedProductIds => {
+                if (updatedProductIds.length > 0) {
+                    loadAllProductData();
+                    broadcastStateChange('catalog-changed');
+                    publishCatalogChanges(updatedProductIds);
+                }
+            });
+        });
+    } else if (isPollingLeader) {
+        startPolling();
+    }
+}
+
 async function initializeApp() {
     console.log("Initializing app services...");
 
@@ -457,21 +520,34 @@ async function initializeApp() {
         console.log('No chat history found or history is empty.');
     }
 
-    const initialTickerText = localStorage.getItem(TICKER_STORAGE_KEY);
+    const initialTickerText = getRecord(STORES.SETTINGS, TICKER_STORAGE_KEY);
     if (initialTickerText) {
         updateTickerDisplay(initialTickerText);
     }
 
-    logSystemMessage(`Conectando al bot...`, 'system');
-    const initialBotInfo = await getMe();
-    if (initialBotInfo) {
-        startPolling();
+    listenForLeaderStateChanges();
+
+    if (!IS_API_CONFIGURED) {
+        logSystemMessage(isSecureConfigSetUp()
+            ? "La tienda está bloqueada en esta sesión. Desbloquéala en Ajustes con la contraseña para conectar con el bot."
+            : "La tienda aún no está configurada. Completa la configuración inicial en Ajustes.", 'warn');
     } else {
-        updateConnectionStatus(false);
-        logSystemMessage(`Fallo inicial al conectar con el bot. Verifica el token y la conexión`, 'error');
+        logSystemMessage(`Conectando al bot...`, 'system');
     }
+    await connectToBot();
 }
 
 window.addEventListener('beforeunload', stopPolling);
 
+window.addEventListener('offline', () => {
+    console.log("Browser went offline. Pausing polling.");
+    stopPolling();
+    setConnectionState(CONNECTION_STATES.OFFLINE);
+});
+
+window.addEventListener('online', () => {
+    console.log("Browser is back online. Reconnecting...");
+    connectToBot();
+});
+
 initializeApp();
\ No newline at end of file
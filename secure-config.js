@@ -0,0 +1,221 @@
+// --- Secure API Config ---
+// Keeps the settings password and the bot tokens out of the source code and out of plain storage.
+// The settings password is stored only as a salted PBKDF2 hash. The bot tokens (and the admin key
+// of the catalog service, see catalog-sync.js) are encrypted (AES-GCM) with a key derived from the
+// same password and a different salt. Unlocking settings decrypts the tokens into the browser
+// session (see storage.js), which is where telegram-api.js and catalog-sync.js read them from.
+import { loadSecureApiConfig, saveSecureApiConfig, clearSecureApiConfig, saveSessionApiTokens, clearSessionApiTokens } from './storage.js';
+
+// --- Tweakable Configuration ---
+const PBKDF2_ITERATIONS = 310000; // OWASP recommendation for PBKDF2-HMAC-SHA256
+const SALT_BYTES = 16;
+const IV_BYTES = 12; // Recommended IV size for AES-GCM
+const SECURE_CONFIG_VERSION = 1;
+
+// --- State ---
+let unlockedKey = null; // AES key of the unlocked settings page; kept in memory only
+
+/**
+ * Encodes bytes as base64 for storage.
+ * @param {ArrayBuffer|Uint8Array} bytes - The bytes.
+ * @returns {string} The base64 string.
+ */
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+/**
+ * Decodes a base64 string from storage.
+ * @param {string} base64 - The base64 string.
+ * @returns {Uint8Array} The bytes.
+ */
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Gets the WebCrypto API, which browsers only expose on HTTPS pages and localhost.
+ * @returns {SubtleCrypto} The SubtleCrypto interface.
+ * @throws {Error} If WebCrypto is not available.
+ */
+function getSubtleCrypto() {
+    if (!window.crypto?.subtle) {
+        throw new Error("El cifrado no está disponible en este navegador. Abre la página con HTTPS (o desde localhost).");
+    }
+    return window.crypto.subtle;
+}
+
+/**
+ * Imports the password as PBKDF2 key material.
+ * @param {string} password - The settings password.
+ * @returns {Promise<CryptoKey>} The key material.
+ */
+async function importPassword(password) {
+    return getSubtleCrypto().importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits', 'deriveKey']);
+}
+
+/**
+ * Hashes the password with PBKDF2-SHA256.
+ * @param {string} password - The settings password.
+ * @param {Uint8Array} salt - The password salt.
+ * @param {number} iterations - PBKDF2 iterations.
+ * @returns {Promise<Uint8Array>} The 256-bit hash.
+ */
+async function hashPassword(password, salt, iterations) {
+    const keyMaterial = await importPassword(password);
+    const bits = await getSubtleCrypto().deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, keyMaterial, 256);
+    return new Uint8Array(bits);
+}
+
+/**
+ * Derives the AES-GCM key that encrypts the tokens.
+ * @param {string} password - The settings password.
+ * @param {Uint8Array} salt - The encryption key salt (different from the password salt).
+ * @param {number} iterations - PBKDF2 iterations.
+ * @returns {Promise<CryptoKey>} The non-extractable AES key.
+ */
+async function deriveEncryptionKey(password, salt, iterations) {
+    const keyMaterial = await importPassword(password);
+    return getSubtleCrypto().deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        keyMaterial,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Compares two byte arrays without stopping at the first difference.
+ * @param {Uint8Array} a - First array.
+ * @param {Uint8Array} b - Second array.
+ * @returns {boolean} True if both arrays are equal.
+ */
+function bytesEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+        difference |= a[i] ^ b[i];
+    }
+    return difference === 0;
+}
+
+/**
+ * Encrypts the tokens with a fresh IV.
+ * @param {CryptoKey} key - The AES key.
+ * @param {{token: string, auxBotToken: string|null, catalogServiceKey?: string|null}} tokens - The bot tokens and catalog admin key.
+ * @returns {Promise<{iv: string, ciphertext: string}>} The base64 IV and ciphertext.
+ */
+async function encryptTokens(key, tokens) {
+    const iv = window.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const plaintext = new TextEncoder().encode(JSON.stringify({ token: tokens.token, auxBotToken: tokens.auxBotToken || null, catalogServiceKey: tokens.catalogServiceKey || null }));
+    const ciphertext = await getSubtleCrypto().encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+    return { iv: bytesToBase64(iv), ciphertext: bytesToBase64(ciphertext) };
+}
+
+/**
+ * Checks whether the first-run setup has been completed in this browser.
+ * @returns {boolean} True if a settings password and encrypted tokens are stored.
+ */
+export function isSecureConfigSetUp() {
+    return loadSecureApiConfig() !== null;
+}
+
+/**
+ * Checks whether the settings page has been unlocked with the password.
+ * @returns {boolean} True if the tokens can be read and re-encrypted.
+ */
+export function isSecureConfigUnlocked() {
+    return unlockedKey !== null;
+}
+
+/**
+ * Completes the first-run setup: stores the password hash and the encrypted tokens, and unlocks.
+ * @param {string} password - The new settings password.
+ * @param {{token: string, auxBotToken: string|null}} tokens - The bot tokens.
+ * @throws {Error} If WebCrypto is not available.
+ */
+export async function setUpSecureConfig(password, tokens) {
+    const passwordSalt = window.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const keySalt = window.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const passwordHash = await hashPassword(password, passwordSalt, PBKDF2_ITERATIONS);
+    const key = await deriveEncryptionKey(password, keySalt, PBKDF2_ITERATIONS);
+
+    await saveSecureApiConfig({
+        version: SECURE_CONFIG_VERSION,
+        iterations: PBKDF2_ITERATIONS,
+        passwordSalt: bytesToBase64(passwordSalt),
+        passwordHash: bytesToBase64(passwordHash),
+        keySalt: bytesToBase64(keySalt),
+        ...await encryptTokens(key, tokens),
+    });
+    unlockedKey = key;
+    saveSessionApiTokens(tokens);
+    console.log("Secure API config set up.");
+}
+
+/**
+ * Unlocks the settings with the password and decrypts the tokens into the browser session.
+ * @param {string} password - The settings password.
+ * @returns {Promise<boolean>} True if the password is correct.
+ * @throws {Error} If nothing has been set up, WebCrypto is not available or the stored data is corrupt.
+ */
+export async function unlockSecureConfig(password) {
+    const record = loadSecureApiConfig();
+    if (!record) {
+        throw new Error("No hay ninguna configuración guardada. Completa la configuración inicial.");
+    }
+
+    const passwordHash = await hashPassword(password, base64ToBytes(record.passwordSalt), record.iterations);
+    if (!bytesEqual(passwordHash, base64ToBytes(record.passwordHash))) {
+        console.warn("Settings unlock attempt with a wrong password.");
+        return false;
+    }
+
+    const key = await deriveEncryptionKey(password, base64ToBytes(record.keySalt), record.iterations);
+    let tokens;
+    try {
+        const plaintext = await getSubtleCrypto().decrypt({ name: 'AES-GCM', iv: base64ToBytes(record.iv) }, key, base64ToBytes(record.ciphertext));
+        tokens = JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (error) {
+        console.error("Error decrypting the stored bot tokens:", error);
+        throw new Error("Los tokens guardados están dañados. Restablece la configuración y vuelve a introducirlos.");
+    }
+
+    unlockedKey = key;
+    saveSessionApiTokens(tokens);
+    console.log("Secure API config unlocked for this session.");
+    return true;
+}
+
+/**
+ * Replaces the stored tokens, encrypted with the unlocked key, and updates the browser session.
+ * @param {{token: string, auxBotToken: string|null, catalogServiceKey?: string|null}} tokens - The new bot tokens and catalog admin key.
+ * @throws {Error} If the settings are locked.
+ */
+export async function saveEncryptedApiTokens(tokens) {
+    const record = loadSecureApiConfig();
+    if (!unlockedKey || !record) {
+        throw new Error("Los ajustes están bloqueados. Desbloquéalos con la contraseña para guardar.");
+    }
+    await saveSecureApiConfig({ ...record, ...await encryptTokens(unlockedKey, tokens) });
+    saveSessionApiTokens(tokens);
+}
+
+/**
+ * Locks the settings and removes the decrypted tokens from the browser session.
+ * The store stops talking to the bot in this session until it is unlocked again.
+ */
+export function lockSecureConfig() {
+    unlockedKey = null;
+    clearSessionApiTokens();
+    console.log("Secure API config locked.");
+}
+
+/**
+ * Deletes the password hash and the encrypted tokens, so the next visit runs the first-run setup again.
+ */
+export function resetSecureConfig() {
+    lockSecureConfig();
+    clearSecureApiConfig();
+}
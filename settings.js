@@ -1,21 +1,41 @@
 // --- Settings Page Logic ---
-import { saveUserApiConfig, loadUserApiConfig, clearUserApiConfig } from './storage.js'; 
-import { telegramApiRequest } from './telegram-api.js';
+import { saveUserApiConfig, loadUserApiConfig, clearUserApiConfig, loadAdminUsers, saveAdminUsers } from './storage.js'; 
+import { telegramApiRequest, reloadApiConfig } from './telegram-api.js';
+import { ADMIN_ROLES } from './admin-permissions.js';
+import { MOCK_API_BASE_URL } from './mock-telegram.js';
+import { getCatalogProducts, exportCatalogAsJson, exportCatalogAsCsv, parseCatalogFile, diffCatalog, applyCatalogImport, summarizeCatalogDiff, catalogDiffHasChanges } from './catalog-transfer.js';
+import { publishWholeCatalog } from './catalog-sync.js';
+import { isSecureConfigSetUp, isSecureConfigUnlocked, setUpSecureConfig, unlockSecureConfig, saveEncryptedApiTokens, lockSecureConfig, resetSecureConfig } from './secure-config.js';
 
 // --- Constants ---
-const CORRECT_PASSWORD = "1099109900c";
 // Keys are defined in storage.js and imported implicitly via load/saveUserApiConfig
+const MIN_PASSWORD_LENGTH = 8;
 
 // --- Tweakable Configuration ---
 /* @tweakable The duration in seconds to actively poll for remote config after clicking the button. */
 const REMOTE_CONFIG_POLL_DURATION_S = 5;
 
 // --- DOM Elements ---
+const setupSection = document.getElementById('setup-section');
+const setupBotTokenInput = document.getElementById('setup-bot-token');
+const setupChatIdInput = document.getElementById('setup-chat-id');
+const setupPasswordInput = document.getElementById('setup-password');
+const setupPasswordConfirmInput = document.getElementById('setup-password-confirm');
+const completeSetupButton = document.getElementById('complete-setup-button');
+const setupStatusMsg = document.getElementById('setup-status-message');
+const unlockSection = document.getElementById('unlock-section');
+const unlockPasswordInput = document.getElementById('unlock-password');
+const unlockButton = document.getElementById('unlock-button');
+const unlockStatusMsg = document.getElementById('unlock-status-message');
+const lockButton = document.getElementById('lock-settings-button');
 const apiSettingsContainer = document.getElementById('api-settings-container');
 const botTokenInput = document.getElementById('settings-bot-token');
 const chatIdInput = document.getElementById('settings-chat-id');
 const settingsAuxChatIdInput = document.getElementById('settings-aux-chat-id'); 
 const settingsAuxBotTokenInput = document.getElementById('settings-aux-bot-token'); 
+const apiBaseUrlInput = document.getElementById('settings-api-base-url');
+const catalogServiceUrlInput = document.getElementById('settings-catalog-service-url');
+const catalogServiceKeyInput = document.getElementById('settings-catalog-service-key');
 const saveButton = document.getElementById('save-api-settings-button');
 const resetButton = document.getElementById('reset-api-settings-button');
 const settingsStatusMsg = document.getElementById('settings-status-message');
@@ -26,10 +46,30 @@ const qrScannerModal = document.getElementById('qr-scanner-modal');
 const qrScannerCloseButton = document.getElementById('qr-scanner-close');
 const qrReaderElement = document.getElementById('qr-reader');
 const qrReaderStatus = document.getElementById('qr-reader-status');
+// Admin Users Elements
+const adminUsersContainer = document.getElementById('admin-users-container');
+const adminUserIdInput = document.getElementById('admin-user-id');
+const adminUserNameInput = document.getElementById('admin-user-name');
+const adminUserRolesContainer = document.getElementById('admin-user-roles');
+const addAdminUserButton = document.getElementById('add-admin-user-button');
+const adminUsersList = document.getElementById('admin-users-list');
+const adminUsersStatusMsg = document.getElementById('admin-users-status-message');
+// Catalog Import/Export Elements
+const catalogTransferContainer = document.getElementById('catalog-transfer-container');
+const exportCatalogJsonButton = document.getElementById('export-catalog-json-button');
+const exportCatalogCsvButton = document.getElementById('export-catalog-csv-button');
+const publishCatalogButton = document.getElementById('publish-catalog-button');
+const catalogImportFileInput = document.getElementById('catalog-import-file');
+const catalogImportRemoveMissingInput = document.getElementById('catalog-import-remove-missing');
+const catalogImportPreview = document.getElementById('catalog-import-preview');
+const applyCatalogImportButton = document.getElementById('apply-catalog-import-button');
+const cancelCatalogImportButton = document.getElementById('cancel-catalog-import-button');
+const catalogStatusMsg = document.getElementById('catalog-status-message');
 
 // --- State ---
 let html5Qrcode = null;
 let isPollingForConfig = false;
+let catalogImport = null; // { products, fileName } of the validated file awaiting confirmation
 
 // --- Functions ---
 
@@ -37,35 +77,66 @@ let isPollingForConfig = false;
  * Shows a status message below the settings form.
  * @param {string} message - The message to display.
  * @param {boolean} isError - True if it's an error message, false for success/info.
+ * @param {HTMLElement|null} element - The message element (defaults to the API settings one).
  */
-function showStatusMessage(message, isError = false) {
-    if (!settingsStatusMsg) return;
-    settingsStatusMsg.textContent = message;
-    settingsStatusMsg.className = isError ? 'error-message' : 'status-message'; 
-    settingsStatusMsg.style.display = 'block';
+function showStatusMessage(message, isError = false, element = settingsStatusMsg) {
+    if (!element) return;
+    element.textContent = message;
+    element.className = isError ? 'error-message' : 'status-message'; 
+    element.style.display = 'block';
     // Don't auto-hide, let the calling function decide
 }
 
 /**
  * Hides the status message.
+ * @param {HTMLElement|null} element - The message element (defaults to the API settings one).
  */
-function hideStatusMessage() {
-    if (settingsStatusMsg) {
-        settingsStatusMsg.style.display = 'none';
+function hideStatusMessage(element = settingsStatusMsg) {
+    if (element) {
+        element.style.display = 'none';
     }
 }
 
+/**
+ * Checks the API base URL field: empty (api.telegram.org), "mock:" (in-browser mock bot) or an http(s) URL.
+ * @param {string} apiBaseUrl - The trimmed field value.
+ * @returns {boolean} True if the value is usable.
+ */
+function isValidApiBaseUrl(apiBaseUrl) {
+    if (apiBaseUrl === '' || apiBaseUrl === MOCK_API_BASE_URL) {
+        return true;
+    }
+    try {
+        const url = new URL(apiBaseUrl);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Checks the catalog service URL field: empty (no service) or an http(s) URL.
+ * @param {string} catalogServiceUrl - The trimmed field value.
+ * @returns {boolean} True if the value is usable.
+ */
+function isValidCatalogServiceUrl(catalogServiceUrl) {
+    return catalogServiceUrl === '' || (catalogServiceUrl !== MOCK_API_BASE_URL && isValidApiBaseUrl(catalogServiceUrl));
+}
+
 /**
  * Handles the save button click.
- * Saves the API token, Chat ID, Auxiliary Chat ID, and Auxiliary Bot Token to localStorage.
+ * Saves the Chat IDs and URLs, and the tokens and catalog admin key encrypted with the settings password.
  */
-function handleSave() {
+async function handleSave() {
     if (!botTokenInput || !chatIdInput || !settingsAuxChatIdInput || !settingsAuxBotTokenInput) return;
 
     const botToken = botTokenInput.value.trim();
     const chatId = chatIdInput.value.trim();
     const auxChatId = settingsAuxChatIdInput.value.trim(); 
     const auxBotToken = settingsAuxBotTokenInput.value.trim(); 
+    const apiBaseUrl = apiBaseUrlInput ? apiBaseUrlInput.value.trim() : '';
+    const catalogServiceUrl = catalogServiceUrlInput ? catalogServiceUrlInput.value.trim() : '';
+    const catalogServiceKey = catalogServiceKeyInput ? catalogServiceKeyInput.value.trim() : '';
 
     if (!botToken || !chatId) { 
         showStatusMessage("El Token y el Chat ID principal no pueden estar vacíos.", true);
@@ -77,27 +148,172 @@ function handleSave() {
         return;
     }
 
-    saveUserApiConfig(botToken, chatId, auxChatId, auxBotToken); 
+    if (!isValidApiBaseUrl(apiBaseUrl)) {
+        showStatusMessage(`La URL base de la API debe empezar por http:// o https://, o ser "${MOCK_API_BASE_URL}" para el bot simulado.`, true);
+        return;
+    }
+    if (!isValidCatalogServiceUrl(catalogServiceUrl)) {
+        showStatusMessage("La URL del servicio de catálogo debe empezar por http:// o https://.", true);
+        return;
+    }
+
+    try {
+        await saveEncryptedApiTokens({ token: botToken, auxBotToken: auxBotToken || null, catalogServiceKey: catalogServiceKey || null });
+    } catch (error) {
+        console.error("Error saving encrypted tokens:", error);
+        showStatusMessage(error.message, true);
+        return;
+    }
+    saveUserApiConfig(chatId, auxChatId, apiBaseUrl, catalogServiceUrl);
+    reloadApiConfig();
     showStatusMessage("¡Configuración guardada! Estos serán los nuevos valores predeterminados para este navegador. Recarga la página para aplicar.", false);
     setTimeout(hideStatusMessage, 4000);
 }
 
 /**
  * Handles the reset button click.
- * Clears the user-defined API config from localStorage.
+ * Clears the user-defined API config, the encrypted tokens and the settings password,
+ * so the next step is the first-run setup again.
  */
 function handleReset() {
-    if (confirm("¿Estás seguro de que quieres restablecer la configuración de API a los valores predeterminados?")) {
+    if (confirm("¿Estás seguro de que quieres restablecer la configuración? Se borrarán los tokens y la contraseña de Ajustes, y la tienda dejará de conectarse al bot hasta que completes de nuevo la configuración inicial.")) {
         clearUserApiConfig(); 
+        resetSecureConfig();
+        reloadApiConfig();
         if (botTokenInput) botTokenInput.value = '';
         if (chatIdInput) chatIdInput.value = '';
         if (settingsAuxChatIdInput) settingsAuxChatIdInput.value = ''; 
         if (settingsAuxBotTokenInput) settingsAuxBotTokenInput.value = ''; 
-        showStatusMessage("Configuración restablecida a los valores predeterminados. Recarga la página para aplicar.", false);
-        setTimeout(hideStatusMessage, 4000);
+        if (apiBaseUrlInput) apiBaseUrlInput.value = '';
+        if (catalogServiceUrlInput) catalogServiceUrlInput.value = '';
+        if (catalogServiceKeyInput) catalogServiceKeyInput.value = '';
+        updateSettingsView();
+        showStatusMessage("Configuración restablecida. Completa de nuevo la configuración inicial.", false, setupStatusMsg);
+        setTimeout(() => hideStatusMessage(setupStatusMsg), 4000);
     }
 }
 
+// --- Setup and Unlock Functions ---
+
+/**
+ * Shows the first-run setup, the unlock form or the settings, depending on the secure config state.
+ */
+function updateSettingsView() {
+    const isSetUp = isSecureConfigSetUp();
+    const isUnlocked = isSecureConfigUnlocked();
+    if (setupSection) setupSection.classList.toggle('hidden', isSetUp);
+    if (unlockSection) unlockSection.classList.toggle('hidden', !isSetUp || isUnlocked);
+    [apiSettingsContainer, adminUsersContainer, catalogTransferContainer].forEach(container => {
+        if (container) container.classList.toggle('hidden', !(isSetUp && isUnlocked));
+    });
+}
+
+/**
+ * Fills the API settings form with the stored config and the decrypted tokens.
+ */
+function populateApiSettingsForm() {
+    const { token, chatId, auxChatId, auxBotToken, apiBaseUrl, catalogServiceUrl, catalogServiceKey } = loadUserApiConfig();
+    if (botTokenInput) botTokenInput.value = token || '';
+    if (chatIdInput) chatIdInput.value = chatId || '';
+    if (settingsAuxChatIdInput) settingsAuxChatIdInput.value = auxChatId || '';
+    if (settingsAuxBotTokenInput) settingsAuxBotTokenInput.value = auxBotToken || '';
+    if (apiBaseUrlInput) apiBaseUrlInput.value = apiBaseUrl || '';
+    if (catalogServiceUrlInput) catalogServiceUrlInput.value = catalogServiceUrl || '';
+    if (catalogServiceKeyInput) catalogServiceKeyInput.value = catalogServiceKey || '';
+}
+
+/**
+ * Handles the complete setup button click.
+ * Stores the settings password as a salted hash and the token encrypted with it.
+ * A plain-text auxiliary token left by an older version is encrypted along with it.
+ */
+async function handleCompleteSetup() {
+    if (!setupBotTokenInput || !setupChatIdInput || !setupPasswordInput || !setupPasswordConfirmInput) return;
+
+    const botToken = setupBotTokenInput.value.trim();
+    const chatId = setupChatIdInput.value.trim();
+    const password = setupPasswordInput.value;
+
+    if (!botToken || !chatId) {
+        showStatusMessage("El Token y el Chat ID principal no pueden estar vacíos.", true, setupStatusMsg);
+        return;
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        showStatusMessage(`La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres.`, true, setupStatusMsg);
+        return;
+    }
+    if (password !== setupPasswordConfirmInput.value) {
+        showStatusMessage("Las contraseñas no coinciden.", true, setupStatusMsg);
+        return;
+    }
+
+    const { auxChatId, auxBotToken, apiBaseUrl, catalogServiceUrl } = loadUserApiConfig();
+    completeSetupButton.disabled = true;
+    showStatusMessage("Cifrando la configuración...", false, setupStatusMsg);
+    try {
+        await setUpSecureConfig(password, { token: botToken, auxBotToken });
+    } catch (error) {
+        console.error("Error completing the first-run setup:", error);
+        showStatusMessage(error.message, true, setupStatusMsg);
+        return;
+    } finally {
+        completeSetupButton.disabled = false;
+    }
+    saveUserApiConfig(chatId, auxChatId || '', apiBaseUrl || '', catalogServiceUrl || '');
+    reloadApiConfig();
+
+    setupPasswordInput.value = '';
+    setupPasswordConfirmInput.value = '';
+    hideStatusMessage(setupStatusMsg);
+    populateApiSettingsForm();
+    updateSettingsView();
+    showStatusMessage("¡Configuración completada! La tienda ya puede conectarse al bot en esta sesión.", false);
+    setTimeout(hideStatusMessage, 5000);
+}
+
+/**
+ * Handles the unlock button click.
+ * Checks the password and decrypts the tokens for this browser session.
+ */
+async function handleUnlock() {
+    if (!unlockPasswordInput) return;
+
+    unlockButton.disabled = true;
+    try {
+        const unlocked = await unlockSecureConfig(unlockPasswordInput.value);
+        if (!unlocked) {
+            showStatusMessage("Contraseña incorrecta.", true, unlockStatusMsg);
+            unlockPasswordInput.select();
+            return;
+        }
+    } catch (error) {
+        console.error("Error unlocking settings:", error);
+        showStatusMessage(error.message, true, unlockStatusMsg);
+        return;
+    } finally {
+        unlockButton.disabled = false;
+    }
+
+    unlockPasswordInput.value = '';
+    hideStatusMessage(unlockStatusMsg);
+    reloadApiConfig();
+    populateApiSettingsForm();
+    updateSettingsView();
+}
+
+/**
+ * Handles the lock button click.
+ * Hides the settings and removes the decrypted tokens from this browser session.
+ */
+function handleLock() {
+    lockSecureConfig();
+    reloadApiConfig();
+    populateApiSettingsForm();
+    updateSettingsView();
+    showStatusMessage("Ajustes bloqueados. La tienda no se conectará al bot en esta sesión hasta que los desbloquees.", false, unlockStatusMsg);
+    setTimeout(() => hideStatusMessage(unlockStatusMsg), 5000);
+}
+
 /**
  * Parses a message text to find a remote config JSON.
  * @param {string} text - The message text.
@@ -204,6 +420,298 @@ async function handleLoadRemoteConfig() {
     }, REMOTE_CONFIG_POLL_DURATION_S * 1000);
 }
 
+// --- Admin Users Functions ---
+
+/**
+ * Renders one checkbox per admin role into the roles container.
+ */
+function renderAdminRoleOptions() {
+    if (!adminUserRolesContainer) return;
+    adminUserRolesContainer.innerHTML = '';
+    Object.entries(ADMIN_ROLES).forEach(([role, label]) => {
+        const optionLabel = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = 'admin-user-role';
+        checkbox.value = role;
+        optionLabel.appendChild(checkbox);
+        optionLabel.appendChild(document.createTextNode(label));
+        adminUserRolesContainer.appendChild(optionLabel);
+    });
+}
+
+/**
+ * Renders the stored admin users, each with a remove button.
+ */
+function renderAdminUsers() {
+    if (!adminUsersList) return;
+    adminUsersList.innerHTML = '';
+
+    const adminUsers = loadAdminUsers();
+    if (adminUsers.length === 0) {
+        const emptyItem = document.createElement('li');
+        emptyItem.className = 'admin-users-empty';
+        emptyItem.textContent = 'No hay administradores configurados.';
+        adminUsersList.appendChild(emptyItem);
+        return;
+    }
+
+    adminUsers.forEach(user => {
+        const item = document.createElement('li');
+
+        const details = document.createElement('div');
+        const nameElement = document.createElement('strong');
+        nameElement.textContent = user.name ? `${user.name} (${user.id})` : user.id;
+        const rolesElement = document.createElement('div');
+        rolesElement.className = 'admin-user-roles';
+        rolesElement.textContent = user.roles.map(role => ADMIN_ROLES[role] || role).join(', ');
+        details.appendChild(nameElement);
+        details.appendChild(rolesElement);
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'admin-user-remove';
+        removeButton.innerHTML = '&times;';
+        removeButton.setAttribute('aria-label', `Eliminar administrador ${user.name || user.id}`);
+        removeButton.addEventListener('click', () => handleRemoveAdminUser(user.id));
+
+        item.appendChild(details);
+        item.appendChild(removeButton);
+        adminUsersList.appendChild(item);
+    });
+}
+
+/**
+ * Handles the add admin button click.
+ * Adds the user to the allowlist, or replaces the name and roles of an existing entry with the same ID.
+ */
+function handleSaveAdminUser() {
+    if (!adminUserIdInput || !adminUserNameInput || !adminUserRolesContainer) return;
+
+    const id = adminUserIdInput.value.trim();
+    const name = adminUserNameInput.value.trim();
+    const roles = Array.from(adminUserRolesContainer.querySelectorAll('input[name="admin-user-role"]:checked')).map(input => input.value);
+
+    if (!/^\d+$/.test(id)) {
+        showStatusMessage("El ID de usuario de Telegram debe ser numérico.", true, adminUsersStatusMsg);
+        return;
+    }
+    if (roles.length === 0) {
+        showStatusMessage("Selecciona al menos un rol.", true, adminUsersStatusMsg);
+        return;
+    }
+
+    const adminUsers = loadAdminUsers().filter(user => user.id !== id);
+    if (!roles.includes('owner') && !adminUsers.some(user => user.roles.includes('owner'))) {
+        showStatusMessage("Debe haber al menos un Propietario en la lista.", true, adminUsersStatusMsg);
+        return;
+    }
+    adminUsers.push({ id, name, roles });
+    saveAdminUsers(adminUsers);
+
+    adminUserIdInput.value = '';
+    adminUserNameInput.value = '';
+    adminUserRolesContainer.querySelectorAll('input[name="admin-user-role"]').forEach(input => { input.checked = false; });
+    renderAdminUsers();
+    showStatusMessage("Administrador guardado.", false, adminUsersStatusMsg);
+    setTimeout(() => hideStatusMessage(adminUsersStatusMsg), 3000);
+}
+
+/**
+ * Removes a user from the admin allowlist.
+ * Refuses to remove the last owner while other admins remain, so the list can't lock everyone out.
+ * @param {string} userId - The Telegram user ID to remove.
+ */
+function handleRemoveAdminUser(userId) {
+    const adminUsers = loadAdminUsers();
+    const remainingUsers = adminUsers.filter(user => user.id !== userId);
+    if (remainingUsers.length > 0 && !remainingUsers.some(user => user.roles.includes('owner'))) {
+        showStatusMessage("Debe quedar al menos un Propietario en la lista.", true, adminUsersStatusMsg);
+        return;
+    }
+    if (!confirm(`¿Eliminar al administrador ${userId}?`)) return;
+
+    saveAdminUsers(remainingUsers);
+    renderAdminUsers();
+}
+
+// --- Catalog Import/Export Functions ---
+
+/**
+ * Offers text content as a file download.
+ * @param {string} content - The file content.
+ * @param {string} fileName - The suggested file name.
+ * @param {string} mimeType - The file's MIME type.
+ */
+function downloadTextFile(content, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Handles the export buttons: downloads the catalog as JSON or CSV.
+ * @param {'json'|'csv'} format - The file format.
+ */
+function handleExportCatalog(format) {
+    const products = getCatalogProducts();
+    if (products.length === 0) {
+        showStatusMessage("El catálogo está vacío. No hay nada que exportar.", true, catalogStatusMsg);
+        setTimeout(() => hideStatusMessage(catalogStatusMsg), 4000);
+        return;
+    }
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+        downloadTextFile(exportCatalogAsCsv(products), `catalogo-${date}.csv`, 'text/csv;charset=utf-8');
+    } else {
+        downloadTextFile(exportCatalogAsJson(products), `catalogo-${date}.json`, 'application/json');
+    }
+    showStatusMessage(`Catálogo exportado (${products.length} productos).`, false, catalogStatusMsg);
+    setTimeout(() => hideStatusMessage(catalogStatusMsg), 3000);
+}
+
+/**
+ * Handles the publish button: sends the whole catalog of this browser to the catalog service.
+ */
+async function handlePublishCatalog() {
+    if (!confirm("Se reemplazará el catálogo del servicio por el de este navegador. ¿Continuar?")) {
+        return;
+    }
+    publishCatalogButton.disabled = true;
+    showStatusMessage("Publicando catálogo...", false, catalogStatusMsg);
+    try {
+        const count = await publishWholeCatalog();
+        showStatusMessage(`Catálogo publicado (${count} productos).`, false, catalogStatusMsg);
+        setTimeout(() => hideStatusMessage(catalogStatusMsg), 4000);
+    } catch (error) {
+        console.error("Error publishing the catalog:", error);
+        showStatusMessage(error.message, true, catalogStatusMsg);
+    } finally {
+        publishCatalogButton.disabled = false;
+    }
+}
+
+/**
+ * Appends a titled list to the import preview.
+ * @param {string} title - The list title.
+ * @param {Array<string>} items - The list items.
+ * @param {string} className - Optional class for the list.
+ */
+function appendPreviewList(title, items, className = '') {
+    if (items.length === 0) return;
+    const titleElement = document.createElement('h5');
+    titleElement.textContent = title;
+    const list = document.createElement('ul');
+    if (className) list.className = className;
+    items.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+    });
+    catalogImportPreview.appendChild(titleElement);
+    catalogImportPreview.appendChild(list);
+}
+
+/**
+ * Renders the changes the selected file would make, and shows the apply button if there are any.
+ */
+function renderCatalogImportPreview() {
+    if (!catalogImportPreview || !catalogImport) return;
+
+    const diff = diffCatalog(getCatalogProducts(), catalogImport.products, catalogImportRemoveMissingInput?.checked);
+    catalogImportPreview.innerHTML = '';
+    const summary = document.createElement('p');
+    summary.textContent = `${catalogImport.fileName}: ${summarizeCatalogDiff(diff)}`;
+    catalogImportPreview.appendChild(summary);
+    appendPreviewList('Nuevos', diff.added.map(product => `${product.id}: ${product.name}`));
+    appendPreviewList('Modificados', diff.updated.map(({ before, after, changedFields }) =>
+        `${after.id}: ${before.name === after.name ? after.name : `${before.name} → ${after.name}`} (${changedFields.join(', ')})`));
+    appendPreviewList('Eliminados', diff.removed.map(product => `${product.id}: ${product.name}`));
+    catalogImportPreview.hidden = false;
+
+    const hasChanges = catalogDiffHasChanges(diff);
+    if (applyCatalogImportButton) applyCatalogImportButton.hidden = !hasChanges;
+    if (cancelCatalogImportButton) cancelCatalogImportButton.hidden = false;
+}
+
+/**
+ * Clears the selected file and its preview.
+ */
+function resetCatalogImport() {
+    catalogImport = null;
+    if (catalogImportFileInput) catalogImportFileInput.value = '';
+    if (catalogImportPreview) {
+        catalogImportPreview.innerHTML = '';
+        catalogImportPreview.hidden = true;
+    }
+    if (applyCatalogImportButton) applyCatalogImportButton.hidden = true;
+    if (cancelCatalogImportButton) cancelCatalogImportButton.hidden = true;
+}
+
+/**
+ * Handles the file input change: reads and validates the file, then previews the changes.
+ * An invalid file shows its errors and can't be applied.
+ */
+async function handleCatalogFileSelected() {
+    const file = catalogImportFileInput?.files?.[0];
+    catalogImport = null;
+    hideStatusMessage(catalogStatusMsg);
+    if (!file) {
+        resetCatalogImport();
+        return;
+    }
+
+    let text;
+    try {
+        text = await file.text();
+    } catch (error) {
+        console.error("Error reading catalog file:", error);
+        showStatusMessage(`No se pudo leer el archivo: ${error.message}`, true, catalogStatusMsg);
+        return;
+    }
+
+    const { products, errors } = parseCatalogFile(text);
+    if (errors.length > 0) {
+        catalogImportPreview.innerHTML = '';
+        appendPreviewList(`${file.name} no es válido`, errors, 'catalog-import-errors');
+        catalogImportPreview.hidden = false;
+        applyCatalogImportButton.hidden = true;
+        cancelCatalogImportButton.hidden = false;
+        return;
+    }
+
+    catalogImport = { products, fileName: file.name };
+    renderCatalogImportPreview();
+}
+
+/**
+ * Handles the apply button: writes the previewed import to the catalog.
+ */
+async function handleApplyCatalogImport() {
+    if (!catalogImport) return;
+    const removeMissing = Boolean(catalogImportRemoveMissingInput?.checked);
+    const diff = diffCatalog(getCatalogProducts(), catalogImport.products, removeMissing);
+    if (diff.removed.length > 0 && !confirm(`Se eliminarán ${diff.removed.length} productos que no están en el archivo. ¿Continuar?`)) {
+        return;
+    }
+
+    let appliedDiff;
+    try {
+        appliedDiff = await applyCatalogImport(catalogImport.products, removeMissing);
+    } catch (error) {
+        showStatusMessage(error.message, true, catalogStatusMsg);
+        return;
+    }
+    resetCatalogImport();
+    showStatusMessage(`Catálogo importado: ${summarizeCatalogDiff(appliedDiff)}`, false, catalogStatusMsg);
+    setTimeout(() => hideStatusMessage(catalogStatusMsg), 5000);
+}
+
 // --- QR Scanner Functions ---
 
 /**
@@ -369,12 +877,59 @@ function initializeSettingsPage() {
         });
     }
 
-    // Directly load the config into the input fields on page load.
-    const { token, chatId, auxChatId, auxBotToken } = loadUserApiConfig();
-    if (botTokenInput) botTokenInput.value = token || '';
-    if (chatIdInput) chatIdInput.value = chatId || '';
-    if (settingsAuxChatIdInput) settingsAuxChatIdInput.value = auxChatId || '';
-    if (settingsAuxBotTokenInput) settingsAuxBotTokenInput.value = auxBotToken || '';
+    // Admin users
+    if (addAdminUserButton) {
+        addAdminUserButton.addEventListener('click', handleSaveAdminUser);
+    }
+    renderAdminRoleOptions();
+    renderAdminUsers();
+
+    // Catalog import/export
+    if (exportCatalogJsonButton) {
+        exportCatalogJsonButton.addEventListener('click', () => handleExportCatalog('json'));
+    }
+    if (exportCatalogCsvButton) {
+        exportCatalogCsvButton.addEventListener('click', () => handleExportCatalog('csv'));
+    }
+    if (publishCatalogButton) {
+        publishCatalogButton.addEventListener('click', handlePublishCatalog);
+    }
+    if (catalogImportFileInput) {
+        catalogImportFileInput.addEventListener('change', handleCatalogFileSelected);
+    }
+    if (catalogImportRemoveMissingInput) {
+        catalogImportRemoveMissingInput.addEventListener('change', renderCatalogImportPreview);
+    }
+    if (applyCatalogImportButton) {
+        applyCatalogImportButton.addEventListener('click', handleApplyCatalogImport);
+    }
+    if (cancelCatalogImportButton) {
+        cancelCatalogImportButton.addEventListener('click', resetCatalogImport);
+    }
+
+    // Setup, unlock and lock
+    if (completeSetupButton) {
+        completeSetupButton.addEventListener('click', handleCompleteSetup);
+    }
+    if (unlockButton) {
+        unlockButton.addEventListener('click', handleUnlock);
+    }
+    if (unlockPasswordInput) {
+        unlockPasswordInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') handleUnlock();
+        });
+    }
+    if (lockButton) {
+        lockButton.addEventListener('click', handleLock);
+    }
+
+    // Offer the values saved in plain text by older versions for the first-run setup
+    if (!isSecureConfigSetUp()) {
+        const { token, chatId } = loadUserApiConfig();
+        if (setupBotTokenInput) setupBotTokenInput.value = token || '';
+        if (setupChatIdInput) setupChatIdInput.value = chatId || '';
+    }
+    updateSettingsView();
 
     console.log("Settings page UI initialized.");
 }
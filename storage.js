@@ -1,22 +1,36 @@
 // --- Storage Functions ---
+// Typed access to the store's data, saved through the repository (see repository.js).
+// Writes return at once; the data is saved to IndexedDB in the background.
+import { STORES, getRecord, putRecord, deleteRecord } from './repository.js';
 
-const ORDER_COUNT_STORAGE_PREFIX = 'customerOrderCount_';
-const USER_BOT_TOKEN_KEY = 'userBotToken';
+const USER_BOT_TOKEN_KEY = 'userBotToken'; // Plain-text token of older versions, removed by the first-run setup
 const USER_CHAT_ID_KEY = 'userChatId';
 const USER_AUX_CHAT_ID_KEY = 'userAuxChatId'; 
 const USER_AUX_BOT_TOKEN_KEY = 'userAuxBotToken'; 
+const USER_API_BASE_URL_KEY = 'userApiBaseUrl';
+const CATALOG_SERVICE_URL_KEY = 'catalogServiceUrl'; // Overrides CATALOG_SERVICE_URL of catalog-sync.js in this browser
+const SECURE_API_CONFIG_KEY = 'secureApiConfig'; // Settings password hash + encrypted bot tokens
+const SESSION_API_TOKENS_KEY = 'unlockedApiTokens'; // sessionStorage: tokens decrypted for this browser session
+const ADMIN_USERS_KEY = 'adminUsers';
+const UPDATE_OFFSET_STORAGE_PREFIX = 'telegramUpdateOffset_';
+const PROCESSED_UPDATES_STORAGE_PREFIX = 'telegramProcessedUpdates_';
+const MAX_PROCESSED_UPDATE_IDS = 500; // Enough to cover any batch Telegram can still redeliver
+const MAX_STORED_CHAT_MESSAGES = 1000; // IndexedDB has room for far more than localStorage did
+const PENDING_CATALOG_IMPORT_KEY = 'pendingCatalogImport';
+const PENDING_MEDIA_GROUPS_KEY = 'pendingMediaGroups'; // Albums received but not handled yet (see script.js)
+const PRODUCT_ORDER_KEY = 'productDisplayOrder'; // Product IDs in the order the store shows them
+const PRODUCT_STORAGE_VERSION_KEY = 'productStorageVersion';
 
 /**
- * Loads chat history from localStorage.
- * @param {string} key - The localStorage key.
+ * Loads chat history.
+ * @param {string} key - The history key (one per chat).
  * @param {function} logCallback - Function to log system messages (e.g., console.log).
  * @returns {Array} The loaded chat history array or an empty array on error/no data.
  */
 export function loadChatHistory(key, logCallback) {
     try {
-        const storedHistory = localStorage.getItem(key);
-        if (storedHistory) {
-            const history = JSON.parse(storedHistory);
+        const history = getRecord(STORES.CHAT_HISTORY, key);
+        if (history !== null) {
             // Basic validation: ensure it's an array
             if (Array.isArray(history)) {
                 console.log(`Loaded ${history.length} messages from history.`);
@@ -26,8 +40,8 @@ export function loadChatHistory(key, logCallback) {
             }
         }
     } catch (error) {
-        console.error("Error loading chat history from localStorage:", error);
-        localStorage.removeItem(key); // Clear corrupted data
+        console.error("Error loading chat history:", error);
+        deleteRecord(STORES.CHAT_HISTORY, key); // Clear corrupted data
         if (logCallback) {
             logCallback(`Error al cargar el historial (datos inválidos: ${error.message}). Se ha limpiado.`, 'error', 'Sistema');
         }
@@ -36,8 +50,8 @@ export function loadChatHistory(key, logCallback) {
 }
 
 /**
- * Saves chat history to localStorage.
- * @param {string} key - The localStorage key.
+ * Saves chat history, keeping the latest MAX_STORED_CHAT_MESSAGES messages.
+ * @param {string} key - The history key (one per chat).
  * @param {Array} history - The chat history array to save.
  * @param {function} logCallback - Function to log system messages (e.g., console.log).
  */
@@ -51,24 +65,16 @@ export function saveChatHistory(key, history, logCallback) {
         return;
     }
 
-    try {
-        // Optional: Limit the number of messages stored to prevent localStorage overflow
-        const maxStoredMessages = 200; // Store last 200 messages
-        let historyToSave = history;
-        if (history.length > maxStoredMessages) {
-            historyToSave = history.slice(history.length - maxStoredMessages);
-            console.log(`History trimmed to ${maxStoredMessages} messages before saving.`);
-        }
-        localStorage.setItem(key, JSON.stringify(historyToSave));
-    } catch (error) {
-        console.error("Error saving chat history to localStorage:", error);
-        // Handle potential storage full errors (e.g., QUOTA_EXCEEDED_ERR)
-        if ((error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED') && logCallback) {
-            logCallback("Error: No se pudo guardar el historial, almacenamiento lleno.", 'error', 'Sistema');
-        } else if (logCallback) {
-            logCallback(`Error desconocido al guardar historial: ${error.message}`, 'error', 'Sistema');
-        }
+    let historyToSave = history;
+    if (history.length > MAX_STORED_CHAT_MESSAGES) {
+        historyToSave = history.slice(history.length - MAX_STORED_CHAT_MESSAGES);
+        console.log(`History trimmed to ${MAX_STORED_CHAT_MESSAGES} messages before saving.`);
     }
+    putRecord(STORES.CHAT_HISTORY, key, historyToSave).then(saved => {
+        if (!saved && logCallback) {
+            logCallback("Error: No se pudo guardar el historial (¿almacenamiento lleno?).", 'error', 'Sistema');
+        }
+    });
 }
 
 /**
@@ -78,18 +84,9 @@ export function saveChatHistory(key, history, logCallback) {
  */
 export function loadCustomerOrderCount(mobileNumber) {
     if (!mobileNumber || typeof mobileNumber !== 'string') return 0; // Ensure input is a string
-    const key = `${ORDER_COUNT_STORAGE_PREFIX}${mobileNumber}`;
-    try {
-        const storedCount = localStorage.getItem(key);
-        if (storedCount !== null) { // Check if item exists
-            const count = parseInt(storedCount, 10);
-            // Return count if valid, otherwise 0
-            return !isNaN(count) && count >= 0 ? count : 0;
-        }
-    } catch (error) {
-        console.error(`Error reading order count for ${mobileNumber}:`, error);
-    }
-    return 0; // Default to 0 if not found or error
+    const count = getRecord(STORES.ORDER_COUNTS, mobileNumber, 0);
+    // Return count if valid, otherwise 0
+    return Number.isInteger(count) && count >= 0 ? count : 0;
 }
 
 /**
@@ -102,70 +99,314 @@ export function saveCustomerOrderCount(mobileNumber, count) {
         console.error(`Invalid data for saving order count:`, { mobileNumber, count });
         return;
     }
-    const key = `${ORDER_COUNT_STORAGE_PREFIX}${mobileNumber}`;
-    try {
-        localStorage.setItem(key, count.toString());
-    } catch (error) {
-        console.error(`Error saving order count for ${mobileNumber}:`, error);
-        // Consider notifying user or logging to a service if storage consistently fails
-    }
+    putRecord(STORES.ORDER_COUNTS, mobileNumber, count);
 }
 
 /**
- * Saves the user-defined Bot Token, Chat ID, Auxiliary Chat ID, and Auxiliary Bot Token to localStorage.
- * @param {string} token - The Bot Token.
+ * Saves the user-defined Chat ID, Auxiliary Chat ID, API base URL and catalog service URL.
+ * The bot tokens and the catalog admin key are not stored here: secure-config.js keeps them encrypted (see saveSecureApiConfig).
  * @param {string} chatId - The Chat ID.
  * @param {string} auxChatId - The Auxiliary Chat ID (can be empty string).
- * @param {string} auxBotToken - The Auxiliary Bot Token (can be empty string).
+ * @param {string} [apiBaseUrl] - The Bot API base URL (empty or omitted for api.telegram.org, "mock:" for the in-browser mock bot).
+ * @param {string} [catalogServiceUrl] - The catalog service URL (empty or omitted for the default of catalog-sync.js).
+ */
+export function saveUserApiConfig(chatId, auxChatId, apiBaseUrl, catalogServiceUrl) {
+    putRecord(STORES.SETTINGS, USER_CHAT_ID_KEY, chatId);
+    if (typeof auxChatId === 'string') {
+        putRecord(STORES.SETTINGS, USER_AUX_CHAT_ID_KEY, auxChatId);
+    } else {
+        deleteRecord(STORES.SETTINGS, USER_AUX_CHAT_ID_KEY);
+    }
+    if (apiBaseUrl) {
+        putRecord(STORES.SETTINGS, USER_API_BASE_URL_KEY, apiBaseUrl);
+    } else {
+        deleteRecord(STORES.SETTINGS, USER_API_BASE_URL_KEY);
+    }
+    if (catalogServiceUrl) {
+        putRecord(STORES.SETTINGS, CATALOG_SERVICE_URL_KEY, catalogServiceUrl);
+    } else {
+        deleteRecord(STORES.SETTINGS, CATALOG_SERVICE_URL_KEY);
+    }
+    console.log("User API config saved.");
+}
+
+/**
+ * Loads the user API config: Chat IDs, API base URL and catalog service URL, and the bot tokens and
+ * catalog admin key decrypted for this browser session (null while settings have not been unlocked).
+ * Until the first-run setup is done, tokens saved in plain text by older versions are still used.
+ * @returns {{token: string|null, chatId: string|null, auxChatId: string|null, auxBotToken: string|null, apiBaseUrl: string|null, catalogServiceUrl: string|null, catalogServiceKey: string|null}} An object containing the tokens, chatIds and URLs, or null if not found.
+ */
+export function loadUserApiConfig() {
+    const chatId = getRecord(STORES.SETTINGS, USER_CHAT_ID_KEY);
+    const auxChatId = getRecord(STORES.SETTINGS, USER_AUX_CHAT_ID_KEY);
+    const apiBaseUrl = getRecord(STORES.SETTINGS, USER_API_BASE_URL_KEY);
+    const catalogServiceUrl = getRecord(STORES.SETTINGS, CATALOG_SERVICE_URL_KEY);
+
+    let tokens = loadSessionApiTokens();
+    if (!tokens && !getRecord(STORES.SETTINGS, SECURE_API_CONFIG_KEY) && getRecord(STORES.SETTINGS, USER_BOT_TOKEN_KEY)) {
+        console.warn("Using a bot token stored in plain text. Complete the setup in Ajustes to encrypt it.");
+        tokens = { token: getRecord(STORES.SETTINGS, USER_BOT_TOKEN_KEY), auxBotToken: getRecord(STORES.SETTINGS, USER_AUX_BOT_TOKEN_KEY) };
+    }
+    return { token: tokens?.token || null, chatId, auxChatId, auxBotToken: tokens?.auxBotToken || null, apiBaseUrl, catalogServiceUrl, catalogServiceKey: tokens?.catalogServiceKey || null };
+}
+
+/**
+ * Clears the user-defined Chat ID, Auxiliary Chat ID, API base URL, catalog service URL and any plain-text tokens.
+ */
+export function clearUserApiConfig() {
+    [USER_BOT_TOKEN_KEY, USER_CHAT_ID_KEY, USER_AUX_CHAT_ID_KEY, USER_AUX_BOT_TOKEN_KEY, USER_API_BASE_URL_KEY, CATALOG_SERVICE_URL_KEY]
+        .forEach(key => deleteRecord(STORES.SETTINGS, key));
+    console.log("User API config cleared.");
+}
+
+/**
+ * Loads the settings password hash and encrypted tokens (see secure-config.js).
+ * @returns {object|null} The stored record, or null if the first-run setup has not been done.
  */
-export function saveUserApiConfig(token, chatId, auxChatId, auxBotToken) {
+export function loadSecureApiConfig() {
+    const record = getRecord(STORES.SETTINGS, SECURE_API_CONFIG_KEY);
+    return record && typeof record === 'object' && record.passwordHash && record.ciphertext ? record : null;
+}
+
+/**
+ * Saves the settings password hash and encrypted tokens, removing any plain-text tokens left by older versions.
+ * @param {object} record - The record built by secure-config.js.
+ * @returns {Promise<void>} Resolves once the record is saved.
+ * @throws {Error} If it could not be saved.
+ */
+export async function saveSecureApiConfig(record) {
+    if (!await putRecord(STORES.SETTINGS, SECURE_API_CONFIG_KEY, record)) {
+        throw new Error("No se pudo guardar la configuración cifrada en este navegador.");
+    }
+    deleteRecord(STORES.SETTINGS, USER_BOT_TOKEN_KEY);
+    deleteRecord(STORES.SETTINGS, USER_AUX_BOT_TOKEN_KEY);
+}
+
+/**
+ * Deletes the settings password hash and encrypted tokens.
+ */
+export function clearSecureApiConfig() {
+    deleteRecord(STORES.SETTINGS, SECURE_API_CONFIG_KEY);
+}
+
+/**
+ * Loads the bot tokens (and catalog admin key) decrypted for this browser session.
+ * @returns {{token: string, auxBotToken: string|null, catalogServiceKey: string|null}|null} The tokens, or null if settings have not been unlocked.
+ */
+export function loadSessionApiTokens() {
     try {
-        localStorage.setItem(USER_BOT_TOKEN_KEY, token);
-        localStorage.setItem(USER_CHAT_ID_KEY, chatId);
-        if (typeof auxChatId === 'string') {
-            localStorage.setItem(USER_AUX_CHAT_ID_KEY, auxChatId);
-        } else {
-            localStorage.removeItem(USER_AUX_CHAT_ID_KEY);
-        }
-        if (typeof auxBotToken === 'string') { 
-            localStorage.setItem(USER_AUX_BOT_TOKEN_KEY, auxBotToken);
-        } else {
-            localStorage.removeItem(USER_AUX_BOT_TOKEN_KEY);
-        }
-        console.log("User API config saved to localStorage.");
+        const tokens = JSON.parse(sessionStorage.getItem(SESSION_API_TOKENS_KEY));
+        return tokens && tokens.token ? tokens : null;
     } catch (error) {
-        console.error("Error saving user API config to localStorage:", error);
+        console.error("Error loading session API tokens from sessionStorage:", error);
+        return null;
     }
 }
 
 /**
- * Loads the user-defined Bot Token, Chat ID, Auxiliary Chat ID, and Auxiliary Bot Token from localStorage.
- * @returns {{token: string|null, chatId: string|null, auxChatId: string|null, auxBotToken: string|null}} An object containing the tokens and chatIds, or null if not found.
+ * Keeps the decrypted bot tokens for this browser session, so the store can use them after settings are unlocked.
+ * @param {{token: string, auxBotToken: string|null, catalogServiceKey?: string|null}} tokens - The bot tokens and catalog admin key.
  */
-export function loadUserApiConfig() {
+export function saveSessionApiTokens(tokens) {
     try {
-        const token = localStorage.getItem(USER_BOT_TOKEN_KEY);
-        const chatId = localStorage.getItem(USER_CHAT_ID_KEY);
-        const auxChatId = localStorage.getItem(USER_AUX_CHAT_ID_KEY);
-        const auxBotToken = localStorage.getItem(USER_AUX_BOT_TOKEN_KEY); 
-        return { token, chatId, auxChatId, auxBotToken };
+        sessionStorage.setItem(SESSION_API_TOKENS_KEY, JSON.stringify({ token: tokens.token, auxBotToken: tokens.auxBotToken || null, catalogServiceKey: tokens.catalogServiceKey || null }));
     } catch (error) {
-        console.error("Error loading user API config from localStorage:", error);
-        return { token: null, chatId: null, auxChatId: null, auxBotToken: null };
+        console.error("Error saving session API tokens to sessionStorage:", error);
     }
 }
 
 /**
- * Clears the user-defined Bot Token, Chat ID, Auxiliary Chat ID, and Auxiliary Bot Token from localStorage.
+ * Removes the decrypted bot tokens from this browser session.
  */
-export function clearUserApiConfig() {
+export function clearSessionApiTokens() {
     try {
-        localStorage.removeItem(USER_BOT_TOKEN_KEY);
-        localStorage.removeItem(USER_CHAT_ID_KEY);
-        localStorage.removeItem(USER_AUX_CHAT_ID_KEY);
-        localStorage.removeItem(USER_AUX_BOT_TOKEN_KEY); 
-        console.log("User API config cleared from localStorage.");
+        sessionStorage.removeItem(SESSION_API_TOKENS_KEY);
     } catch (error) {
-        console.error("Error clearing user API config from localStorage:", error);
+        console.error("Error clearing session API tokens from sessionStorage:", error);
+    }
+}
+
+/**
+ * Loads the admin allowlist (Telegram users allowed to run admin commands).
+ * @returns {Array<{id: string, name: string, roles: Array<string>}>} The admin users, or an empty array if none/invalid.
+ */
+export function loadAdminUsers() {
+    const users = getRecord(STORES.SETTINGS, ADMIN_USERS_KEY);
+    if (Array.isArray(users)) {
+        return users
+            .filter(user => user && user.id != null && Array.isArray(user.roles))
+            .map(user => ({ id: String(user.id), name: user.name || '', roles: user.roles }));
     }
-}
\ No newline at end of file
+    if (users !== null) {
+        console.error("Stored admin users are not an array.");
+    }
+    return [];
+}
+
+/**
+ * Saves the admin allowlist.
+ * @param {Array<{id: string, name: string, roles: Array<string>}>} users - The admin users.
+ */
+export function saveAdminUsers(users) {
+    if (!Array.isArray(users)) {
+        console.error("Attempted to save non-array data as admin users.");
+        return;
+    }
+    putRecord(STORES.SETTINGS, ADMIN_USERS_KEY, users);
+    console.log(`Saved ${users.length} admin users.`);
+}
+
+/**
+ * Loads the last processed Telegram update_id for a bot.
+ * Keyed by the bot's numeric ID (the part of the token before ':'), so switching tokens starts a fresh offset.
+ * @param {string|number} botId - The bot's ID (from getMe).
+ * @returns {number} The last update_id, or 0 if none is stored.
+ */
+export function loadUpdateOffset(botId) {
+    const offset = getRecord(STORES.SETTINGS, `${UPDATE_OFFSET_STORAGE_PREFIX}${botId}`, 0);
+    return Number.isInteger(offset) && offset > 0 ? offset : 0;
+}
+
+/**
+ * Saves the last processed Telegram update_id for a bot. Never moves the offset backwards,
+ * since another tab may have already stored a newer one.
+ * @param {string|number} botId - The bot's ID (from getMe).
+ * @param {number} updateId - The update_id that was just handled.
+ */
+export function saveUpdateOffset(botId, updateId) {
+    if (!Number.isInteger(updateId) || updateId <= loadUpdateOffset(botId)) return;
+    putRecord(STORES.SETTINGS, `${UPDATE_OFFSET_STORAGE_PREFIX}${botId}`, updateId);
+}
+
+/**
+ * Records an update_id in the processed-updates log unless it is already there.
+ * Reads the log on every call so claims made by other tabs (synced by the repository) are seen.
+ * @param {string|number} botId - The bot's ID (from getMe).
+ * @param {number} updateId - The update_id about to be handled.
+ * @returns {boolean} True if the update was claimed now, false if it had already been processed.
+ */
+export function claimUpdate(botId, updateId) {
+    const key = `${PROCESSED_UPDATES_STORAGE_PREFIX}${botId}`;
+    const storedIds = getRecord(STORES.SETTINGS, key, []);
+    let processedIds = Array.isArray(storedIds) ? storedIds : [];
+
+    if (processedIds.includes(updateId)) {
+        return false;
+    }
+
+    processedIds.push(updateId);
+    if (processedIds.length > MAX_PROCESSED_UPDATE_IDS) {
+        processedIds = processedIds.slice(processedIds.length - MAX_PROCESSED_UPDATE_IDS);
+    }
+    putRecord(STORES.SETTINGS, key, processedIds);
+    return true;
+}
+
+/**
+ * Removes an update_id from the processed-updates log, so the update is handled again when
+ * Telegram delivers it again (e.g. after handling it failed).
+ * @param {string|number} botId - The bot's ID (from getMe).
+ * @param {number} updateId - The update_id whose handling failed.
+ */
+export function releaseUpdate(botId, updateId) {
+    const key = `${PROCESSED_UPDATES_STORAGE_PREFIX}${botId}`;
+    const storedIds = getRecord(STORES.SETTINGS, key, []);
+    if (!Array.isArray(storedIds) || !storedIds.includes(updateId)) return;
+    putRecord(STORES.SETTINGS, key, storedIds.filter(id => id !== updateId));
+}
+
+/**
+ * Loads the catalog import waiting for confirmation through the *CATALOGO* command.
+ * @returns {{products: Array<object>, removeMissing: boolean, fileName: string, senderId: string|null, createdAt: number}|null}
+ *   The pending import, or null if there is none.
+ */
+export function loadPendingCatalogImport() {
+    const pendingImport = getRecord(STORES.SETTINGS, PENDING_CATALOG_IMPORT_KEY);
+    return pendingImport && Array.isArray(pendingImport.products) ? pendingImport : null;
+}
+
+/**
+ * Saves a validated catalog import until it is applied or discarded.
+ * @param {object} pendingImport - The import (see loadPendingCatalogImport).
+ * @returns {Promise<void>} Resolves once the import is saved.
+ * @throws {Error} If it cannot be saved (e.g. the storage quota is exceeded).
+ */
+export async function savePendingCatalogImport(pendingImport) {
+    if (!await putRecord(STORES.SETTINGS, PENDING_CATALOG_IMPORT_KEY, pendingImport)) {
+        throw new Error("No se pudo guardar la importación pendiente en este navegador.");
+    }
+}
+
+/**
+ * Discards the pending catalog import.
+ */
+export function clearPendingCatalogImport() {
+    deleteRecord(STORES.SETTINGS, PENDING_CATALOG_IMPORT_KEY);
+}
+
+/**
+ * Loads the albums whose photos were received (and their updates confirmed) but not handled yet.
+ * @returns {Object<string, Array<object>>} The Telegram messages of each album, keyed by media_group_id.
+ */
+export function loadPendingMediaGroups() {
+    const groups = getRecord(STORES.SETTINGS, PENDING_MEDIA_GROUPS_KEY);
+    return groups && typeof groups === 'object' && !Array.isArray(groups) ? groups : {};
+}
+
+/**
+ * Saves the messages received so far of an album, so a reload while waiting for the rest
+ * of the album does not lose it.
+ * @param {string} groupId - The media_group_id.
+ * @param {Array<object>} messages - The album's messages.
+ */
+export function savePendingMediaGroup(groupId, messages) {
+    putRecord(STORES.SETTINGS, PENDING_MEDIA_GROUPS_KEY, { ...loadPendingMediaGroups(), [groupId]: messages });
+}
+
+/**
+ * Forgets an album once it has been handled.
+ * @param {string} groupId - The media_group_id.
+ */
+export function clearPendingMediaGroup(groupId) {
+    const { [groupId]: handledGroup, ...remainingGroups } = loadPendingMediaGroups();
+    if (Object.keys(remainingGroups).length > 0) {
+        putRecord(STORES.SETTINGS, PENDING_MEDIA_GROUPS_KEY, remainingGroups);
+    } else {
+        deleteRecord(STORES.SETTINGS, PENDING_MEDIA_GROUPS_KEY);
+    }
+}
+
+/**
+ * Loads the display order of the products.
+ * @returns {Array<string>|null} The product IDs in display order, or null if no order has been saved.
+ */
+export function loadProductOrder() {
+    const order = getRecord(STORES.SETTINGS, PRODUCT_ORDER_KEY);
+    return Array.isArray(order) ? order.map(String) : null;
+}
+
+/**
+ * Saves the display order of the products.
+ * @param {Array<string>} productIds - The product IDs in display order.
+ * @returns {Promise<boolean>} True once the order is saved (see putRecord).
+ */
+export function saveProductOrder(productIds) {
+    return putRecord(STORES.SETTINGS, PRODUCT_ORDER_KEY, productIds);
+}
+
+/**
+ * Loads the version of the product storage layout (see migrateProductStorage in ui.js).
+ * @returns {number} The version, or 1 for stores saved before versions were recorded.
+ */
+export function loadProductStorageVersion() {
+    const version = getRecord(STORES.SETTINGS, PRODUCT_STORAGE_VERSION_KEY);
+    return Number.isInteger(version) ? version : 1;
+}
+
+/**
+ * Saves the version of the product storage layout.
+ * @param {number} version - The version.
+ */
+export function saveProductStorageVersion(version) {
+    putRecord(STORES.SETTINGS, PRODUCT_STORAGE_VERSION_KEY, version);
+}
@@ -0,0 +1,110 @@
+// --- Cross-Tab Coordination ---
+// Only one open tab (the leader) polls Telegram. Leadership is a Web Lock, so when the
+// leader tab closes the browser hands the lock to the next waiting tab automatically.
+// The leader announces state changes over a BroadcastChannel so the other tabs can update their UI.
+
+const POLLING_LOCK_PREFIX = 'telegramPollingLeader_';
+const STATE_CHANNEL_NAME = 'tiendaweb-state';
+
+let stateChannel = null;
+let broadcastQueue = Promise.resolve(); // Changes go out in the order they were announced (see broadcastStateChangeWhen)
+const stateListeners = new Map(); // type -> Set of handlers
+
+/**
+ * Opens the state channel (once) and dispatches incoming messages to the registered listeners.
+ * @returns {BroadcastChannel|null} The channel, or null if BroadcastChannel is not supported.
+ */
+function getStateChannel() {
+    if (stateChannel || typeof BroadcastChannel === 'undefined') {
+        return stateChannel;
+    }
+    stateChannel = new BroadcastChannel(STATE_CHANNEL_NAME);
+    stateChannel.addEventListener('message', (event) => {
+        const { type, payload } = event.data || {};
+        const handlers = stateListeners.get(type);
+        if (!handlers) return;
+        handlers.forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error handling cross-tab state change "${type}":`, error);
+            }
+        });
+    });
+    return stateChannel;
+}
+
+/**
+ * Waits until this tab becomes the polling leader for a bot, then calls `onLeader`.
+ * The lock is held until the tab closes. Without Web Locks support every tab polls, as before.
+ * @param {string|number} botId - The bot's ID (from getMe); each bot has its own leader.
+ * @param {function(): void} onLeader - Called once this tab is the leader.
+ */
+export function requestPollingLeadership(botId, onLeader) {
+    if (!navigator.locks) {
+        console.warn("Web Locks API not supported. This tab will poll without coordinating with other tabs.");
+        onLeader();
+        return;
+    }
+
+    console.log("Waiting for polling leadership...");
+    navigator.locks.request(`${POLLING_LOCK_PREFIX}${botId}`, () => {
+        console.log("This tab is now the polling leader.");
+        onLeader();
+        return new Promise(() => {}); // Never resolves: keep the lock for the lifetime of the tab
+    }).catch(error => {
+        console.error("Failed to acquire polling leadership lock. Polling anyway.", error);
+        onLeader();
+    });
+}
+
+/**
+ * Sends a state change over the channel.
+ * @param {string} type - The change type.
+ * @param {any} payload - Structured-cloneable data describing the change.
+ */
+function postStateChange(type, payload) {
+    const channel = getStateChannel();
+    if (!channel) return;
+    try {
+        channel.postMessage({ type, payload });
+    } catch (error) {
+        console.error(`Error broadcasting state change "${type}":`, error);
+    }
+}
+
+/**
+ * Announces a state change to the other open tabs. The sending tab does not receive it.
+ * It goes out after the changes announced before it, including those still waiting to be saved.
+ * @param {string} type - The change type (e.g. 'catalog-changed', 'notification').
+ * @param {any} payload - Structured-cloneable data describing the change.
+ */
+export function broadcastStateChange(type, payload = null) {
+    broadcastQueue = broadcastQueue.then(() => postStateChange(type, payload));
+}
+
+/**
+ * Announces a state change once `ready` resolves to true (e.g. once the data is saved), or drops it
+ * if it resolves to false. Changes announced meanwhile wait for it, so the other tabs see them in order.
+ * @param {Promise<boolean>} ready - Whether to send the change. Must not reject.
+ * @param {string} type - The change type.
+ * @param {any} payload - Structured-cloneable data describing the change.
+ */
+export function broadcastStateChangeWhen(ready, type, payload = null) {
+    broadcastQueue = broadcastQueue.then(() => ready).then(shouldSend => {
+        if (shouldSend) postStateChange(type, payload);
+    });
+}
+
+/**
+ * Registers a handler for state changes announced by other tabs.
+ * @param {string} type - The change type to listen for.
+ * @param {function(any): void} handler - Receives the change payload.
+ */
+export function onStateChange(type, handler) {
+    getStateChannel();
+    if (!stateListeners.has(type)) {
+        stateListeners.set(type, new Set());
+    }
+    stateListeners.get(type).add(handler);
+}
@@ -1,15 +1,24 @@
 // --- Telegram API Communication Module ---
 import { loadUserApiConfig } from './storage.js'; // Import function to load user config
+import { createMockTelegramBot, MOCK_API_BASE_URL } from './mock-telegram.js';
 
-// Default values (original hardcoded values)
-const DEFAULT_BOT_TOKEN = '8120603580:AAEu183hlL44clQUccBSgy7a64IaPDiyqR4';
+// Default values. There is no default bot token: it is entered in the first-run setup in Ajustes
+// and only available after settings have been unlocked in this browser session (see secure-config.js).
 const DEFAULT_CHAT_ID = '908553770';
+const DEFAULT_API_BASE_URL = 'https://api.telegram.org';
+const MOCK_BOT_TOKEN = 'mock-token'; // The mock bot accepts any token, so it works without setup
 
 // Effective configuration variables
 let effectiveBotToken;
 let effectiveMainChatId;
 let effectiveAuxChatId;
 let effectiveAuxBotToken; // New variable for auxiliary bot token
+let effectiveApiBaseUrl; // Telegram, a self-hosted Bot API server or the mock server
+
+// Transport used for every API request: window.fetch, or the in-browser mock bot's fetch replacement
+const fetchTransport = (url, options) => fetch(url, options);
+let transport = fetchTransport;
+let mockBot = null;
 
 // URLs that will be constructed dynamically (based on the primary bot token)
 let API_BASE_URL_DYNAMIC;
@@ -22,18 +31,36 @@ let FILE_BASE_URL_DYNAMIC;
 function initializeApiConfig() {
     const userConfig = loadUserApiConfig();
 
-    effectiveBotToken = userConfig.token || DEFAULT_BOT_TOKEN;
+    effectiveBotToken = userConfig.token || null;
     effectiveMainChatId = userConfig.chatId || DEFAULT_CHAT_ID;
     effectiveAuxChatId = userConfig.auxChatId || null;
     effectiveAuxBotToken = userConfig.auxBotToken || null; // Load auxiliary bot token
+    effectiveApiBaseUrl = (userConfig.apiBaseUrl || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+
+    if (effectiveApiBaseUrl === MOCK_API_BASE_URL) {
+        mockBot = createMockTelegramBot({ chatId: effectiveMainChatId });
+        transport = mockBot.createFetch(MOCK_API_BASE_URL);
+        mockBot.onMessageSent(message => console.log(`[Mock bot] message -> ${message.chat.id}:`, message.text ?? `[${message.document?.file_name}] ${message.caption || ''}`));
+        // Exposed for the developer console, e.g. mockTelegramBot.pushMessage({ text: '*AYUDA*' })
+        window.mockTelegramBot = mockBot;
+        effectiveBotToken = effectiveBotToken || MOCK_BOT_TOKEN;
+    } else {
+        mockBot = null;
+        transport = fetchTransport;
+    }
 
     // Construct URLs based on the *primary* effective token
-    API_BASE_URL_DYNAMIC = `https://api.telegram.org/bot${effectiveBotToken}`;
-    FILE_BASE_URL_DYNAMIC = `https://api.telegram.org/file/bot${effectiveBotToken}`;
+    API_BASE_URL_DYNAMIC = `${effectiveApiBaseUrl}/bot${effectiveBotToken}`;
+    FILE_BASE_URL_DYNAMIC = `${effectiveApiBaseUrl}/file/bot${effectiveBotToken}`;
 
     console.log("Telegram API Configuration Initialized:");
-    console.log(`Using Bot Token: ${effectiveBotToken === DEFAULT_BOT_TOKEN ? 'Default' : 'User-defined'}`);
+    console.log(`Using Bot Token: ${effectiveBotToken ? 'User-defined' : 'Not available (settings locked or not set up)'}`);
     console.log(`Using Main Chat ID: ${effectiveMainChatId === DEFAULT_CHAT_ID ? 'Default' : 'User-defined'}`);
+    if (mockBot) {
+        console.log("Using API Base URL: in-browser mock bot. Simulate incoming messages with mockTelegramBot.pushMessage({ text }).");
+    } else {
+        console.log(`Using API Base URL: ${effectiveApiBaseUrl}`);
+    }
     if (effectiveAuxChatId) {
         console.log(`Using Auxiliary Chat ID: ${effectiveAuxChatId} (User-defined)`);
     } else {
@@ -49,8 +76,17 @@ function initializeApiConfig() {
 // Initialize the configuration when the module loads
 initializeApiConfig();
 
-// Export the dynamically constructed FILE_BASE_URL (based on primary token)
-export const FILE_BASE_URL = FILE_BASE_URL_DYNAMIC;
+/**
+ * Re-reads the API configuration, e.g. after settings.js unlocks or saves the tokens.
+ * Only telegramApiRequest and the functions built on it see the new values; the exported
+ * constants keep the values from page load, so pages that use them should be reloaded.
+ */
+export function reloadApiConfig() {
+    initializeApiConfig();
+}
+
+// Whether a bot token is available; without one every request fails until settings are unlocked
+export const IS_API_CONFIGURED = Boolean(effectiveBotToken);
 
 // Export the effective main and auxiliary chat IDs
 export const MAIN_CHAT_ID = effectiveMainChatId;
@@ -65,15 +101,20 @@ export const AUX_BOT_TOKEN = effectiveAuxBotToken; // Export effectiveAuxBotToke
  * @param {boolean} isFormData - Whether the parameters are FormData (for file uploads).
  * @param {boolean} useAuxToken - If true, attempts to use the auxiliary bot token and chat ID.
  * @returns {Promise<any>} The 'result' part of the Telegram API response.
- * @throws {Error} If the request fails or the API returns an error.
+ * @throws {Error} If the request fails or the API returns an error. API and HTTP errors carry
+ *   `errorCode` (Telegram error_code or HTTP status) and, for rate limits, `retryAfter` (seconds).
  */
 export async function telegramApiRequest(method, params = {}, isFormData = false, useAuxToken = false) {
     let currentBotToken = effectiveBotToken;
     let baseUrl = API_BASE_URL_DYNAMIC; // Default to primary bot's API base URL
 
+    if (!effectiveBotToken) {
+        throw new Error(`Telegram API request (${method}) not sent: no bot token available. Set up or unlock the store in Ajustes.`);
+    }
+
     if (useAuxToken && effectiveAuxBotToken) {
         currentBotToken = effectiveAuxBotToken;
-        baseUrl = `https://api.telegram.org/bot${effectiveAuxBotToken}`;
+        baseUrl = `${effectiveApiBaseUrl}/bot${effectiveAuxBotToken}`;
         // console.log(`telegramApiRequest: Using AUX token for method ${method}`); // Keep for debugging if needed
     } else if (useAuxToken && !effectiveAuxBotToken) {
         console.warn(`telegramApiRequest: Attempted to use AUX token for method ${method}, but AUX token is not configured. Falling back to primary token.`);
@@ -93,7 +134,7 @@ export async function telegramApiRequest(method, params = {}, isFormData = false
     }
 
     try {
-        const response = await fetch(url, requestOptions);
+        const response = await transport(url, requestOptions);
         let responseData;
         const contentType = response.headers.get("content-type");
 
@@ -110,7 +151,9 @@ export async function telegramApiRequest(method, params = {}, isFormData = false
                 }
             } else {
                 console.error(`Telegram API Error (${method}) - Non-JSON response:`, textResponse.substring(0, 500));
-                throw new Error(`HTTP error! status: ${response.status}, message: ${textResponse || response.statusText}`);
+                const httpError = new Error(`HTTP error! status: ${response.status}, message: ${textResponse || response.statusText}`);
+                httpError.errorCode = response.status;
+                throw httpError;
             }
         }
 
@@ -118,7 +161,11 @@ export async function telegramApiRequest(method, params = {}, isFormData = false
             console.error(`Telegram API Error (${method}) - Response not OK:`, responseData);
             const description = responseData.description || 'Unknown API error';
             const errorCode = responseData.error_code ? ` (Code: ${responseData.error_code})` : '';
-            throw new Error(`Telegram API error: ${description}${errorCode}`);
+            const apiError = new Error(`Telegram API error: ${description}${errorCode}`);
+            // Exposed so callers can react to specific failures (401 bad token, 429 rate limit, ...)
+            apiError.errorCode = responseData.error_code ?? response.status;
+            apiError.retryAfter = responseData.parameters?.retry_after ?? null;
+            throw apiError;
         }
         return responseData.result;
 
@@ -131,6 +178,19 @@ export async function telegramApiRequest(method, params = {}, isFormData = false
     }
 }
 
+/**
+ * Builds the download URL of a file from the file_path returned by getFile (primary bot token).
+ * With the in-browser mock bot the file is returned as a data URL instead.
+ * @param {string} filePath - The file_path from getFile.
+ * @returns {string} The URL to download or display the file.
+ */
+export function getFileUrl(filePath) {
+    if (mockBot) {
+        return mockBot.getFileDataUrl(filePath) || '';
+    }
+    return `${FILE_BASE_URL_DYNAMIC}/${filePath}`;
+}
+
 /**
  * Specifically calls the getMe method using the primary bot token.
  * @returns {Promise<any>} Bot information object or throws on failure.
@@ -143,10 +203,11 @@ export async function getMeRequest() {
  * Sends a text message to the MAIN_CHAT_ID via Telegram using the primary bot token.
  * @param {string} text - The message text to send.
  * @param {string|null} parseMode - Optional parse mode ('MarkdownV2', 'HTML', 'Markdown').
+ * @param {object|null} replyMarkup - Optional reply_markup (e.g. an inline keyboard).
  * @returns {Promise<any>} The result of the sendMessage API call.
  * @throws {Error} If sending fails.
  */
-export async function sendTelegramMessage(text, parseMode = null) {
+export async function sendTelegramMessage(text, parseMode = null, replyMarkup = null) {
     console.log(`Sending message to Telegram chat ${MAIN_CHAT_ID}`);
     const params = {
         chat_id: MAIN_CHAT_ID,
@@ -155,6 +216,9 @@ export async function sendTelegramMessage(text, parseMode = null) {
     if (parseMode && ['MarkdownV2', 'HTML', 'Markdown'].includes(parseMode)) {
         params.parse_mode = parseMode;
     }
+    if (replyMarkup) {
+        params.reply_markup = replyMarkup;
+    }
     // This will use the primary token by default as useAuxToken is false
     const result = await telegramApiRequest('sendMessage', params, false, false);
     console.log("Telegram message sent successfully to MAIN_CHAT_ID.");
@@ -187,4 +251,94 @@ export async function sendTelegramMessageToAux(text, parseMode = null) {
     const result = await telegramApiRequest('sendMessage', params, false, true); // true for useAuxToken
     console.log("Telegram message sent successfully to AUX_CHAT_ID.");
     return result;
-}
\ No newline at end of file
+}
+
+/**
+ * Sends a file to the MAIN_CHAT_ID (primary bot token) or to the AUX_CHAT_ID (auxiliary bot token).
+ * @param {Blob} file - The file content.
+ * @param {string} fileName - The file name shown in the chat.
+ * @param {string|null} caption - Optional caption.
+ * @param {number|null} replyToMessageId - Optional message_id (in the same chat) the file answers.
+ * @param {boolean} toAux - If true, sends to the auxiliary chat with the auxiliary bot token.
+ * @returns {Promise<any>} The result of the sendDocument API call.
+ * @throws {Error} If sending fails or if the auxiliary chat is requested but not configured.
+ */
+export async function sendTelegramDocument(file, fileName, caption = null, replyToMessageId = null, toAux = false) {
+    if (toAux && (!effectiveAuxChatId || !effectiveAuxBotToken)) {
+        throw new Error("Cannot send to AUX chat: AUX_CHAT_ID or AUX_BOT_TOKEN not configured.");
+    }
+    const chatId = toAux ? effectiveAuxChatId : MAIN_CHAT_ID;
+    console.log(`Sending document ${fileName} to Telegram chat ${chatId}`);
+    const formData = new FormData();
+    formData.append('chat_id', chatId);
+    formData.append('document', file, fileName);
+    if (caption) {
+        formData.append('caption', caption);
+    }
+    if (replyToMessageId) {
+        formData.append('reply_parameters', JSON.stringify({ message_id: replyToMessageId, allow_sending_without_reply: true }));
+    }
+    return await telegramApiRequest('sendDocument', formData, true, toAux);
+}
+
+/**
+ * Sends a text message as a reply to a specific message, using the primary bot token.
+ * Used to answer admin commands in whichever allowed chat (main or auxiliary) they came from.
+ * @param {string|number} chatId - The chat the original message was posted in.
+ * @param {number} replyToMessageId - The message_id of the message being answered.
+ * @param {string} text - The reply text.
+ * @param {string|null} parseMode - Optional parse mode ('MarkdownV2', 'HTML', 'Markdown').
+ * @returns {Promise<any>} The result of the sendMessage API call.
+ * @throws {Error} If sending fails.
+ */
+export async function replyToTelegramMessage(chatId, replyToMessageId, text, parseMode = null) {
+    const params = {
+        chat_id: chatId,
+        text: text,
+        reply_parameters: {
+            message_id: replyToMessageId,
+            allow_sending_without_reply: true, // Still answer if the command was deleted meanwhile
+        },
+    };
+    if (parseMode && ['MarkdownV2', 'HTML', 'Markdown'].includes(parseMode)) {
+        params.parse_mode = parseMode;
+    }
+    return await telegramApiRequest('sendMessage', params, false, false);
+}
+
+/**
+ * Replaces the text of a message sent by the primary bot (e.g. to show an order's new status).
+ * @param {string|number} chatId - The chat of the message.
+ * @param {number} messageId - The message_id of the message.
+ * @param {string} text - The new text.
+ * @param {object|null} replyMarkup - The inline keyboard to keep; without it the keyboard is removed.
+ * @returns {Promise<any>} The result of the editMessageText API call.
+ * @throws {Error} If editing fails.
+ */
+export async function editTelegramMessageText(chatId, messageId, text, replyMarkup = null) {
+    const params = {
+        chat_id: chatId,
+        message_id: messageId,
+        text: text,
+    };
+    if (replyMarkup) {
+        params.reply_markup = replyMarkup;
+    }
+    return await telegramApiRequest('editMessageText', params, false, false);
+}
+
+/**
+ * Answers a press on an inline keyboard button, so Telegram stops showing it as loading.
+ * @param {string} callbackQueryId - The id of the callback_query.
+ * @param {string} text - Text shown to the person who pressed the button (up to 200 characters).
+ * @param {boolean} showAlert - If true, the text is shown as an alert instead of a short notice.
+ * @returns {Promise<any>} The result of the answerCallbackQuery API call.
+ * @throws {Error} If the answer fails (e.g. the query is too old).
+ */
+export async function answerCallbackQuery(callbackQueryId, text, showAlert = false) {
+    return await telegramApiRequest('answerCallbackQuery', {
+        callback_query_id: callbackQueryId,
+        text: text.substring(0, 200),
+        show_alert: showAlert,
+    }, false, false);
+}
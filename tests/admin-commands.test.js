@@ -0,0 +1,22 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { executeCommand } from '../command-registry.js';
+import { saveAdminUsers, savePendingCatalogImport, loadPendingCatalogImport } from '../storage.js';
+import '../admin-commands.js';
+
+saveAdminUsers([
+    { id: '1', name: 'Ana', roles: ['owner'] },
+    { id: '2', name: 'Luis', roles: ['catalog'] },
+]);
+
+test('a catalog import can only be applied by whoever sent the file', async () => {
+    await savePendingCatalogImport({ products: [], removeMissing: false, fileName: 'catalogo.csv', senderId: '2', createdAt: Date.now() });
+    const result = await executeCommand('*CATALOGO* *APLICAR*', { senderId: 1, senderName: 'Ana', message: {} });
+    assert.equal(result.ok, false);
+    assert.match(result.error, /^Solo quien envió catalogo\.csv puede aplicar la importación/);
+    assert.equal(loadPendingCatalogImport().fileName, 'catalogo.csv');
+
+    assert.equal((await executeCommand('*CATALOGO* *CANCELAR*', { senderId: 1, senderName: 'Ana', message: {} })).ok, true);
+    assert.equal(loadPendingCatalogImport(), null);
+});
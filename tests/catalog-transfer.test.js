@@ -0,0 +1,62 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCatalogFile, exportCatalogAsCsv, exportCatalogAsJson, diffCatalog } from '../catalog-transfer.js';
+
+const PRODUCTS = [
+    { id: '4', name: 'Galletas', description: 'De mantequilla, "caseras"', category: 'Galletas', priceCUP: 120, priceMLC: 1.5, imageUrl: null, stock: 10 },
+    { id: '7', name: 'Bombones', description: 'Línea 1\nLínea 2', category: null, priceCUP: null, priceMLC: 2, imageUrl: 'https://example.com/b.jpg', stock: null },
+];
+
+test('CSV files are read with quoted fields, line breaks and a BOM', () => {
+    const csv = '\uFEFFid,name,description,priceCUP\r\n4,Galletas,"De mantequilla, ""caseras""",120\r\n\r\n7,Bombones,"Línea 1\nLínea 2",80\r\n';
+    const { products, errors } = parseCatalogFile(csv);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(products.map(({ id, description, priceCUP }) => ({ id, description, priceCUP })), [
+        { id: '4', description: 'De mantequilla, "caseras"', priceCUP: 120 },
+        { id: '7', description: 'Línea 1\nLínea 2', priceCUP: 80 },
+    ]);
+});
+
+test('CSV files saved with ";" use comma decimals', () => {
+    const { products } = parseCatalogFile('ID;Name;PriceMLC;Stock\n04;Galletas;1,50;3\n');
+    assert.deepEqual(products, [{ id: '4', name: 'Galletas', description: undefined, category: undefined, priceCUP: null, priceMLC: 1.5, imageUrl: undefined, stock: 3 }]);
+});
+
+test('columns missing from the file leave those fields undefined, so they are kept', () => {
+    const [imported] = parseCatalogFile('id,name,priceCUP,priceMLC\n4,Galletas,150,"1,5"\n').products;
+    const diff = diffCatalog(PRODUCTS, [imported], false);
+    assert.deepEqual(diff.updated, [{ before: PRODUCTS[0], after: { ...PRODUCTS[0], priceCUP: 150 }, changedFields: ['priceCUP'] }]);
+    assert.deepEqual(diff.removed, []);
+    assert.deepEqual(diffCatalog(PRODUCTS, [imported], true).removed, [PRODUCTS[1]]);
+});
+
+test('JSON files are a list of products or an object with "products"', () => {
+    const list = parseCatalogFile(JSON.stringify([{ id: 4, name: 'Galletas', priceCUP: '120' }]));
+    assert.deepEqual(list.errors, []);
+    assert.equal(list.products[0].priceCUP, 120);
+    assert.deepEqual(parseCatalogFile(JSON.stringify({ products: [{ id: '7', name: 'Bombones', priceMLC: 2 }] })).products.map(({ id }) => id), ['7']);
+    assert.match(parseCatalogFile('{"productos": []}').errors[0], /No se pudo leer el archivo: el JSON debe ser una lista/);
+    assert.match(parseCatalogFile('[{"id": 4,').errors[0], /^No se pudo leer el archivo/);
+});
+
+test('one invalid row rejects the file and every error names its row', () => {
+    const csv = 'id,name,priceCUP,priceMLC,stock\n4,Galletas,120,,\nx,Sin ID,10,,\n5,Sin precio,,,\n4,Repetido,1,,\n6,Stock,1,,-2\n';
+    assert.deepEqual(parseCatalogFile(csv), {
+        products: [],
+        errors: [
+            'Fila 3: ID inválido "x" (debe ser un número entero positivo).',
+            'Fila 4: falta el precio (CUP o MLC).',
+            'Fila 5: ID 4 repetido.',
+            'Fila 6: stock inválido "-2".',
+        ],
+    });
+    assert.match(parseCatalogFile('nombre,precio\nGalletas,1\n').errors[0], /Faltan columnas en la cabecera del CSV: id, name/);
+    assert.deepEqual(parseCatalogFile('id,name\n').errors, ['El archivo no contiene productos.']);
+    assert.match(parseCatalogFile('id,name,priceCUP\n4,"Galletas,1\n').errors[0], /comillas sin cerrar/);
+});
+
+test('exported CSV and JSON files import back unchanged', () => {
+    assert.deepEqual(parseCatalogFile(exportCatalogAsCsv(PRODUCTS)), { products: PRODUCTS, errors: [] });
+    assert.deepEqual(parseCatalogFile(exportCatalogAsJson(PRODUCTS)), { products: PRODUCTS, errors: [] });
+});
@@ -0,0 +1,102 @@
+import './helpers/browser-env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerCommand, parseCommand, executeCommand, formatCommandSyntax, getRegisteredCommands } from '../command-registry.js';
+import { saveAdminUsers } from '../storage.js';
+
+const OWNER_ID = '1';
+const CATALOG_ADMIN_ID = '2';
+const STRANGER_ID = '3';
+
+registerCommand({
+    keyword: 'PRUEBA.CAMPOS',
+    roles: ['catalog'],
+    grammar: 'fields',
+    args: [{ name: 'id', pattern: /^\d+$/ }, { name: 'nombre' }, { name: 'nota', optional: true }],
+    handler: ({ id, nombre }) => `Producto ${id}: ${nombre}.`,
+});
+registerCommand({
+    keyword: 'PRUEBA.TEXTO',
+    roles: ['catalog'],
+    grammar: 'text',
+    args: [{ name: 'texto' }],
+    handler: ({ texto }) => texto,
+});
+registerCommand({
+    keyword: 'PRUEBA.PUBLICA',
+    public: true,
+    grammar: 'none',
+    handler: () => '',
+});
+registerCommand({
+    keyword: 'PRUEBA.FALLA',
+    roles: ['catalog'],
+    grammar: 'none',
+    handler: () => {
+        throw new Error('No se pudo aplicar.');
+    },
+});
+
+beforeEach(() => {
+    saveAdminUsers([
+        { id: OWNER_ID, name: 'Ana', roles: ['owner'] },
+        { id: CATALOG_ADMIN_ID, name: 'Luis', roles: ['catalog'] },
+    ]);
+});
+
+test('text without a registered keyword is chat, not a command', async () => {
+    assert.equal(parseCommand('*OFERTA* hoy todo a mitad de precio', OWNER_ID), null);
+    assert.equal(parseCommand('*prueba.publica*', OWNER_ID), null); // Lower-case bold text
+    assert.equal(parseCommand('Hola, ¿tienen galletas?', OWNER_ID), null);
+    assert.deepEqual(await executeCommand('*OFERTA* hoy', { senderId: OWNER_ID }), { handled: false });
+});
+
+test('fields grammar takes each argument between asterisks', () => {
+    assert.deepEqual(parseCommand('*PRUEBA.CAMPOS* *4* *Galletas de mantequilla*', OWNER_ID).args, { id: '4', nombre: 'Galletas de mantequilla' });
+    assert.deepEqual(parseCommand('  * PRUEBA.CAMPOS * *4* *Galletas* *Sin azúcar*  ', OWNER_ID).args, { id: '4', nombre: 'Galletas', nota: 'Sin azúcar' });
+});
+
+test('fields grammar rejects a wrong number of arguments and invalid values', () => {
+    assert.throws(() => parseCommand('*PRUEBA.CAMPOS* *4*', OWNER_ID), /Se esperaban 2-3 argumentos y se recibieron 1/);
+    assert.throws(() => parseCommand('*PRUEBA.CAMPOS* *1* *2* *3* *4*', OWNER_ID), /Se esperaban 2-3 argumentos y se recibieron 4/);
+    assert.throws(() => parseCommand('*PRUEBA.CAMPOS* *cuatro* *Galletas*', OWNER_ID), /Valor inválido para <id>: "cuatro"/);
+});
+
+test('text grammar takes the rest of the message', () => {
+    assert.deepEqual(parseCommand('*PRUEBA.TEXTO* Hola a *todos*', OWNER_ID).args, { texto: 'Hola a *todos*' });
+    assert.throws(() => parseCommand('*PRUEBA.TEXTO*', OWNER_ID), /Falta el argumento <texto>/);
+});
+
+test('commands without arguments reject any', () => {
+    assert.throws(() => parseCommand('*PRUEBA.PUBLICA* *sí*', STRANGER_ID), /no admite argumentos/);
+});
+
+test('only the owner and the listed roles may run a command', () => {
+    assert.ok(parseCommand('*PRUEBA.TEXTO* hola', OWNER_ID));
+    assert.ok(parseCommand('*PRUEBA.TEXTO* hola', CATALOG_ADMIN_ID));
+    assert.throws(() => parseCommand('*PRUEBA.TEXTO* hola', STRANGER_ID), /No tienes permiso para usar \*PRUEBA.TEXTO\*/);
+    assert.ok(parseCommand('*PRUEBA.PUBLICA*', STRANGER_ID));
+});
+
+test('admin commands are refused until an owner is configured', () => {
+    saveAdminUsers([{ id: CATALOG_ADMIN_ID, name: 'Luis', roles: ['catalog'] }]);
+    assert.throws(() => parseCommand('*PRUEBA.TEXTO* hola', CATALOG_ADMIN_ID), /Aún no hay ningún propietario/);
+    assert.ok(parseCommand('*PRUEBA.PUBLICA*', STRANGER_ID));
+});
+
+test('executeCommand reports the summary, or the error of any step', async () => {
+    assert.deepEqual(await executeCommand('*PRUEBA.CAMPOS* *4* *Galletas*', { senderId: CATALOG_ADMIN_ID }),
+        { handled: true, ok: true, keyword: 'PRUEBA.CAMPOS', summary: 'Producto 4: Galletas.' });
+    assert.deepEqual(await executeCommand('*PRUEBA.PUBLICA*', { senderId: STRANGER_ID }),
+        { handled: true, ok: true, keyword: 'PRUEBA.PUBLICA', summary: 'Comando *PRUEBA.PUBLICA* aplicado.' });
+    assert.deepEqual(await executeCommand('*PRUEBA.FALLA*', { senderId: OWNER_ID }),
+        { handled: true, ok: false, keyword: 'PRUEBA.FALLA', error: 'No se pudo aplicar.' });
+    const denied = await executeCommand('*PRUEBA.CAMPOS* *4* *Galletas*', { senderId: STRANGER_ID });
+    assert.equal(denied.ok, false);
+    assert.equal(denied.keyword, 'PRUEBA.CAMPOS');
+});
+
+test('the syntax reference is built from the arguments', () => {
+    const command = getRegisteredCommands().find(({ keyword }) => keyword === 'PRUEBA.CAMPOS');
+    assert.equal(formatCommandSyntax(command), '*PRUEBA.CAMPOS* *<id>* *<nombre>* [*<nota>*]');
+});
@@ -0,0 +1,40 @@
+import './helpers/browser-env.js';
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBackoffDelay, recordPollFailure, recordPollSuccess, getConnectionState, CONNECTION_STATES } from '../connection-state.js';
+
+afterEach(() => {
+    mock.restoreAll();
+    navigator.onLine = true;
+    recordPollSuccess(); // Resets the failure count
+});
+
+test('the backoff doubles from one second up to a minute, half of it random', () => {
+    mock.method(Math, 'random', () => 0);
+    assert.deepEqual([1, 2, 3, 4].map(getBackoffDelay), [500, 1000, 2000, 4000]);
+    assert.equal(getBackoffDelay(20), 30000);
+    Math.random.mock.mockImplementation(() => 1);
+    assert.deepEqual([1, 2, 3, 4].map(getBackoffDelay), [1000, 2000, 4000, 8000]);
+    assert.equal(getBackoffDelay(20), 60000);
+});
+
+test('failed polls back off further with each failure until one succeeds', () => {
+    mock.method(Math, 'random', () => 1);
+    assert.deepEqual(recordPollFailure(new Error('timeout')), { state: CONNECTION_STATES.DEGRADED, delay: 1000 });
+    assert.deepEqual(recordPollFailure(new Error('timeout')), { state: CONNECTION_STATES.DEGRADED, delay: 2000 });
+    recordPollSuccess();
+    assert.equal(getConnectionState(), CONNECTION_STATES.ONLINE);
+    assert.equal(recordPollFailure(new Error('timeout')).delay, 1000);
+});
+
+test('Telegram rate limits are waited out for the time it asks', () => {
+    const error = Object.assign(new Error('Too Many Requests'), { errorCode: 429, retryAfter: 7 });
+    assert.deepEqual(recordPollFailure(error), { state: CONNECTION_STATES.RATE_LIMITED, delay: 7000 });
+});
+
+test('polling stops for a rejected token or while offline', () => {
+    const error = Object.assign(new Error('Unauthorized'), { errorCode: 401 });
+    assert.deepEqual(recordPollFailure(error), { state: CONNECTION_STATES.AUTH_FAILED, delay: null });
+    navigator.onLine = false;
+    assert.deepEqual(recordPollFailure(new Error('Failed to fetch')), { state: CONNECTION_STATES.OFFLINE, delay: null });
+});
@@ -0,0 +1,43 @@
+// --- Browser Environment for Tests ---
+// The store's modules are written for the browser. This installs the few globals they touch
+// when imported under Node, so their logic can be tested without a DOM: storage that lives in
+// memory, a document whose elements are never found, and an online navigator. There is no
+// IndexedDB, so the repository saves to that localStorage (see repository.js).
+// Import it before any module of the store.
+
+/**
+ * Creates an in-memory Web Storage (localStorage/sessionStorage).
+ * @returns {Storage} The storage.
+ */
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear(),
+        key: index => Array.from(items.keys())[index] ?? null,
+        get length() {
+            return items.size;
+        },
+    };
+}
+
+globalThis.window = globalThis;
+globalThis.localStorage = createMemoryStorage();
+globalThis.sessionStorage = createMemoryStorage();
+globalThis.document = {
+    readyState: 'complete',
+    visibilityState: 'visible',
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    createElement: () => ({ style: {}, classList: { add() {}, remove() {}, toggle() {} }, appendChild() {}, addEventListener() {} }),
+    addEventListener() {},
+};
+globalThis.addEventListener = () => {};
+globalThis.alert = () => {};
+// Node 21+ has its own navigator, without onLine
+Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, configurable: true, writable: true });
+// BroadcastChannel would keep the test process alive; tabs are not tested
+globalThis.BroadcastChannel = undefined;
@@ -0,0 +1,86 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateOrderId, buildOrderPayload, buildOrderKeyboard, isOrderButtonData, saveOrder, loadOrder, loadOrders, updateOrderStatus,
+    ORDER_PAYLOAD_SCHEMA, ORDER_PAYLOAD_SCHEMA_VERSION, ORDER_STATUS_WORDS,
+} from '../orders.js';
+
+const ORDER = {
+    id: '261018-K7QZ4',
+    createdAt: Date.UTC(2026, 9, 18, 15, 30),
+    currency: 'CUP',
+    items: [
+        { id: '4', name: 'Galletas', quantity: 2, unitPrice: 120, total: 240, imageUrl: 'media:abc' },
+        { id: '7', name: 'Bombones', quantity: 1, unitPrice: 80.5, total: 80.5 },
+    ],
+    total: 320.5,
+    deliveryDate: '2026-10-20',
+    customer: { firstName: 'Ana', lastName: 'Pérez', mobile: '55512345' },
+    status: 'sent',
+};
+
+test('order IDs are the date and five unambiguous characters', () => {
+    assert.match(generateOrderId(new Date(2026, 9, 18)), /^261018-[A-HJ-NP-Z2-9]{5}$/);
+    assert.match(generateOrderId(new Date(2027, 0, 5)), /^270105-[A-HJ-NP-Z2-9]{5}$/);
+    const ids = new Set(Array.from({ length: 50 }, () => generateOrderId()));
+    assert.ok(ids.size > 45, 'IDs are random');
+});
+
+test('the order payload follows the published schema', () => {
+    assert.deepEqual(buildOrderPayload(ORDER, 3), {
+        schema: ORDER_PAYLOAD_SCHEMA,
+        schemaVersion: ORDER_PAYLOAD_SCHEMA_VERSION,
+        orderId: '261018-K7QZ4',
+        createdAt: '2026-10-18T15:30:00.000Z',
+        deliveryDate: '2026-10-20',
+        currency: 'CUP',
+        customer: { firstName: 'Ana', lastName: 'Pérez', mobile: '55512345', orderCount: 3 },
+        items: [
+            { id: '4', name: 'Galletas', quantity: 2, unitPrice: 120, total: 240 },
+            { id: '7', name: 'Bombones', quantity: 1, unitPrice: 80.5, total: 80.5 },
+        ],
+        total: 320.5,
+    });
+    assert.equal(ORDER_PAYLOAD_SCHEMA, 'tienda-dulceria.pedido');
+    assert.equal(ORDER_PAYLOAD_SCHEMA_VERSION, 1);
+});
+
+test('each staff button sends a *PEDIDO* command that fits in Telegram callback data', () => {
+    const buttons = buildOrderKeyboard(ORDER.id).inline_keyboard.flat();
+    assert.ok(buttons.length > 0);
+    buttons.forEach(({ callback_data: data }) => {
+        const [, orderId, word] = data.match(/^\*PEDIDO\* \*(\S+)\* \*(\S+)\*$/);
+        assert.equal(orderId, ORDER.id);
+        assert.ok(ORDER_STATUS_WORDS[word], `${word} is a status word`);
+        assert.ok(Buffer.byteLength(data) <= 64);
+    });
+});
+
+test('saved orders can be loaded back by their ID', async () => {
+    assert.equal(await saveOrder(ORDER), true);
+    assert.deepEqual(loadOrder(ORDER.id), { ...ORDER, statusUpdatedAt: ORDER.createdAt });
+    assert.deepEqual(loadOrders().map(({ id }) => id), [ORDER.id]);
+    assert.equal(loadOrder('261018-ZZZZZ'), null);
+});
+
+test('only a status change for the order in the message is accepted from a button', () => {
+    const messageText = `📦 NUEVO PEDIDO ${ORDER.id} (#3) 📦\nCliente: Ana, pedido anterior 261001-ABCDE`;
+    buildOrderKeyboard(ORDER.id).inline_keyboard.flat().forEach(({ callback_data: data }) => {
+        assert.equal(isOrderButtonData(data, messageText), true);
+    });
+    assert.equal(isOrderButtonData('*PEDIDO* *261001-ABCDE* *CANCELADO*', messageText), false); // Another order
+    assert.equal(isOrderButtonData(`*PEDIDO* *${ORDER.id}* *constructor*`, messageText), false);
+    assert.equal(isOrderButtonData('*ELIMINAR.PRODUCTO* *4*', messageText), false);
+    assert.equal(isOrderButtonData(`*PEDIDO* *${ORDER.id}* *LISTO*`, 'Hola'), false);
+});
+
+test('the status of a stored order can be changed', async () => {
+    assert.equal(await saveOrder(ORDER), true);
+    const updatedOrder = await updateOrderStatus(ORDER.id.toLowerCase(), 'ready', 1234);
+    assert.equal(updatedOrder.status, 'ready');
+    assert.equal(loadOrder(ORDER.id).status, 'ready');
+    assert.equal(loadOrder(ORDER.id).statusUpdatedAt, 1234);
+    assert.equal(await updateOrderStatus('261018-ZZZZZ', 'ready'), null);
+    await assert.rejects(updateOrderStatus(ORDER.id, 'lost'), /Unknown order status/);
+});
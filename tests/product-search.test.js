@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSearchWords, buildSearchEntry, matchSearchEntry } from '../product-search.js';
+
+const entry = buildSearchEntry({ name: 'Chupetás de fresa', description: 'Ácidas y dulces' });
+
+/**
+ * Searches the test product.
+ * @param {string} query - The text typed by the customer.
+ * @returns {object|null} The ranges to highlight, or null if the product doesn't match.
+ */
+function search(query) {
+    return matchSearchEntry(entry, getSearchWords(query));
+}
+
+test('queries are split into lower-case words without accents', () => {
+    assert.deepEqual(getSearchWords('  Chupetá, de-FRESA! '), ['chupeta', 'de', 'fresa']);
+    assert.deepEqual(getSearchWords(''), []);
+});
+
+test('words match as prefixes, ignoring case and accents', () => {
+    assert.deepEqual(search('chupe'), { name: [{ start: 0, end: 5 }], description: [] });
+    assert.deepEqual(search('CHUPETAS'), { name: [{ start: 0, end: 8 }], description: [] });
+    assert.deepEqual(search('acidas'), { name: [], description: [{ start: 0, end: 6 }] });
+});
+
+test('every query word has to match the name or the description', () => {
+    assert.deepEqual(search('chup dulce'), { name: [{ start: 0, end: 4 }], description: [{ start: 9, end: 14 }] });
+    assert.equal(search('chupeta limon'), null);
+});
+
+test('longer words tolerate typos, short ones must be exact prefixes', () => {
+    assert.deepEqual(search('fersa').name, [{ start: 12, end: 17 }]); // One swap
+    assert.deepEqual(search('chpuetsa').name, [{ start: 0, end: 8 }]); // Two typos in a long word
+    assert.equal(search('frs'), null);
+    assert.equal(search('limon'), null);
+});
+
+test('highlights point at the original text when accents are separate characters', () => {
+    const decomposed = buildSearchEntry({ name: 'Bombo\u0301n relleno', description: '' });
+    assert.deepEqual(matchSearchEntry(decomposed, getSearchWords('bombon')).name, [{ start: 0, end: 7 }]);
+    assert.deepEqual(matchSearchEntry(decomposed, getSearchWords('rell')).name, [{ start: 8, end: 12 }]);
+});
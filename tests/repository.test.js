@@ -0,0 +1,40 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Saved by an older version, before the repository is loaded
+localStorage.setItem('shoppingCartItems', JSON.stringify([{ id: '4', quantity: 2 }]));
+localStorage.setItem('selectedCurrency', 'MLC');
+const { STORES, getRecord, putRecord, deleteRecord, runBatch } = await import('../repository.js');
+
+test('without IndexedDB, data of older versions is loaded and moved to the repository keys', () => {
+    assert.deepEqual(getRecord(STORES.CART, 'items'), [{ id: '4', quantity: 2 }]);
+    assert.equal(getRecord(STORES.SETTINGS, 'selectedCurrency'), 'MLC');
+    assert.equal(localStorage.getItem('shoppingCartItems'), null);
+    assert.equal(localStorage.getItem('tiendaDatos:settings/selectedCurrency'), '"MLC"');
+});
+
+test('without IndexedDB, changes are saved in localStorage', async () => {
+    assert.equal(await putRecord(STORES.PRODUCTS, 4, { name: 'Galletas' }), true);
+    assert.equal(localStorage.getItem('tiendaDatos:products/4'), '{"name":"Galletas"}');
+    assert.equal(await deleteRecord(STORES.CART, 'items'), true);
+    assert.equal(localStorage.getItem('tiendaDatos:cart/items'), null);
+});
+
+test('a batch that does not fit in localStorage is not saved at all', async () => {
+    const setItem = localStorage.setItem;
+    localStorage.setItem = (key, value) => {
+        if (key.endsWith('/big')) throw new Error('QuotaExceededError');
+        setItem(key, value);
+    };
+    try {
+        await assert.rejects(runBatch(() => {
+            putRecord(STORES.SETTINGS, 'small', 1);
+            putRecord(STORES.SETTINGS, 'big', 'x'.repeat(100));
+        }), /QuotaExceededError/);
+    } finally {
+        localStorage.setItem = setItem;
+    }
+    assert.equal(getRecord(STORES.SETTINGS, 'small'), null);
+    assert.equal(localStorage.getItem('tiendaDatos:settings/small'), null);
+});
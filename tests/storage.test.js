@@ -0,0 +1,20 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadUpdateOffset, saveUpdateOffset, claimUpdate, releaseUpdate } from '../storage.js';
+
+const BOT_ID = 42;
+
+test('the update offset only moves forward', () => {
+    assert.equal(loadUpdateOffset(BOT_ID), 0);
+    saveUpdateOffset(BOT_ID, 10);
+    saveUpdateOffset(BOT_ID, 7); // An older batch handled late by another tab
+    assert.equal(loadUpdateOffset(BOT_ID), 10);
+});
+
+test('an update is claimed once, and can be claimed again after its handling failed', () => {
+    assert.equal(claimUpdate(BOT_ID, 11), true);
+    assert.equal(claimUpdate(BOT_ID, 11), false);
+    releaseUpdate(BOT_ID, 11);
+    assert.equal(claimUpdate(BOT_ID, 11), true);
+});
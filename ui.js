@@ -1,14 +1,21 @@
 // --- UI Update Functions ---
-import { saveChatHistory } from './storage.js';
+import { STORES, getRecord, getRecordKeys, putRecord, deleteRecord } from './repository.js';
+import { saveChatHistory, loadProductOrder, saveProductOrder, loadProductStorageVersion, saveProductStorageVersion } from './storage.js';
 import { addToCart } from './cart.js';
 // Import the function to send Telegram messages
 import { sendTelegramMessage, sendTelegramMessageToAux, AUX_CHAT_ID, AUX_BOT_TOKEN } from './telegram-api.js';
+import { buildSearchEntry, getSearchWords, matchSearchEntry } from './product-search.js';
+import { resolveMediaUrl, isMediaReference, cacheMediaFromUrl, pruneMediaCache } from './media-cache.js';
 
 // DOM Elements Caching (improves performance slightly if elements exist)
 const tickerElement = document.getElementById('top-panel-ticker');
 const tickerContentElement = tickerElement?.querySelector('.ticker-content');
 const productGrid = document.querySelector('.product-grid'); // Cache grid reference
 const currencyToggle = document.getElementById('currency-toggle'); // Cache currency switch
+const categoryFilterElement = document.getElementById('category-filter'); // Category chip bar (storefront only)
+const productSearchInput = document.getElementById('product-search'); // Search box (storefront only)
+const searchEmptyStateElement = document.getElementById('search-empty-state');
+const productSortSelect = document.getElementById('product-sort'); // Sort control (storefront only)
 
 // State variables for notifications
 let notificationContainer = null;
@@ -23,10 +30,24 @@ let rouletteResultOkButton = null;
 let lightbox = null;
 let lightboxImage = null;
 let lightboxCloseButton = null;
+let lightboxPrevButton = null;
+let lightboxNextButton = null;
+let lightboxCounter = null;
+let lightboxImages = []; // Image URLs of the product shown in the gallery
+let lightboxIndex = 0;
+let lightboxAlt = '';
+let lightboxTouchStart = null; // { x, y } where the current swipe started
 
 // Roulette Game Constants
 const ROULETTE_SPIN_DURATION = 3000; // ms for spinning animation
 const ROULETTE_WIN_PROBABILITY = 0.15; // 15% chance to win
+const PRODUCT_STORAGE_VERSION = 2; // 2: stable product IDs with a separate display order
+const MAX_QUANTITY_PER_ITEM = 99; // Quantity input limit for products without stock tracking
+const LOW_STOCK_THRESHOLD = 5; // "Quedan N" is shown at or below this stock
+const MAX_CATEGORY_LENGTH = 30;
+const CATALOG_CHANGE_FIELDS = ['name', 'description', 'priceCUP', 'priceMLC', 'imageUrl', 'category']; // Changes that set updatedAt
+const LIGHTBOX_SWIPE_THRESHOLD_PX = 50; // Shorter horizontal swipes don't change the photo
+const TELEGRAM_FILE_URL_PATTERN = /\/file\/bot[^/]+\/(.+)$/; // Photo links saved before the media cache (contain the bot token)
 
 // --- Notification Functions ---
 /**
@@ -449,13 +470,16 @@ export function setSelectedCurrency(currency) {
     if (currency !== currentCurrency) {
         console.log(`Switching currency to ${currency}`)
         currentCurrency = currency;
-        localStorage.setItem(CURRENCY_STORAGE_KEY, currency);
+        putRecord(STORES.SETTINGS, CURRENCY_STORAGE_KEY, currency);
 
         if (currencyToggle) {
             currencyToggle.checked = (currency === 'MLC');
         }
 
         updateAllProductPriceDisplays();
+        if (currentSortOption === 'price-asc' || currentSortOption === 'price-desc') {
+            sortProductCards(); // Products without a price in the new currency move to the end
+        }
 
         // If cart modal is open, re-render it to show correct prices
         if (typeof window.renderCartItemsIfVisible === 'function') {
@@ -473,10 +497,10 @@ export function getSelectedCurrency() {
 }
 
 /**
- * Initializes the currency switch state from localStorage and adds listener.
+ * Initializes the currency switch state from the saved setting and adds listener.
  */
 export function initializeCurrencySwitch() {
-    const savedCurrency = localStorage.getItem(CURRENCY_STORAGE_KEY);
+    const savedCurrency = getRecord(STORES.SETTINGS, CURRENCY_STORAGE_KEY);
     if (savedCurrency === 'MLC') {
         currentCurrency = 'MLC';
         if (currencyToggle) currencyToggle.checked = true;
@@ -505,7 +529,7 @@ function updateAllProductPriceDisplays() {
 
     productCards.forEach(card => {
         const productId = card.dataset.productId;
-        const productData = loadProductData(productId); // Load data from localStorage
+        const productData = loadProductData(productId); // Load saved product data
         const priceElement = card.querySelector('.product-price');
 
         if (productData && priceElement) {
@@ -552,6 +576,218 @@ export function handleCurrencyChange(newCurrency) {
     }
 }
 
+// --- Category Filter ---
+const CATEGORY_STORAGE_KEY = 'selectedCategory';
+let selectedCategory = getRecord(STORES.SETTINGS, CATEGORY_STORAGE_KEY); // null shows every category
+let activeCategory = null; // Category actually filtered (the selected one, if it still has products)
+
+/**
+ * Normalizes a product category: trims it and collapses inner whitespace.
+ * @param {any} category - The raw category.
+ * @returns {string|null} The category, or null if empty.
+ * @throws {Error} If the category is too long.
+ */
+export function normalizeProductCategory(category) {
+    const normalized = String(category ?? '').trim().replace(/\s+/g, ' ');
+    if (normalized.length > MAX_CATEGORY_LENGTH) {
+        throw new Error(`La categoría "${normalized}" es demasiado larga (máximo ${MAX_CATEGORY_LENGTH} caracteres).`);
+    }
+    return normalized || null;
+}
+
+/**
+ * Selects a category of the filter bar and remembers it for the next visit.
+ * @param {string|null} category - The category, or null for all products.
+ */
+function selectCategory(category) {
+    selectedCategory = category;
+    if (category === null) {
+        deleteRecord(STORES.SETTINGS, CATEGORY_STORAGE_KEY);
+    } else {
+        putRecord(STORES.SETTINGS, CATEGORY_STORAGE_KEY, category);
+    }
+    renderCategoryFilter();
+}
+
+/**
+ * Rebuilds the category chip bar from the categories of the cards in the grid and shows
+ * only the cards of the selected category. The bar is hidden when no product has a category.
+ * A remembered category with no products left falls back to all products (without forgetting it).
+ */
+export function renderCategoryFilter() {
+    if (!categoryFilterElement || !productGrid) return;
+
+    const cards = Array.from(productGrid.querySelectorAll('.product-card'));
+    const categories = [...new Set(cards.map(card => card.dataset.category).filter(Boolean))]
+        .sort((a, b) => a.localeCompare(b, 'es', { sensitivity: 'base' }));
+    activeCategory = categories.includes(selectedCategory) ? selectedCategory : null;
+
+    categoryFilterElement.innerHTML = '';
+    categoryFilterElement.hidden = categories.length === 0;
+    [null, ...categories].forEach(category => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'category-chip';
+        chip.textContent = category ?? 'Todos';
+        chip.setAttribute('aria-pressed', String(category === activeCategory));
+        chip.addEventListener('click', () => selectCategory(category));
+        categoryFilterElement.appendChild(chip);
+    });
+
+    cards.forEach(card => {
+        card.classList.toggle('category-hidden', activeCategory !== null && card.dataset.category !== activeCategory);
+    });
+    updateSearchEmptyState();
+}
+
+// --- Product Search ---
+const searchIndex = new Map(); // Product ID -> search entry, built from the data the cards are rendered from
+let searchWords = []; // Normalized words of the current query
+
+/**
+ * Replaces the text of an element, wrapping the given ranges in <mark>.
+ * @param {HTMLElement} element - The element (product name or description).
+ * @param {string} text - The original text.
+ * @param {Array<{start: number, end: number}>} ranges - Sorted, non-overlapping ranges to highlight.
+ */
+function setHighlightedText(element, text, ranges) {
+    if (ranges.length === 0) {
+        element.textContent = text;
+        return;
+    }
+    element.textContent = '';
+    let lastEnd = 0;
+    ranges.forEach(({ start, end }) => {
+        if (start > lastEnd) element.appendChild(document.createTextNode(text.substring(lastEnd, start)));
+        const mark = document.createElement('mark');
+        mark.className = 'search-highlight';
+        mark.textContent = text.substring(start, end);
+        element.appendChild(mark);
+        lastEnd = end;
+    });
+    if (lastEnd < text.length) element.appendChild(document.createTextNode(text.substring(lastEnd)));
+}
+
+/**
+ * Shows or hides a product card for the current search and highlights the matched words.
+ * @param {HTMLElement} card - The product card.
+ */
+function applySearchToCard(card) {
+    const entry = searchIndex.get(card.dataset.productId);
+    if (!entry) return;
+    const match = searchWords.length > 0 ? matchSearchEntry(entry, searchWords) : { name: [], description: [] };
+
+    card.classList.toggle('search-hidden', match === null);
+    const nameElement = card.querySelector('h3');
+    const descriptionElement = card.querySelector('p');
+    if (nameElement) setHighlightedText(nameElement, entry.name.text, match?.name ?? []);
+    if (descriptionElement) setHighlightedText(descriptionElement, entry.description.text, match?.description ?? []);
+}
+
+/**
+ * Shows the "no results" message when a search leaves no card visible.
+ */
+function updateSearchEmptyState() {
+    if (!searchEmptyStateElement || !productGrid) return;
+    const query = productSearchInput?.value.trim() ?? '';
+    const hasVisibleCards = productGrid.querySelector('.product-card:not(.search-hidden):not(.category-hidden)') !== null;
+    searchEmptyStateElement.hidden = searchWords.length === 0 || hasVisibleCards;
+    if (!searchEmptyStateElement.hidden) {
+        searchEmptyStateElement.textContent = activeCategory
+            ? `No encontramos productos que coincidan con "${query}" en ${activeCategory}.`
+            : `No encontramos productos que coincidan con "${query}".`;
+    }
+}
+
+/**
+ * Filters the product cards by the text of the search box.
+ * @param {string} query - The text typed by the customer.
+ */
+function searchProducts(query) {
+    searchWords = getSearchWords(query);
+    productGrid?.querySelectorAll('.product-card').forEach(applySearchToCard);
+    updateSearchEmptyState();
+}
+
+/**
+ * Sets up the product search box: filters as the customer types, Escape clears it.
+ */
+export function initializeProductSearch() {
+    if (!productSearchInput) return;
+    productSearchInput.addEventListener('input', () => searchProducts(productSearchInput.value));
+    productSearchInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && productSearchInput.value) {
+            productSearchInput.value = '';
+            searchProducts('');
+        }
+    });
+    if (productSearchInput.value) {
+        searchProducts(productSearchInput.value); // The browser may restore the text on back navigation
+    }
+}
+
+// --- Product Sorting ---
+const SORT_STORAGE_KEY = 'productSortOrder';
+/** Sort options of the grid. 'default' is the display order set with the *ORDEN* command. */
+const SORT_OPTIONS = ['default', 'price-asc', 'price-desc', 'name', 'recent'];
+let currentSortOption = SORT_OPTIONS.includes(getRecord(STORES.SETTINGS, SORT_STORAGE_KEY)) ? getRecord(STORES.SETTINGS, SORT_STORAGE_KEY) : 'default';
+
+/**
+ * Compares two products for the current sort option. Ties keep the display order.
+ * @param {{data: object|null, position: number}} a - First product (saved data and display position).
+ * @param {{data: object|null, position: number}} b - Second product.
+ * @returns {number} Negative if a goes first.
+ */
+function compareProductsForSort(a, b) {
+    if (currentSortOption === 'price-asc' || currentSortOption === 'price-desc') {
+        const priceField = currentCurrency === 'MLC' ? 'priceMLC' : 'priceCUP';
+        const priceA = a.data?.[priceField] ?? null;
+        const priceB = b.data?.[priceField] ?? null;
+        // Products without a price in the selected currency always go last
+        if (priceA === null || priceB === null) {
+            if (priceA !== priceB) return priceA === null ? 1 : -1;
+        } else if (priceA !== priceB) {
+            return currentSortOption === 'price-asc' ? priceA - priceB : priceB - priceA;
+        }
+    } else if (currentSortOption === 'name') {
+        const byName = (a.data?.name ?? '').localeCompare(b.data?.name ?? '', 'es', { sensitivity: 'base', numeric: true });
+        if (byName !== 0) return byName;
+    } else if (currentSortOption === 'recent') {
+        const byDate = (b.data?.updatedAt ?? 0) - (a.data?.updatedAt ?? 0);
+        if (byDate !== 0) return byDate;
+    }
+    return a.position - b.position;
+}
+
+/**
+ * Reorders the cards of the grid for the current sort option. The cards are moved, not
+ * rebuilt, so typed quantities, the search and the category filter are kept.
+ */
+function sortProductCards() {
+    if (!productGrid) return;
+    const order = getProductOrder();
+    const cards = Array.from(productGrid.querySelectorAll('.product-card')).map(card => {
+        const position = order.indexOf(card.dataset.productId);
+        return { card, data: loadProductData(card.dataset.productId), position: position === -1 ? Infinity : position };
+    });
+    cards.sort(compareProductsForSort).forEach(({ card }) => productGrid.appendChild(card));
+}
+
+/**
+ * Sets up the sort control with the remembered option and re-sorts the grid when it changes.
+ */
+export function initializeProductSort() {
+    if (!productSortSelect) return;
+    productSortSelect.value = currentSortOption;
+    productSortSelect.addEventListener('change', () => {
+        currentSortOption = SORT_OPTIONS.includes(productSortSelect.value) ? productSortSelect.value : 'default';
+        putRecord(STORES.SETTINGS, SORT_STORAGE_KEY, currentSortOption);
+        console.log(`Sorting products by ${currentSortOption}`);
+        sortProductCards();
+    });
+    sortProductCards(); // The grid may have been sorted before the saved currency was restored
+}
+
 /**
  * Generates a consistent ID for quantity inputs based on product ID.
  * @param {string|number} productId
@@ -582,12 +818,16 @@ function parsePrice(priceString) {
  * @param {number|string|null} priceCUP - Price in CUP.
  * @param {number|string|null} priceMLC - Price in MLC.
  * @param {string|null} imageUrl - Image URL or null.
+ * @param {number|null} stock - Units in stock, or null if stock is not tracked.
+ * @param {string|null} category - Product category, or null.
+ * @param {number} imageCount - Number of photos of the product (the card shows the first one).
  * @returns {HTMLElement} The created product card element.
  */
-function createProductCardElement(productId, name = "Producto Nuevo", description = "Descripción no disponible.", priceCUP = null, priceMLC = null, imageUrl = null) {
+function createProductCardElement(productId, name = "Producto Nuevo", description = "Descripción no disponible.", priceCUP = null, priceMLC = null, imageUrl = null, stock = null, category = null, imageCount = 1) {
     const card = document.createElement('div');
     card.className = 'product-card';
     card.dataset.productId = productId;
+    if (category) card.dataset.category = category;
 
     const imageContainer = document.createElement('div');
     imageContainer.className = 'product-image-container';
@@ -605,6 +845,9 @@ function createProductCardElement(productId, name = "Producto Nuevo", descriptio
     const displayCurrency = getSelectedCurrency();
     priceElement.textContent = formatPriceForDisplay(displayPrice, displayCurrency);
 
+    const stockElement = document.createElement('span');
+    stockElement.className = 'product-stock';
+
     const actions = document.createElement('div');
     actions.className = 'product-actions';
 
@@ -620,7 +863,7 @@ function createProductCardElement(productId, name = "Producto Nuevo", descriptio
     qtyInput.name = qtyId;
     qtyInput.value = '1';
     qtyInput.min = '1';
-    qtyInput.max = '99'; // Standard max quantity
+    qtyInput.max = String(MAX_QUANTITY_PER_ITEM);
     qtyInput.className = 'quantity-input';
     qtyInput.setAttribute('aria-label', `Cantidad de ${name}`);
     qtyInput.setAttribute('inputmode', 'numeric'); // Hint for numeric keyboard
@@ -666,7 +909,9 @@ function createProductCardElement(productId, name = "Producto Nuevo", descriptio
         const numericPriceToAdd = parseFloat(String(priceToAdd).replace(',', '.')) || 0; // Ensure numeric price
         console.log(`Adding to cart: ID=${currentProductId}, Name=${currentName}, Price=${numericPriceToAdd} (${selectedCurrency}), Qty=${currentQuantity}`);
 
-        addToCart(currentProductId, currentName, numericPriceToAdd, currentQuantity);
+        if (!addToCart(currentProductId, currentName, numericPriceToAdd, currentQuantity)) {
+            return; // addToCart already told the user why
+        }
 
         // Feedback to user
         button.textContent = 'Añadido!';
@@ -675,10 +920,9 @@ function createProductCardElement(productId, name = "Producto Nuevo", descriptio
 
         // Reset button after a delay
         setTimeout(() => {
-            button.textContent = 'Comprar';
-            button.disabled = false;
             if (currentQtyInput) currentQtyInput.value = '1'; // Reset quantity input
             cardElement.classList.remove('added-to-cart-feedback'); // Remove visual feedback
+            applyStockState(cardElement, loadProductData(currentProductId)?.stock ?? null);
         }, 1500);
     });
 
@@ -690,27 +934,61 @@ function createProductCardElement(productId, name = "Producto Nuevo", descriptio
     card.appendChild(nameElement);
     card.appendChild(descriptionElement);
     card.appendChild(priceElement);
+    card.appendChild(stockElement);
     card.appendChild(actions);
 
     // Set the initial image or placeholder
-    updateImageContainer(imageContainer, name, imageUrl, productId);
+    updateImageContainer(imageContainer, name, imageUrl, productId, imageCount);
+    applyStockState(card, stock);
 
     return card;
 }
 
+/**
+ * Shows the stock of a product card: sold-out cards get a disabled buy button, and the
+ * quantity input never allows more units than are left.
+ * @param {HTMLElement} card - The product card.
+ * @param {number|null} stock - Units in stock, or null if stock is not tracked.
+ */
+function applyStockState(card, stock) {
+    const isSoldOut = stock === 0;
+    const stockElement = card.querySelector('.product-stock');
+    const quantityInput = card.querySelector('.quantity-input');
+    const buyButton = card.querySelector('.buy-button');
+
+    card.classList.toggle('sold-out', isSoldOut);
+    if (stockElement) {
+        if (isSoldOut) {
+            stockElement.textContent = 'Agotado';
+        } else if (stock !== null && stock <= LOW_STOCK_THRESHOLD) {
+            stockElement.textContent = `¡Quedan ${stock}!`;
+        } else {
+            stockElement.textContent = '';
+        }
+    }
+    if (quantityInput) {
+        quantityInput.max = String(stock === null ? MAX_QUANTITY_PER_ITEM : Math.max(1, Math.min(stock, MAX_QUANTITY_PER_ITEM)));
+        quantityInput.disabled = isSoldOut;
+    }
+    if (buyButton) {
+        buyButton.disabled = isSoldOut;
+        buyButton.textContent = isSoldOut ? 'Agotado' : 'Comprar';
+    }
+}
+
 /**
  * Helper function to update the image container content (image or placeholder).
  * @param {HTMLElement} imageContainer - The container element.
  * @param {string} name - Product name (for alt text).
  * @param {string|null} imageUrl - Image URL.
  * @param {string} productId - Product ID (for logging).
+ * @param {number} imageCount - Number of photos of the product; more than one shows a badge.
  */
-function updateImageContainer(imageContainer, name, imageUrl, productId) {
+function updateImageContainer(imageContainer, name, imageUrl, productId, imageCount = 1) {
     imageContainer.innerHTML = ''; // Clear previous content
 
     if (imageUrl) {
         const img = document.createElement('img');
-        img.src = imageUrl;
         img.alt = name; // Use product name as alt text
         img.loading = 'lazy'; // Lazy load images
         img.onerror = () => {
@@ -722,7 +1000,23 @@ function updateImageContainer(imageContainer, name, imageUrl, productId) {
             placeholder.setAttribute('aria-label', 'Error al cargar imagen');
             imageContainer.appendChild(placeholder);
         };
+        // Cached photos ("media:" references) are loaded from the media cache
+        resolveMediaUrl(imageUrl).then(src => {
+            if (img.parentNode !== imageContainer) return; // The card was re-rendered meanwhile
+            if (src) {
+                img.src = src;
+            } else {
+                img.onerror();
+            }
+        });
         imageContainer.appendChild(img);
+        if (imageCount > 1) {
+            const badge = document.createElement('span');
+            badge.className = 'product-image-count';
+            badge.textContent = `📷 ${imageCount}`;
+            badge.setAttribute('aria-label', `${imageCount} fotos`);
+            imageContainer.appendChild(badge);
+        }
     } else {
         // Use placeholder if no image URL provided
         const placeholder = document.createElement('div');
@@ -743,16 +1037,16 @@ function updateImageContainer(imageContainer, name, imageUrl, productId) {
 }
 
 /**
- * Adds a message to the chat history array and saves it to localStorage.
+ * Adds a message to the chat history array and saves it.
  * (No visual/DOM manipulation occurs here).
  * @param {string} text - The message text content.
  * @param {string} type - 'sent', 'received', 'system', 'error'.
  * @param {string} sender - The name of the sender.
  * @param {number} timestamp - Unix timestamp of the message.
  * @param {string|null} imageUrl - URL of an image attachment, or null.
- * @param {boolean} save - Whether to save the message to chatHistory and localStorage.
+ * @param {boolean} save - Whether to add the message to chatHistory and save it.
  * @param {Array} chatHistory - The current chat history array (passed from script.js).
- * @param {string} storageKey - The localStorage key (passed from script.js).
+ * @param {string} storageKey - The chat history key (passed from script.js).
  */
 export function addMessageToChat(text, type, sender, timestamp, imageUrl = null, save = true, chatHistory, storageKey) {
     // Only save non-system/error messages if 'save' is true and valid history/key provided
@@ -785,35 +1079,42 @@ export function addMessageToChat(text, type, sender, timestamp, imageUrl = null,
 }
 
 /**
- * Clears the chat history from localStorage.
- * @param {string} storageKey - The localStorage key for the chat history.
+ * Clears the saved chat history.
+ * @param {string} storageKey - The chat history key.
  * @param {function} logCallback - Function to log system messages (e.g., console.log).
  * @returns {Array} An empty array, signifying the cleared history state.
  */
 export function clearChat(storageKey, logCallback) {
     console.log("Clearing chat history from storage...");
-    try {
-        localStorage.removeItem(storageKey);
-        if (logCallback) {
-            logCallback("Historial de chat eliminado.", 'system', 'Sistema');
-        }
-    } catch (error) {
-         console.error("Error removing chat history from localStorage:", error);
-         if (logCallback) {
-            logCallback(`Error al eliminar el historial: ${error.message}`, 'error', 'Sistema');
-         }
+    deleteRecord(STORES.CHAT_HISTORY, storageKey);
+    if (logCallback) {
+        logCallback("Historial de chat eliminado.", 'system', 'Sistema');
     }
     // Return an empty array to replace the existing chatHistory variable in the calling script
     return [];
 }
 
+/**
+ * Status text and indicator class for each connection state (see connection-state.js).
+ * `connected`/`disconnected` keep the original green/red indicator styles.
+ */
+const CONNECTION_STATUS_DISPLAY = {
+    'connecting': { text: () => 'Conectando...', indicatorClass: 'connecting' },
+    'online': { text: () => 'Conectado', indicatorClass: 'connected' },
+    'degraded': { text: (detail) => detail?.retryIn ? `Inestable (reintento en ${detail.retryIn} s)` : 'Conexión inestable', indicatorClass: 'degraded' },
+    'rate-limited': { text: (detail) => detail?.retryAfter ? `En pausa (${detail.retryAfter} s)` : 'En pausa', indicatorClass: 'rate-limited' },
+    'offline': { text: () => 'Sin conexión', indicatorClass: 'disconnected' },
+    'auth-failed': { text: () => 'Token inválido', indicatorClass: 'auth-failed' },
+    'locked': { text: (detail) => detail?.setupRequired ? 'Sin configurar' : 'Bloqueado', indicatorClass: 'disconnected' },
+};
+
 /**
  * Updates the connection status indicator(s) on the page.
  * Uses class selectors to update potentially multiple status displays.
- * @param {boolean} isConnected - Whether the connection is active.
- * @param {object | null} botInfo - Information about the bot (result from getMe), currently unused visually.
+ * @param {string} state - Connection state: 'connecting', 'online', 'degraded', 'rate-limited', 'offline', 'auth-failed' or 'locked'.
+ * @param {object | null} detail - Extra data for the text (e.g. { retryAfter } or { retryIn } in seconds, { setupRequired } when locked).
  */
-export function updateConnectionStatus(isConnected, botInfo = null) {
+export function updateConnectionStatus(state, detail = null) {
     const statusDisplays = document.querySelectorAll('.connection-status-display');
     // Silently return if no status displays found
     if (!statusDisplays || statusDisplays.length === 0) {
@@ -821,19 +1122,23 @@ export function updateConnectionStatus(isConnected, botInfo = null) {
         return; // Exit if no elements to update
     }
 
+    const display = CONNECTION_STATUS_DISPLAY[state] || CONNECTION_STATUS_DISPLAY['offline'];
+    const allIndicatorClasses = Object.values(CONNECTION_STATUS_DISPLAY).map(entry => entry.indicatorClass);
+
     // Use requestAnimationFrame for smoother DOM updates
     requestAnimationFrame(() => {
-        statusDisplays.forEach(display => {
-            const indicator = display.querySelector('.status-indicator');
-            const textElement = display.querySelector('.status-text');
+        statusDisplays.forEach(statusDisplay => {
+            const indicator = statusDisplay.querySelector('.status-indicator');
+            const textElement = statusDisplay.querySelector('.status-text');
             // Skip if inner elements are missing for this display
             if (!indicator || !textElement) return; // Continue to next display
 
-            // Toggle classes based on connection state
-            indicator.classList.toggle('connected', isConnected);
-            indicator.classList.toggle('disconnected', !isConnected);
+            // Swap the indicator class for the new state
+            indicator.classList.remove(...allIndicatorClasses);
+            indicator.classList.add(display.indicatorClass);
+            statusDisplay.dataset.connectionState = state;
             // Update text content
-            textElement.textContent = isConnected ? 'Conectado' : 'Desconectado';
+            textElement.textContent = display.text(detail);
         });
     });
 }
@@ -870,11 +1175,14 @@ export function updateTickerDisplay(text) {
 
 /**
  * Updates a specific product card in the DOM, creating it if it doesn't exist.
- * Inserts new cards in the correct numerical order based on their ID.
+ * Inserts new cards at their place in the display order (at the end for products not in it yet).
  * @param {string} productId - The ID of the product card (e.g., "1").
- * @param {object} productData - Object containing { name, description, priceCUP, priceMLC, imageUrl }.
+ * @param {object} productData - Object containing { name, description, priceCUP, priceMLC, imageUrl, imageUrls, stock, category }.
+ * @param {{batch: boolean}} options - batch: the caller adds the cards in display order and then
+ *   sorts the grid and rebuilds the category chips once (see loadAllProductData), so new cards are
+ *   appended and the grid isn't re-sorted for each one.
  */
-export function updateProductCard(productId, productData) {
+export function updateProductCard(productId, productData, { batch = false } = {}) {
     const productGrid = document.querySelector('.product-grid');
     if (!productGrid) {
         console.error("Product grid container not found.");
@@ -882,30 +1190,32 @@ export function updateProductCard(productId, productData) {
     }
 
     let productCard = productGrid.querySelector(`.product-card[data-product-id="${productId}"]`);
-    const newProductIdInt = parseInt(productId, 10); // Ensure ID is numeric for comparison
-    const { name, description, priceCUP, priceMLC, imageUrl } = productData; // Destructure data
+    const { name, description, priceCUP, priceMLC, imageUrl, stock = null, category = null } = productData; // Destructure data
+    const imageCount = getProductImageUrls(productData).length;
+    searchIndex.set(String(productId), buildSearchEntry({ name, description }));
 
     if (!productCard) {
         // Product card doesn't exist, create and insert it in the correct order
         console.log(`Product card with ID ${productId} not found. Creating and inserting card.`);
-        productCard = createProductCardElement(productId, name, description, priceCUP, priceMLC, imageUrl);
-
-        let inserted = false;
-        const existingCards = productGrid.querySelectorAll('.product-card');
-        // Iterate through existing cards to find the correct insertion point
-        for (const existingCard of existingCards) {
-            const existingCardIdInt = parseInt(existingCard.dataset.productId, 10);
-            if (newProductIdInt < existingCardIdInt) {
-                productGrid.insertBefore(productCard, existingCard); // Insert before the first card with a larger ID
-                inserted = true;
-                break;
-            }
-        }
-        // If not inserted (meaning it's the largest ID or grid was empty), append it
-        if (!inserted) {
+        productCard = createProductCardElement(productId, name, description, priceCUP, priceMLC, imageUrl, stock, category, imageCount);
+
+        const order = batch ? [] : getProductOrder();
+        const getPosition = id => (order.includes(id) ? order.indexOf(id) : Infinity);
+        const newPosition = getPosition(String(productId));
+        // Insert before the first card that comes later in the display order
+        const nextCard = batch ? null : Array.from(productGrid.querySelectorAll('.product-card'))
+            .find(existingCard => getPosition(existingCard.dataset.productId) > newPosition);
+        if (nextCard) {
+            productGrid.insertBefore(productCard, nextCard);
+        } else {
             productGrid.appendChild(productCard);
         }
         console.log(`Created and inserted/appended product card ${productId}: ${name}`);
+        applySearchToCard(productCard);
+        if (!batch) {
+            if (currentSortOption !== 'default') sortProductCards();
+            renderCategoryFilter();
+        }
         return; // Card created, no need to update further
     }
 
@@ -916,7 +1226,6 @@ export function updateProductCard(productId, productData) {
     const imageContainer = productCard.querySelector('.product-image-container');
     const quantityInput = productCard.querySelector('.quantity-input');
     const quantityLabel = productCard.querySelector('label.visually-hidden'); // Get the hidden label
-    const buyButton = productCard.querySelector('.buy-button'); // Needed for potentially re-enabling
 
     // Update text content and attributes
     if (nameElement) nameElement.textContent = name;
@@ -940,24 +1249,64 @@ export function updateProductCard(productId, productData) {
 
     // Update image (using helper function)
     if (imageContainer) {
-        updateImageContainer(imageContainer, name, imageUrl, productId);
+        updateImageContainer(imageContainer, name, imageUrl, productId, imageCount);
     }
 
-    // Ensure buy button is enabled if it was previously disabled by add-to-cart feedback
-    if (buyButton) {
-         buyButton.disabled = false;
-         buyButton.textContent = 'Comprar';
+    // Re-enables the buy button if it was disabled by add-to-cart feedback, unless the product is sold out
+    applyStockState(productCard, stock);
+
+    if (category) {
+        productCard.dataset.category = category;
+    } else {
+        delete productCard.dataset.category;
+    }
+    applySearchToCard(productCard);
+    if (!batch) {
+        if (currentSortOption !== 'default') sortProductCards(); // The price or name may have changed
+        renderCategoryFilter();
     }
 
     console.log(`Updated product card ${productId}: ${name}`);
 }
 
 /**
- * Saves product data to localStorage using a specific key format.
+ * Gets every photo of a product. Products saved before albums were supported only have `imageUrl`.
+ * @param {object|null} data - The product data.
+ * @returns {Array<string>} The image URLs, the one shown on the card first.
+ */
+export function getProductImageUrls(data) {
+    if (Array.isArray(data?.imageUrls)) {
+        return data.imageUrls.filter(url => typeof url === 'string' && url);
+    }
+    return data?.imageUrl ? [data.imageUrl] : [];
+}
+
+/**
+ * Decides the photo list to save for a product.
+ * @param {object} data - The data being saved.
+ * @param {object|null} previousData - The saved data, if any.
+ * @returns {Array<string>} The image URLs.
+ */
+function getImageUrlList(data, previousData) {
+    if (Array.isArray(data.imageUrls)) {
+        return getProductImageUrls(data);
+    }
+    if (previousData && (data.imageUrl ?? null) === (previousData.imageUrl ?? null)) {
+        return getProductImageUrls(previousData); // Same cover photo: keep the rest of the album
+    }
+    return data.imageUrl ? [data.imageUrl] : [];
+}
+
+/**
+ * Saves product data (see repository.js). The data can be read back at once; it is written to IndexedDB in the background.
+ * New products are added at the end of the display order. `updatedAt` is set when anything but the stock changes.
  * @param {string} productId
- * @param {object} data - { name, description, priceCUP, priceMLC, imageUrl }
+ * @param {object} data - { name, description, priceCUP, priceMLC, imageUrl, imageUrls, stock, category } (stock null = not tracked).
+ *   `imageUrls` lists every photo of the product; without it, `imageUrl` replaces the photos (or keeps them if unchanged).
+ * @param {{keepUpdatedAt?: boolean}} options - `keepUpdatedAt` for maintenance rewrites that the customer shouldn't see as news.
+ * @returns {boolean} True if the data was saved (false on invalid data, which is logged; write errors are logged by the repository).
  */
-export function saveProductData(productId, data) {
+export function saveProductData(productId, data, { keepUpdatedAt = false } = {}) {
     try {
         // Basic validation: Ensure ID and data are valid before saving
         if (!productId || typeof data !== 'object' || data === null || typeof data.name === 'undefined') {
@@ -968,234 +1317,289 @@ export function saveProductData(productId, data) {
             ...data,
             priceCUP: (typeof data.priceCUP === 'number' && !isNaN(data.priceCUP)) ? data.priceCUP : null,
             priceMLC: (typeof data.priceMLC === 'number' && !isNaN(data.priceMLC)) ? data.priceMLC : null,
+            stock: (Number.isInteger(data.stock) && data.stock >= 0) ? data.stock : null,
+            category: typeof data.category === 'string' ? normalizeProductCategory(data.category) : null,
         };
-        localStorage.setItem(`product_data_${productId}`, JSON.stringify(dataToSave));
+        const previousData = loadProductData(productId);
+        dataToSave.imageUrls = getImageUrlList(data, previousData);
+        dataToSave.imageUrl = dataToSave.imageUrls[0] ?? null;
+        // Only catalog changes count as an update (not stock changes from sales)
+        const isCatalogChange = !previousData
+            || CATALOG_CHANGE_FIELDS.some(field => (previousData[field] ?? null) !== (dataToSave[field] ?? null))
+            || JSON.stringify(getProductImageUrls(previousData)) !== JSON.stringify(dataToSave.imageUrls);
+        dataToSave.updatedAt = isCatalogChange && !(keepUpdatedAt && previousData) ? Date.now() : (previousData.updatedAt ?? null);
+        migrateProductStorage(); // Record the existing order before adding to it
+        putRecord(STORES.PRODUCTS, productId, dataToSave);
+        const order = loadProductOrder() || [];
+        if (!order.includes(String(productId))) {
+            saveProductOrder([...order, String(productId)]);
+        }
+        return true;
     } catch (error) {
         console.error(`Error saving product data for ID ${productId}:`, error, data);
+        return false;
     }
 }
 
 /**
- * Loads product data from localStorage.
+ * Loads product data.
  * @param {string} productId
- * @returns {object|null} The loaded product data or null if not found/error.
+ * @returns {object|null} The loaded product data or null if not found/invalid.
  */
 export function loadProductData(productId) {
-    try {
-        const data = localStorage.getItem(`product_data_${productId}`);
-        return data ? JSON.parse(data) : null;
-    } catch (error) {
-        console.error(`Error loading product data for ID ${productId}:`, error);
-        localStorage.removeItem(`product_data_${productId}`); 
+    if (productId === undefined || productId === null) return null;
+    const data = getRecord(STORES.PRODUCTS, productId);
+    if (data !== null && typeof data !== 'object') {
+        console.error(`Invalid product data for ID ${productId}. Removing it.`, data);
+        deleteRecord(STORES.PRODUCTS, productId);
         return null;
     }
+    return data;
 }
 
 /**
- * Loads data for ALL products found in localStorage and populates the grid.
- * Creates or updates cards as needed. Ensures correct order by clearing and rebuilding.
+ * Lists the IDs of every saved product.
+ * @returns {Array<string>} The product IDs, sorted numerically.
  */
-export function loadAllProductData() {
-    const productGrid = document.querySelector('.product-grid');
-    if (!productGrid) {
-        console.error("Product grid not found during loadAllProductData.");
-        return;
-    }
+function getStoredProductIds() {
+    const productIds = getRecordKeys(STORES.PRODUCTS).filter(productId => {
+        if (/^\d+$/.test(productId)) return true;
+        console.warn(`Ignoring invalid product ID in storage: ${productId}`);
+        return false;
+    });
+    return productIds.sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+}
 
-    console.log("Loading all product data from localStorage...");
-    let productDataMap = new Map(); 
-
-    for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key && key.startsWith('product_data_')) {
-            const productId = key.replace('product_data_', '');
-            if (/^\d+$/.test(productId)) {
-                const savedData = loadProductData(productId);
-                if (savedData) {
-                    productDataMap.set(productId, {
-                        name: savedData.name ?? "Nombre Perdido",
-                        description: savedData.description ?? "Descripción Perdida",
-                        priceCUP: savedData.priceCUP ?? null, 
-                        priceMLC: savedData.priceMLC ?? null, 
-                        imageUrl: savedData.imageUrl ?? null,
-                    });
-                } else {
-                    console.warn(`Data found for key ${key}, but failed to parse or load.`);
-                }
-            } else {
-                console.warn(`Ignoring invalid product key in localStorage: ${key}`);
-            }
-        }
+/**
+ * Gets the display order of the products. Product IDs are stable: deleting or moving a
+ * product never changes the ID of another one, only this order. The ID is the product's SKU,
+ * chosen by the admin in *DULCES*, and carts, orders and the catalog service key items by it.
+ * Repairs the saved order if it lists deleted products or misses some (appended by ID).
+ * @returns {Array<string>} The IDs of every saved product, in display order.
+ */
+export function getProductOrder() {
+    migrateProductStorage();
+    const storedIds = getStoredProductIds();
+    const savedOrder = loadProductOrder() || [];
+    const order = savedOrder.filter((productId, index) => storedIds.includes(productId) && savedOrder.indexOf(productId) === index);
+    storedIds.forEach(productId => {
+        if (!order.includes(productId)) order.push(productId);
+    });
+
+    if (order.length !== savedOrder.length || order.some((productId, index) => productId !== savedOrder[index])) {
+        saveProductOrder(order);
     }
+    return order;
+}
 
-    const sortedProductIds = Array.from(productDataMap.keys()).sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+/**
+ * Moves a product to another position of the display order. Its ID doesn't change.
+ * @param {string} productId - The ID of the product to move.
+ * @param {number} position - The new position, starting at 1 (clamped to the number of products).
+ * @returns {number} The position the product ended up in.
+ * @throws {Error} If the product doesn't exist.
+ */
+export function moveProduct(productId, position) {
+    const order = getProductOrder();
+    const currentIndex = order.indexOf(String(productId));
+    if (currentIndex === -1) {
+        throw new Error(`No existe ningún producto con ID ${productId}.`);
+    }
 
-    productGrid.innerHTML = '';
-    console.log("Cleared existing product grid content before reloading.");
+    const newIndex = Math.min(Math.max(position, 1), order.length) - 1;
+    order.splice(currentIndex, 1);
+    order.splice(newIndex, 0, String(productId));
+    saveProductOrder(order);
 
-    if (sortedProductIds.length > 0) {
-        sortedProductIds.forEach(productId => {
-            const productData = productDataMap.get(productId);
-            updateProductCard(productId, productData);
-        });
-        console.log(`Loaded and displayed ${sortedProductIds.length} products in order.`);
-    } else {
-        console.log("No valid product data found in localStorage. Grid is empty.");
+    // Move the card without rebuilding the grid, so quantities typed in other cards are kept
+    const productGrid = document.querySelector('.product-grid');
+    const productCard = productGrid?.querySelector(`.product-card[data-product-id="${productId}"]`);
+    if (productCard) {
+        const nextCard = productGrid.querySelector(`.product-card[data-product-id="${order[newIndex + 1]}"]`);
+        productGrid.insertBefore(productCard, nextCard);
+        if (currentSortOption !== 'default') sortProductCards(); // Keep showing the selected sort
     }
+    console.log(`Moved product ${productId} to position ${newIndex + 1}.`);
+    return newIndex + 1;
+}
 
-    renumberProducts(); 
+/**
+ * Migrates products saved by older versions of the store. Version 1 renumbered every product
+ * after a deletion, so IDs were positions: the order is recorded as it is now and, from then on,
+ * IDs are never rewritten. Product data, and the cart items pointing to it, keep their IDs.
+ */
+export function migrateProductStorage() {
+    const version = loadProductStorageVersion();
+    if (version >= PRODUCT_STORAGE_VERSION) return;
+
+    if (!loadProductOrder()) {
+        const productIds = getStoredProductIds();
+        saveProductOrder(productIds);
+        console.log(`Migrated ${productIds.length} products to stable IDs.`);
+    }
+    saveProductStorageVersion(PRODUCT_STORAGE_VERSION);
 }
 
 /**
- * Deletes a product card from the DOM and its data from localStorage.
- * Triggers renumbering of remaining products.
- * @param {string} productIdToDelete - The ID of the product to delete.
+ * Loads data for ALL saved products and populates the grid.
+ * Rebuilds the grid in display order (see getProductOrder).
  */
-export function deleteProduct(productIdToDelete) {
+export function loadAllProductData() {
     const productGrid = document.querySelector('.product-grid');
     if (!productGrid) {
-        console.error("Product grid container not found for deletion.");
+        console.error("Product grid not found during loadAllProductData.");
         return;
     }
 
-    const productCard = productGrid.querySelector(`.product-card[data-product-id="${productIdToDelete}"]`);
+    console.log("Loading all product data...");
+    const productOrder = getProductOrder();
 
-    if (productCard) {
-        productCard.remove();
-        console.log(`Removed product card with ID ${productIdToDelete} from DOM.`);
+    productGrid.innerHTML = '';
+    searchIndex.clear();
+    console.log("Cleared existing product grid content before reloading.");
 
-        const storageKey = `product_data_${productIdToDelete}`;
-        try {
-            localStorage.removeItem(storageKey);
-            console.log(`Removed product data for ID ${productIdToDelete} from localStorage.`);
-        } catch (error) {
-            console.error(`Error removing product data for ID ${productIdToDelete} from localStorage:`, error);
+    let loadedCount = 0;
+    productOrder.forEach(productId => {
+        const savedData = loadProductData(productId);
+        if (!savedData) {
+            console.warn(`Data found for product ${productId}, but failed to parse or load.`);
+            return;
         }
+        updateProductCard(productId, {
+            name: savedData.name ?? "Nombre Perdido",
+            description: savedData.description ?? "Descripción Perdida",
+            priceCUP: savedData.priceCUP ?? null,
+            priceMLC: savedData.priceMLC ?? null,
+            imageUrl: savedData.imageUrl ?? null,
+            imageUrls: getProductImageUrls(savedData),
+            stock: savedData.stock ?? null,
+            category: savedData.category ?? null,
+        }, { batch: true });
+        loadedCount++;
+    });
 
-        renumberProducts();
-
+    if (loadedCount > 0) {
+        console.log(`Loaded and displayed ${loadedCount} products in order.`);
     } else {
-        console.warn(`Product card with ID ${productIdToDelete} not found in the DOM to delete.`);
-        const storageKey = `product_data_${productIdToDelete}`;
-        try {
-            if (localStorage.getItem(storageKey)) {
-                localStorage.removeItem(storageKey);
-                console.log(`Removed potentially orphaned product data for ID ${productIdToDelete} from localStorage.`);
-                renumberProducts();
-            }
-        } catch (error) {
-            console.error(`Error removing potentially orphaned product data for ID ${productIdToDelete} from localStorage:`, error);
-        }
+        console.log("No valid product data found. Grid is empty.");
     }
+    if (currentSortOption !== 'default') sortProductCards();
+    renderCategoryFilter();
 }
 
 /**
- * Renumbers all product cards sequentially starting from 1.
- * Updates data-product-id, internal elements (labels, inputs), and localStorage keys.
+ * Gets the units in stock of a product.
+ * @param {string} productId - The product ID.
+ * @returns {number|null} The units left, or null if the product doesn't track stock (or doesn't exist).
  */
-function renumberProducts() {
-    console.log("Starting product renumbering process check...");
-    const productGrid = document.querySelector('.product-grid');
-    if (!productGrid) {
-        console.error("Product grid not found for renumbering.");
-        return;
-    }
-
-    const currentCards = Array.from(productGrid.querySelectorAll('.product-card'));
+export function getProductStock(productId) {
+    return loadProductData(productId)?.stock ?? null;
+}
 
-    if (currentCards.length === 0) {
-        console.log("No products to renumber.");
-        return;
+/**
+ * Sets the units in stock of a product and updates its card.
+ * @param {string} productId - The product ID.
+ * @param {number|null} stock - The units in stock, or null to stop tracking stock.
+ * @throws {Error} If the product doesn't exist or cannot be saved.
+ */
+export function setProductStock(productId, stock) {
+    const productData = loadProductData(productId);
+    if (!productData) {
+        throw new Error(`No existe ningún producto con ID ${productId}.`);
+    }
+    if (!saveProductData(productId, { ...productData, stock })) {
+        throw new Error(`No se pudo guardar el stock del producto ID ${productId}.`);
     }
+    if (document.querySelector(`.product-card[data-product-id="${productId}"]`)) {
+        updateProductCard(productId, { ...productData, stock });
+    }
+}
 
-    let needsRenumbering = false;
-    const updates = []; 
-
-    currentCards.forEach((card, index) => {
-        const oldId = card.dataset.productId;
-        const newId = (index + 1).toString();
-
-        if (oldId !== newId) {
-            needsRenumbering = true; 
-            console.log(`Renumbering required: Product at index ${index} has ID ${oldId}, should be ${newId}`);
-
-            const oldData = loadProductData(oldId);
-            if (!oldData) {
-                console.warn(`No data found in localStorage for old product ID ${oldId}. Cannot migrate data.`);
-                const nameEl = card.querySelector('h3');
-                const descEl = card.querySelector('p');
-                const imgEl = card.querySelector('.product-image-container img');
-                updates.push({
-                    oldId,
-                    newId,
-                    oldData: { 
-                        name: nameEl ? nameEl.textContent : "Nombre Desconocido",
-                        description: descEl ? descEl.textContent : "Descripción Desconocida",
-                        priceCUP: null,
-                        priceMLC: null,
-                        imageUrl: imgEl ? imgEl.src : null
-                    }
-                });
-            } else {
-                updates.push({ oldId, newId, oldData });
-            }
+/**
+ * Subtracts sold units from the stock of the products that track it (never below 0).
+ * @param {Array<{id: string, quantity: number}>} items - The sold items (e.g. the cart items).
+ */
+export function decreaseProductStock(items) {
+    items.forEach(({ id, quantity }) => {
+        const stock = getProductStock(id);
+        if (stock === null) return;
+        try {
+            setProductStock(id, Math.max(0, stock - quantity));
+        } catch (error) {
+            console.error(`Error updating the stock of product ${id}:`, error);
+        }
+    });
+}
 
-            card.dataset.productId = newId; 
+/**
+ * Deletes a product card from the DOM, its saved data and its place in the display order.
+ * The other products keep their IDs.
+ * @param {string} productIdToDelete - The ID of the product to delete.
+ */
+export function deleteProduct(productIdToDelete) {
+    const productGrid = document.querySelector('.product-grid');
+    const productCard = productGrid?.querySelector(`.product-card[data-product-id="${productIdToDelete}"]`);
 
-            const quantityInput = card.querySelector('.quantity-input');
-            const quantityLabel = card.querySelector('label.visually-hidden');
-            const nameElement = card.querySelector('h3');
-            const productName = nameElement ? nameElement.textContent : 'Producto';
+    if (productCard) {
+        productCard.remove();
+        searchIndex.delete(String(productIdToDelete));
+        console.log(`Removed product card with ID ${productIdToDelete} from DOM.`);
+        renderCategoryFilter();
+    }
 
-            if (quantityInput) {
-                const newQtyId = getQuantityInputId(newId);
-                quantityInput.id = newQtyId;
-                quantityInput.name = newQtyId;
-                quantityInput.setAttribute('aria-label', `Cantidad de ${productName}`);
-            }
-            if (quantityLabel) {
-                quantityLabel.htmlFor = getQuantityInputId(newId);
-            }
-        } else {
-        }
-    });
+    deleteRecord(STORES.PRODUCTS, productIdToDelete);
+    console.log(`Removed product data for ID ${productIdToDelete}.`);
 
-    if (needsRenumbering) {
-        console.log("Phase 2: Updating localStorage entries because renumbering is needed...");
-        const keysToRemove = new Set();
-        const itemsToSave = new Map();
+    const order = loadProductOrder();
+    if (order && order.includes(String(productIdToDelete))) {
+        saveProductOrder(order.filter(productId => productId !== String(productIdToDelete)));
+    }
+}
 
-        updates.forEach(({ oldId, newId, oldData }) => {
-            keysToRemove.add(`product_data_${oldId}`);
-            if (oldData) {
-                itemsToSave.set(`product_data_${newId}`, JSON.stringify(oldData));
-            } else {
-                keysToRemove.add(`product_data_${newId}`);
+/**
+ * Keeps the product photos in the media cache (see media-cache.js): copies photos still saved as
+ * Telegram file URLs into the cache (possible only while the bot token they contain still works)
+ * and deletes cached photos no product uses anymore.
+ * @returns {Promise<Array<string>>} The IDs of the products whose photos were moved to the cache.
+ */
+export async function maintainProductImageCache() {
+    const updatedProductIds = [];
+    for (const productId of getProductOrder()) {
+        const imageUrls = getProductImageUrls(loadProductData(productId));
+        if (!imageUrls.some(url => TELEGRAM_FILE_URL_PATTERN.test(url))) continue;
+
+        const cachedUrls = [];
+        for (const url of imageUrls) {
+            const match = TELEGRAM_FILE_URL_PATTERN.exec(url);
+            if (!match) {
+                cachedUrls.push(url);
+                continue;
             }
-        });
-
-        keysToRemove.forEach(key => {
             try {
-                if (!itemsToSave.has(key)) {
-                    localStorage.removeItem(key);
-                }
+                cachedUrls.push(await cacheMediaFromUrl(`file-path:${match[1]}`, url));
             } catch (error) {
-                console.error(`Error removing localStorage key ${key}:`, error);
+                console.warn(`Could not cache the old image of product ${productId}:`, error);
+                cachedUrls.push(url); // Kept until a product command sends a new photo
             }
-        });
+        }
 
-        itemsToSave.forEach((jsonData, key) => {
-            try {
-                localStorage.setItem(key, jsonData);
-            } catch (error) {
-                console.error(`Error saving localStorage key ${key}:`, error);
-            }
-        });
+        // The product may have been changed while the photos were downloading
+        const currentData = loadProductData(productId);
+        if (!currentData || JSON.stringify(getProductImageUrls(currentData)) !== JSON.stringify(imageUrls)) continue;
+        if (cachedUrls.some(isMediaReference) && saveProductData(productId, { ...currentData, imageUrls: cachedUrls }, { keepUpdatedAt: true })) {
+            updatedProductIds.push(productId);
+        }
+    }
+    if (updatedProductIds.length > 0) {
+        console.log(`Moved the photos of ${updatedProductIds.length} products to the media cache.`);
+    }
 
-        console.log("Product renumbering process completed.");
-    } else {
-        console.log("Product sequence is already correct. No renumbering needed.");
+    try {
+        await pruneMediaCache(getProductOrder().flatMap(productId => getProductImageUrls(loadProductData(productId))));
+    } catch (error) {
+        console.error('Error pruning the media cache:', error);
     }
+    return updatedProductIds;
 }
 
 // --- Lightbox Functions ---
@@ -1215,9 +1619,11 @@ export function initializeProductImageClickListeners() {
         // Find the image element within the container
         const imgElement = imageContainer.querySelector('img');
 
-        // If an image element exists and has a source, show the lightbox
+        // If an image element exists and has a source, show every photo of the product
         if (imgElement && imgElement.src) {
-            showImageLightbox(imgElement.src, imgElement.alt);
+            const productId = imageContainer.closest('.product-card')?.dataset.productId;
+            const imageUrls = getProductImageUrls(loadProductData(productId));
+            showImageLightbox(imageUrls.length > 0 ? imageUrls : [imgElement.src], imgElement.alt);
         } else {
             // Optional: Log if a placeholder was clicked
             console.log("Clicked on placeholder or image container without a valid image source.");
@@ -1227,12 +1633,15 @@ export function initializeProductImageClickListeners() {
 }
 
 /**
- * Initializes lightbox elements and close listeners.
+ * Initializes lightbox elements and the close, navigation, keyboard and swipe listeners.
  */
 export function initializeLightbox() {
     lightbox = document.getElementById('image-lightbox');
     lightboxImage = document.getElementById('lightbox-image');
     lightboxCloseButton = lightbox?.querySelector('.lightbox-close');
+    lightboxPrevButton = lightbox?.querySelector('.lightbox-prev');
+    lightboxNextButton = lightbox?.querySelector('.lightbox-next');
+    lightboxCounter = document.getElementById('lightbox-counter');
 
     if (!lightbox || !lightboxImage || !lightboxCloseButton) {
         console.warn("Lightbox elements not found. Image enlargement will not work.");
@@ -1247,26 +1656,77 @@ export function initializeLightbox() {
             hideImageLightbox();
         }
     });
+
+    // Gallery navigation: buttons, arrow keys and horizontal swipes
+    lightboxPrevButton?.addEventListener('click', () => showLightboxImage(lightboxIndex - 1));
+    lightboxNextButton?.addEventListener('click', () => showLightboxImage(lightboxIndex + 1));
+    document.addEventListener('keydown', (event) => {
+        if (!lightbox.classList.contains('modal-visible')) return;
+        if (event.key === 'ArrowLeft') showLightboxImage(lightboxIndex - 1);
+        else if (event.key === 'ArrowRight') showLightboxImage(lightboxIndex + 1);
+        else if (event.key === 'Escape') hideImageLightbox();
+    });
+    lightbox.addEventListener('touchstart', (event) => {
+        const touch = event.changedTouches[0];
+        lightboxTouchStart = { x: touch.clientX, y: touch.clientY };
+    }, { passive: true });
+    lightbox.addEventListener('touchend', (event) => {
+        if (!lightboxTouchStart) return;
+        const touch = event.changedTouches[0];
+        const deltaX = touch.clientX - lightboxTouchStart.x;
+        const deltaY = touch.clientY - lightboxTouchStart.y;
+        lightboxTouchStart = null;
+        // Only clearly horizontal swipes change the photo
+        if (Math.abs(deltaX) > LIGHTBOX_SWIPE_THRESHOLD_PX && Math.abs(deltaX) > Math.abs(deltaY)) {
+            showLightboxImage(lightboxIndex + (deltaX < 0 ? 1 : -1));
+        }
+    }, { passive: true });
     console.log("Image lightbox initialized.");
 }
 
 /**
- * Shows the image lightbox with the specified image source and alt text.
- * @param {string} src - The source URL of the image to display.
- * @param {string} alt - The alt text for the image.
+ * Shows the image lightbox as a gallery of the given images, starting with the first one.
+ * @param {Array<string>} imageUrls - The source URLs of the images to display.
+ * @param {string} alt - The alt text for the images.
  */
-function showImageLightbox(src, alt) {
+function showImageLightbox(imageUrls, alt) {
     if (!lightbox || !lightboxImage) {
         console.error("Lightbox elements not available to show image.");
         return;
     }
-    console.log(`Showing lightbox for: ${src}`);
-    lightboxImage.src = src;
-    lightboxImage.alt = alt || "Imagen ampliada"; // Provide default alt text
+    console.log(`Showing lightbox with ${imageUrls.length} image(s).`);
+    lightboxImages = imageUrls;
+    lightboxAlt = alt || "Imagen ampliada"; // Provide default alt text
+    const hasSeveralImages = imageUrls.length > 1;
+    lightboxPrevButton?.classList.toggle('hidden', !hasSeveralImages);
+    lightboxNextButton?.classList.toggle('hidden', !hasSeveralImages);
+    lightboxCounter?.classList.toggle('hidden', !hasSeveralImages);
+    showLightboxImage(0);
     lightbox.classList.remove('modal-hidden');
     lightbox.classList.add('modal-visible');
 }
 
+/**
+ * Shows one image of the lightbox gallery, wrapping around at both ends.
+ * @param {number} index - The index of the image in the gallery.
+ */
+function showLightboxImage(index) {
+    if (!lightboxImage || lightboxImages.length === 0) return;
+    lightboxIndex = (index + lightboxImages.length) % lightboxImages.length;
+    const shownIndex = lightboxIndex;
+    resolveMediaUrl(lightboxImages[shownIndex]).then(src => {
+        if (shownIndex === lightboxIndex && lightboxImages.length > 0) { // Ignore if the customer moved on
+            lightboxImage.src = src || '';
+        }
+    });
+    lightboxImage.alt = lightboxImages.length > 1
+        ? `${lightboxAlt} (foto ${lightboxIndex + 1} de ${lightboxImages.length})`
+        : lightboxAlt;
+    if (lightboxCounter) {
+        lightboxCounter.textContent = `${lightboxIndex + 1} / ${lightboxImages.length}`;
+    }
+}
+
 /**
  * Hides the image lightbox.
  */